@@ -1,17 +1,17 @@
 import { KVService } from '../services/kv.js';
-import { StreamService } from '../services/stream.js';
-import { OpenAIService } from '../services/openai.js';
+import { getOpenAIService } from '../services/openai.js';
 import { VectorizeService } from '../services/vectorize.js';
 import { ContentService } from '../services/content.js';
+import { TenantService } from '../services/tenant.js';
 
 export class TranscribeConsumer {
   constructor(env) {
     this.env = env;
-    this.streamService = new StreamService(env.CLOUDFLARE_ACCOUNT_ID, env.STREAM_API_TOKEN);
-
-    this.openaiService = new OpenAIService(env.OPENAI_API_KEY, env.CLOUDFLARE_ACCOUNT_ID);
+    this.openaiService = getOpenAIService(env);
 
     this.contentService = new ContentService(env, this.openaiService);
+
+    this.streamService = this.contentService.getStreamService();
   }
 
   async handleMessage(message) {
@@ -49,10 +49,13 @@ export class TranscribeConsumer {
     await this.contentService.updateProgress(contentId, 'uploading', 10, 'Uploading video to Cloudflare Stream');
 
     try {
+      // 테넌트 콘텐츠는 테넌트가 허용한 Origin에서만 재생 가능
+      const tenant = contentData.domain ? await new TenantService(this.env.AITUTOR_KV).getTenant(contentData.domain) : null;
+
       const streamResult = await this.streamService.uploadVideoFromUrl(contentData.videoUrl, {
         name: `Content ${contentId}`,
         contentId: contentId
-      });
+      }, tenant ? TenantService.streamOrigins(tenant) : []);
 
       const streamUid = streamResult.uid;
 
@@ -136,6 +139,7 @@ export class TranscribeConsumer {
         language: captionContent.language,
         duration,
         videoUrl: contentData.videoUrl,
+        domain: contentData.domain,
         streamId: streamUid,
         source: 'cloudflare-stream-ai',
         createdAt: new Date().toISOString(),
@@ -187,7 +191,8 @@ export class TranscribeConsumer {
           language: captionContent.language,
           duration,
           videoUrl: contentData.videoUrl,
-          source: 'cloudflare-stream-ai'
+          source: 'cloudflare-stream-ai',
+          ...(contentData.domain && { domain: contentData.domain })
         };
 
         const indexResult = await this.contentService.vectorizeService.indexContent(
@@ -202,6 +207,9 @@ export class TranscribeConsumer {
         console.error(`❌ Failed to index content in Vectorize:`, vectorError);
       }
 
+      // New transcript and summary (first upload or recaption): answers cached before are stale
+      await this.contentService.invalidateAnswerCache(contentId);
+
       console.log(`Content ${contentId} completed successfully with Stream AI captions`);
       console.log(`✅ Stream video preserved with ID: ${streamUid}`);
       await this.contentService.updateProgress(contentId, 'completed', 100, 'Content processing completed');
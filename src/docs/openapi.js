@@ -63,7 +63,7 @@ export const openApiSpec = {
       post: {
         tags: ["Authentication"],
         summary: "Authenticate and get JWT token",
-        description: "Authenticate using domain and auth key to receive a JWT token for API access",
+        description: "Authenticate using domain and auth key to receive a JWT token for API access. The domain must be registered as an active tenant; tier, quota and features in the token come from the tenant registry",
         requestBody: {
           required: true,
           content: {
@@ -80,7 +80,13 @@ export const openApiSpec = {
                   authKey: {
                     type: "string",
                     example: "a1b2c3d4e5f6...",
-                    description: "SHA256 hash of domain + secret key"
+                    description: "Domain auth key from /v1/auth/generate. During a rotation overlap both the previous and the new key are accepted"
+                  },
+                  scopes: {
+                    type: "array",
+                    items: { type: "string", enum: ["learner", "instructor", "admin"] },
+                    default: ["learner"],
+                    description: "Token scopes. instructor is required to see quiz answers and explanations and to upload, recaption or summarize content. admin is required to reindex or delete content and includes instructor. Only the tenant's grantableScopes can be requested"
                   }
                 }
               }
@@ -90,24 +96,136 @@ export const openApiSpec = {
         responses: {
           200: {
             description: "Authentication successful",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/TokenResponse" }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Invalid input",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication failed - Invalid domain or auth key",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: {
+            description: "Domain is not a registered tenant and TENANT_AUTO_REGISTER is \"false\" (TENANT_NOT_REGISTERED), the tenant is suspended (TENANT_SUSPENDED), or a requested scope is not in the tenant's grantableScopes (SCOPE_NOT_GRANTABLE)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/auth/learner": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Mint a learner token",
+        description: "Issue a token for one learner, carrying an opaque sub plus optional role and cohort. Authenticate with a tenant token that has the instructor scope (Authorization header), or without the header by sending an assertion: a JWT signed with HS256 using the domain auth key, with iss (domain), aud \"aitutor-api\", sub, optional role/cohort, and iat/exp at most 5 minutes apart. Routes use sub as the learnerId for sessions, quiz attempts and learner rate limits",
+        security: [{ BearerAuth: [] }, {}],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  sub: { type: "string", maxLength: 128, example: "stu-8f3a", description: "Opaque learner ID (tenant token mode)" },
+                  role: { type: "string", enum: ["learner", "instructor"], default: "learner", description: "Also granted as the token scope, so it must be in the tenant's grantableScopes" },
+                  cohort: { type: "string", maxLength: 128, example: "2025-spring-bio" },
+                  assertion: { type: "string", description: "Signed learner assertion (assertion mode)" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Learner token issued. The response also includes sub, role and cohort",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/TokenResponse" }
+              }
+            }
+          },
+          400: {
+            description: "Invalid sub, role or cohort",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Invalid tenant token, or the assertion signature, audience or lifetime is invalid (INVALID_ASSERTION)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: {
+            description: "The tenant token lacks the instructor scope or is itself a learner token (INSUFFICIENT_SCOPE), the role is not in the tenant's grantableScopes (SCOPE_NOT_GRANTABLE), or the tenant is not active",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/auth/embed": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Mint an embed token",
+        description: "Issue a short-lived token for a browser widget, so the tenant token never reaches the browser. Requires a tenant token with the instructor scope. Embed tokens are limited to one contentId and to /v1/chat and /v1/quiz (other routes return 403 EMBED_TOKEN_RESTRICTED), carry only the learner scope and cannot be refreshed. Requests for other content are rejected; an omitted contentId defaults to the token's. Without sub, learner routes (sessions, quiz attempts) are unavailable",
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["contentId"],
+                properties: {
+                  contentId: { type: "string", maxLength: 128 },
+                  features: { type: "array", items: { type: "string", enum: ["chat", "quiz"] }, default: ["chat", "quiz"], description: "Narrowed to the features enabled for the tenant" },
+                  ttlSeconds: { type: "integer", minimum: 60, maximum: 900, default: 600 },
+                  sub: { type: "string", maxLength: 128, example: "stu-8f3a", description: "Optional learner ID, used like a learner token's sub" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Embed token issued",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
-                    success: { type: "boolean", example: true },
-                    message: { type: "string", example: "Domain verified successfully" },
-                    token: { type: "string", example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." },
-                    domain: { type: "string", example: "example.com" },
-                    expiresIn: { type: "string", example: "24h" },
-                    domainInfo: {
-                      type: "object",
-                      properties: {
-                        tier: { type: "string", example: "standard" },
-                        maxRequestsPerDay: { type: "integer", example: 1000 },
-                        features: { type: "array", items: { type: "string" }, example: ["chat", "quiz"] }
-                      }
-                    },
+                    success: { type: "boolean" },
+                    message: { type: "string" },
+                    token: { type: "string" },
+                    domain: { type: "string" },
+                    expiresIn: { type: "integer", example: 600 },
+                    contentId: { type: "string" },
+                    features: { type: "array", items: { type: "string" } },
+                    sub: { type: "string" },
                     timestamp: { type: "string", format: "date-time" }
                   }
                 }
@@ -115,7 +233,7 @@ export const openApiSpec = {
             }
           },
           400: {
-            description: "Bad request - Invalid input",
+            description: "Invalid contentId, features, ttlSeconds or sub",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -123,7 +241,102 @@ export const openApiSpec = {
             }
           },
           401: {
-            description: "Authentication failed - Invalid domain or auth key",
+            description: "Missing or invalid tenant token",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: {
+            description: "The token lacks the instructor scope or is a learner/embed token (INSUFFICIENT_SCOPE), or none of the features are enabled (FEATURE_NOT_ENABLED)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Content not found for this domain",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/auth/refresh": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Refresh tokens",
+        description: "Exchange a refresh token for a new access token and refresh token. Refresh tokens are single use; claims are recalculated from the current tenant record",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["refreshToken"],
+                properties: {
+                  refreshToken: { type: "string" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "New token pair",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/TokenResponse" }
+              }
+            }
+          },
+          401: {
+            description: "Refresh token is invalid, expired or already used (INVALID_REFRESH_TOKEN), or was revoked (TOKEN_REVOKED)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: {
+            description: "Tenant is not registered or suspended, or none of the token's scopes are grantable any more (SCOPE_NOT_GRANTABLE). Scopes removed from the tenant's grantableScopes are dropped from the new tokens",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/auth/revoke": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Revoke a token",
+        description: "Add an access or refresh token to the revocation list (logout). Revoked tokens are rejected until they expire",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["token"],
+                properties: {
+                  token: { type: "string" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: "Token revoked" },
+          401: {
+            description: "Token signature is invalid or the token has expired",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -137,24 +350,20 @@ export const openApiSpec = {
       post: {
         tags: ["Authentication"],
         summary: "Generate auth key for domain",
-        description: "Generate an authentication key for a domain using master password",
+        description: "Generate an authentication key for a domain. Requires an admin API key; every issued key is recorded in the auth key audit trail",
+        security: [{ AdminKey: [] }],
         requestBody: {
           required: true,
           content: {
             "application/json": {
               schema: {
                 type: "object",
-                required: ["domain", "password"],
+                required: ["domain"],
                 properties: {
                   domain: {
                     type: "string",
                     example: "example.com",
                     description: "The domain to generate auth key for"
-                  },
-                  password: {
-                    type: "string",
-                    example: "master_password",
-                    description: "Master password for auth key generation"
                   }
                 }
               }
@@ -173,6 +382,7 @@ export const openApiSpec = {
                     message: { type: "string", example: "Auth key generated successfully" },
                     domain: { type: "string", example: "example.com" },
                     authKey: { type: "string", example: "a1b2c3d4e5f6..." },
+                    keyVersion: { type: "integer", example: 1, description: "Current key version. Rotate keys with POST /v1/admin/tenants/{domain}/auth-keys/rotate" },
                     timestamp: { type: "string", format: "date-time" },
                     usage: {
                       type: "object",
@@ -201,13 +411,14 @@ export const openApiSpec = {
             }
           },
           401: {
-            description: "Invalid password",
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
-          }
+          },
+          429: { $ref: "#/components/responses/AdminLocked" }
         }
       }
     },
@@ -256,8 +467,9 @@ export const openApiSpec = {
               "text/event-stream": {
                 schema: {
                   type: "string",
-                  description: "Server-sent events stream with AI response"
-                }
+                  description: "Server-sent events stream with AI response. With options.streamFormat = \"events\" the stream carries named events (meta, delta, sources, citations, done, error)"
+                },
+                example: "event: meta\ndata: {\"cacheHit\":false,\"grounded\":true,\"rejected\":false,\"contentId\":\"abc123\",\"model\":\"gpt-4o-mini\"}\n\nevent: delta\ndata: {\"content\":\"📚 강의 내용을\"}\n\nevent: sources\ndata: {\"sources\":[{\"chunk\":1,\"contentId\":\"abc123\",\"type\":\"transcript\",\"score\":0.82,\"startTime\":750,\"endTime\":812}]}\n\nevent: citations\ndata: {\"citations\":[{\"chunk\":1,\"contentId\":\"abc123\",\"type\":\"transcript\",\"startTime\":750,\"endTime\":812,\"timestamp\":\"12:30\",\"label\":\"12:30\"}],\"unverified\":[]}\n\nevent: done\ndata: {\"usage\":{\"promptTokens\":812,\"completionTokens\":240,\"totalTokens\":1052}}\n\n"
               }
             }
           },
@@ -276,7 +488,9 @@ export const openApiSpec = {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
-          }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
         }
       }
     },
@@ -334,15 +548,17 @@ export const openApiSpec = {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
-          }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
         }
       }
     },
-    "/v1/quiz": {
+    "/v1/chat/sessions": {
       post: {
-        tags: ["Quiz"],
-        summary: "Generate basic quiz",
-        description: "Create quiz questions about a specific topic with streaming response (requires authentication)",
+        tags: ["Chat"],
+        summary: "Create chat session",
+        description: "Create a persistent chat session for a learner. History is stored server-side (requires authentication)",
         security: [{ BearerAuth: [] }],
         requestBody: {
           required: true,
@@ -350,33 +566,22 @@ export const openApiSpec = {
             "application/json": {
               schema: {
                 type: "object",
-                required: ["topic"],
-                properties: {
-                  topic: {
-                    type: "string",
-                    example: "World History"
-                  },
-                  questionCount: {
-                    type: "integer",
-                    minimum: 1,
-                    maximum: 10,
-                    default: 5,
-                    example: 5
-                  },
-                  options: { $ref: "#/components/schemas/AIOptions" }
+                                properties: {
+                  learnerId: { type: "string", example: "student-42", description: "Required with tenant tokens. Learner tokens use their sub" },
+                  title: { type: "string", example: "광합성 복습" },
+                  contentId: { type: "string", description: "Ground every turn in this content" },
+                  systemPrompt: { type: "string", example: "You are a patient biology tutor" }
                 }
               }
             }
           }
         },
         responses: {
-          200: {
-            description: "Streaming quiz questions",
+          201: {
+            description: "Session created",
             content: {
-              "text/event-stream": {
-                schema: {
-                  type: "string"
-                }
+              "application/json": {
+                schema: { $ref: "#/components/schemas/ChatSession" }
               }
             }
           },
@@ -387,9 +592,65 @@ export const openApiSpec = {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
+          }
+        }
+      },
+      get: {
+        tags: ["Chat"],
+        summary: "List chat sessions",
+        description: "List a learner's sessions without message bodies, most recently updated first, one page at a time. Pass the returned cursor to get the next page; hasMore is false on the last page (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "learnerId", in: "query", schema: { type: "string" }, description: "Required with tenant tokens. Learner tokens use their sub" },
+          { name: "limit", in: "query", schema: { type: "integer", maximum: 100, default: 50 } },
+          { name: "cursor", in: "query", required: false, schema: { type: "string" }, description: "Cursor returned by the previous page" }
+        ],
+        responses: {
+          200: { description: "Session list" }
+        }
+      }
+    },
+    "/v1/chat/sessions/{sessionId}": {
+      get: {
+        tags: ["Chat"],
+        summary: "Get chat session",
+        description: "Get a session with its stored message history (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "sessionId", in: "path", required: true, schema: { type: "string" } },
+          { name: "learnerId", in: "query", schema: { type: "string" }, description: "Required with tenant tokens. Learner tokens use their sub" }
+        ],
+        responses: {
+          200: {
+            description: "Session with history",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/ChatSession" }
+              }
+            }
           },
-          401: {
-            description: "Authentication required",
+          404: {
+            description: "Session not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        tags: ["Chat"],
+        summary: "Delete chat session",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "sessionId", in: "path", required: true, schema: { type: "string" } },
+          { name: "learnerId", in: "query", schema: { type: "string" }, description: "Required with tenant tokens. Learner tokens use their sub" }
+        ],
+        responses: {
+          200: { description: "Session deleted" },
+          404: {
+            description: "Session not found",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -399,35 +660,127 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/quiz/generate": {
+    "/v1/chat/sessions/{sessionId}/messages": {
       post: {
-        tags: ["Quiz"],
-        summary: "Generate advanced quiz",
-        description: "Create structured quiz with difficulty levels and question types (requires authentication)",
+        tags: ["Chat"],
+        summary: "Send a message in a session",
+        description: "Send only the new user turn. The server loads recent history, streams the answer and appends both turns to the session (requires authentication)",
         security: [{ BearerAuth: [] }],
-        requestBody: {
+        parameters: [
+          { name: "sessionId", in: "path", required: true, schema: { type: "string" } }
+        ],
+        requestBody: {
           required: true,
           content: {
             "application/json": {
               schema: {
                 type: "object",
-                required: ["topic"],
+                required: ["content"],
                 properties: {
-                  topic: {
+                  learnerId: { type: "string", example: "student-42", description: "Required with tenant tokens. Learner tokens use their sub" },
+                  content: { type: "string", example: "광합성에서 엽록체의 역할은?" },
+                  options: { $ref: "#/components/schemas/AIOptions" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Streaming AI response",
+            content: {
+              "text/event-stream": {
+                schema: { type: "string" }
+              }
+            }
+          },
+          404: {
+            description: "Session not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
+        }
+      }
+    },
+    "/v1/tutor": {
+      post: {
+        tags: ["Tutor"],
+        summary: "Ask the AI tutor",
+        description: "Ask a question with a selectable pedagogy mode. Lecture material is used as grounding when relevant chunks are found (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["question"],
+                properties: {
+                  question: { type: "string", maxLength: 2000, example: "What is photosynthesis?" },
+                  context: { type: "string", maxLength: 3000, example: "I'm a high school student learning biology" },
+                  mode: {
                     type: "string",
-                    example: "Machine Learning"
+                    enum: ["direct", "socratic", "hint", "worked_example"],
+                    default: "direct",
+                    description: "direct: explain the answer. socratic: guide with questions. hint: progressively stronger hints (see hintLevel). worked_example: solve a related example, then give a practice problem"
                   },
-                  difficulty: {
-                    type: "string",
-                    enum: ["beginner", "intermediate", "advanced"],
-                    default: "intermediate",
-                    example: "intermediate"
+                  hintLevel: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 3,
+                    default: 1,
+                    description: "Hint strength for hint mode. Request the next level when the learner is still stuck"
                   },
-                  type: {
+                  options: { $ref: "#/components/schemas/AIOptions" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Streaming tutor response",
+            content: {
+              "text/event-stream": {
+                schema: { type: "string" }
+              }
+            }
+          },
+          400: {
+            description: "Bad request",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
+        }
+      }
+    },
+    "/v1/quiz": {
+      post: {
+        tags: ["Quiz"],
+        summary: "Generate basic quiz",
+        description: "Create quiz questions about a specific topic with streaming response (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["topic"],
+                properties: {
+                  topic: {
                     type: "string",
-                    enum: ["multiple-choice", "true-false", "short-answer"],
-                    default: "multiple-choice",
-                    example: "multiple-choice"
+                    example: "World History"
                   },
                   questionCount: {
                     type: "integer",
@@ -444,12 +797,11 @@ export const openApiSpec = {
         },
         responses: {
           200: {
-            description: "Streaming structured quiz with JSON format",
+            description: "Streaming quiz questions",
             content: {
               "text/event-stream": {
                 schema: {
-                  type: "string",
-                  description: "Streaming JSON quiz format with title, difficulty, and questions array"
+                  type: "string"
                 }
               }
             }
@@ -473,11 +825,11 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/upload-url": {
+    "/v1/quiz/generate": {
       post: {
-        tags: ["Content"],
-        summary: "Start video transcription",
-        description: "Upload video URL for transcription processing (requires authentication)",
+        tags: ["Quiz"],
+        summary: "Generate quiz on demand",
+        description: "Generate validated multiple choice questions from a topic, a content transcript, or a time range of a transcript. With save=true the result becomes the content's new quiz version; the previous version is archived (requires authentication, save requires the instructor scope)",
         security: [{ BearerAuth: [] }],
         requestBody: {
           required: true,
@@ -485,43 +837,48 @@ export const openApiSpec = {
             "application/json": {
               schema: {
                 type: "object",
-                required: ["videoUrl"],
+                description: "Either topic or contentId is required",
                 properties: {
-                  videoUrl: {
+                  topic: {
                     type: "string",
-                    format: "uri",
-                    example: "https://example.com/video.mp4",
-                    description: "URL of the video to transcribe"
+                    example: "Machine Learning"
+                  },
+                  contentId: {
+                    type: "string",
+                    description: "Generate from this content's transcript"
+                  },
+                  startTime: {
+                    type: "number",
+                    description: "Range start in seconds (requires contentId)",
+                    example: 600
+                  },
+                  endTime: {
+                    type: "number",
+                    description: "Range end in seconds (requires contentId)",
+                    example: 900
+                  },
+                  difficulty: {
+                    type: "string",
+                    enum: ["beginner", "intermediate", "advanced"],
+                    default: "intermediate",
+                    example: "intermediate"
+                  },
+                  questionCount: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 20,
+                    default: 5,
+                    example: 5
                   },
                   language: {
                     type: "string",
-                    default: "ko-KR",
-                    example: "ko-KR",
-                    description: "Language code for transcription (ISO 639-1)"
+                    description: "Defaults to the content language, or ko for topics",
+                    example: "ko"
                   },
-                  options: {
-                    type: "object",
-                    properties: {
-                      format: {
-                        type: "string",
-                        enum: ["srt", "vtt", "json"],
-                        default: "srt",
-                        example: "srt",
-                        description: "Output format for transcription"
-                      },
-                      timestamps: {
-                        type: "boolean",
-                        default: true,
-                        example: true,
-                        description: "Include timestamps in transcription"
-                      },
-                      wordTimestamps: {
-                        type: "boolean",
-                        default: false,
-                        example: false,
-                        description: "Include word-level timestamps"
-                      }
-                    }
+                  save: {
+                    type: "boolean",
+                    default: false,
+                    description: "Save as a new quiz version for contentId"
                   }
                 }
               }
@@ -530,20 +887,33 @@ export const openApiSpec = {
         },
         responses: {
           200: {
-            description: "Transcription job created successfully",
+            description: "Generated quiz",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
-                    success: { type: "boolean", example: true },
-                    data: {
+                    source: { type: "object", description: "type (topic, content or range) with topic, contentId and time range" },
+                    difficulty: { type: "string" },
+                    questionCount: { type: "integer" },
+                    quiz: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          question: { type: "string" },
+                          options: { type: "array", items: { type: "string" }, minItems: 4, maxItems: 4 },
+                          answer: { type: "integer", minimum: 0, maximum: 3 },
+                          explanation: { type: "string" }
+                        }
+                      }
+                    },
+                    saved: {
                       type: "object",
+                      nullable: true,
                       properties: {
-                        jobId: { type: "string", format: "uuid", example: "123e4567-e89b-12d3-a456-426614174000" },
-                        status: { type: "string", example: "queued" },
-                        statusUrl: { type: "string", example: "/v1/transcribe/status/123e4567-e89b-12d3-a456-426614174000" },
-                        resultUrl: { type: "string", example: "/v1/transcribe/result/123e4567-e89b-12d3-a456-426614174000" }
+                        contentId: { type: "string" },
+                        version: { type: "integer" }
                       }
                     }
                   }
@@ -552,7 +922,7 @@ export const openApiSpec = {
             }
           },
           400: {
-            description: "Bad request - Invalid video URL or parameters",
+            description: "Bad request",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -566,81 +936,121 @@ export const openApiSpec = {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
-          }
+          },
+          502: {
+            description: "Model output failed schema validation",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
         }
       }
     },
-    "/v1/content/status/{jobId}": {
+    "/v1/quiz/{contentId}": {
       get: {
-        tags: ["Content"],
-        summary: "Get transcription job status",
-        description: "Check the current status of a transcription job (requires authentication)",
+        tags: ["Quiz"],
+        summary: "Get stored quiz",
+        description: "Get the stored quiz for a content. The learner view leaves out answer and explanation; they are revealed only by grading an attempt. The instructor view requires a token with the instructor scope (requires authentication)",
         security: [{ BearerAuth: [] }],
         parameters: [
-          {
-            name: "jobId",
-            in: "path",
-            required: true,
-            schema: {
-              type: "string",
-              format: "uuid"
-            },
-            description: "Unique job identifier"
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "view", in: "query", schema: { type: "string", enum: ["learner", "instructor"], default: "learner" } }
+        ],
+        responses: {
+          200: { description: "Quiz questions for the requested view" },
+          403: {
+            description: "Instructor scope required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Quiz not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
           }
+        }
+      }
+    },
+    "/v1/quiz/{contentId}/attempts": {
+      post: {
+        tags: ["Quiz"],
+        summary: "Submit quiz attempt",
+        description: "Grade a learner's answers against the stored quiz and save the attempt. Returns per-question correctness with explanations (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } }
         ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["answers"],
+                properties: {
+                  learnerId: { type: "string", example: "student-42", description: "Required with tenant tokens. Learner tokens use their sub" },
+                  answers: {
+                    type: "array",
+                    description: "Selected option index (0-3) per question in quiz order, null when unanswered",
+                    items: { type: "integer", nullable: true },
+                    example: [1, 0, null, 3]
+                  }
+                }
+              }
+            }
+          }
+        },
         responses: {
-          200: {
-            description: "Job status retrieved successfully",
+          201: {
+            description: "Graded attempt",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
-                    success: { type: "boolean", example: true },
-                    data: {
-                      type: "object",
-                      properties: {
-                        jobId: { type: "string", format: "uuid" },
-                        status: {
-                          type: "string",
-                          enum: ["queued", "processing", "completed", "failed"],
-                          example: "processing"
-                        },
-                        progress: {
-                          type: "object",
-                          properties: {
-                            stage: { type: "string", example: "transcribing" },
-                            percentage: { type: "integer", minimum: 0, maximum: 100, example: 75 },
-                            message: { type: "string", example: "Generating AI captions with Cloudflare Stream" }
-                          }
-                        },
-                        createdAt: { type: "string", format: "date-time" },
-                        updatedAt: { type: "string", format: "date-time" },
-                        error: {
-                          type: "object",
-                          properties: {
-                            message: { type: "string" },
-                            timestamp: { type: "string", format: "date-time" }
-                          },
-                          description: "Present only when status is 'failed'"
+                    attemptId: { type: "string", format: "uuid" },
+                    quizVersion: { type: "integer" },
+                    score: { $ref: "#/components/schemas/QuizScore" },
+                    results: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          index: { type: "integer" },
+                          question: { type: "string" },
+                          selected: { type: "integer", nullable: true },
+                          correctAnswer: { type: "integer" },
+                          correct: { type: "boolean" },
+                          explanation: { type: "string" }
                         }
                       }
-                    }
+                    },
+                    submittedAt: { type: "string", format: "date-time" }
                   }
                 }
               }
             }
           },
-          404: {
-            description: "Job not found",
+          400: {
+            description: "Invalid answers",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          401: {
-            description: "Authentication required",
+          404: {
+            description: "Quiz not found",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -648,11 +1058,217 @@ export const openApiSpec = {
             }
           }
         }
-      }
-    },
-    "/v1/content/result/{jobId}": {
+      },
       get: {
-        tags: ["Content"],
+        tags: ["Quiz"],
+        summary: "List quiz attempts",
+        description: "List a learner's attempts for a content, newest first (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "learnerId", in: "query", schema: { type: "string" }, description: "Required with tenant tokens. Learner tokens use their sub" }
+        ],
+        responses: {
+          200: { description: "Attempt list" }
+        }
+      }
+    },
+    "/v1/quiz/{contentId}/attempts/summary": {
+      get: {
+        tags: ["Quiz"],
+        summary: "Best and latest quiz scores",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "learnerId", in: "query", schema: { type: "string" }, description: "Required with tenant tokens. Learner tokens use their sub" }
+        ],
+        responses: {
+          200: { description: "Attempt count with best and latest attempt" }
+        }
+      }
+    },
+    "/v1/content/upload-url": {
+      post: {
+        tags: ["Content"],
+        summary: "Start video transcription",
+        description: "Upload video URL for transcription processing (requires the content feature and instructor scope)",
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["videoUrl"],
+                properties: {
+                  videoUrl: {
+                    type: "string",
+                    format: "uri",
+                    example: "https://example.com/video.mp4",
+                    description: "URL of the video to transcribe"
+                  },
+                  language: {
+                    type: "string",
+                    default: "ko-KR",
+                    example: "ko-KR",
+                    description: "Language code for transcription (ISO 639-1)"
+                  },
+                  options: {
+                    type: "object",
+                    properties: {
+                      format: {
+                        type: "string",
+                        enum: ["srt", "vtt", "json"],
+                        default: "srt",
+                        example: "srt",
+                        description: "Output format for transcription"
+                      },
+                      timestamps: {
+                        type: "boolean",
+                        default: true,
+                        example: true,
+                        description: "Include timestamps in transcription"
+                      },
+                      wordTimestamps: {
+                        type: "boolean",
+                        default: false,
+                        example: false,
+                        description: "Include word-level timestamps"
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Transcription job created successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        jobId: { type: "string", format: "uuid", example: "123e4567-e89b-12d3-a456-426614174000" },
+                        status: { type: "string", example: "queued" },
+                        statusUrl: { type: "string", example: "/v1/transcribe/status/123e4567-e89b-12d3-a456-426614174000" },
+                        resultUrl: { type: "string", example: "/v1/transcribe/result/123e4567-e89b-12d3-a456-426614174000" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Invalid video URL or parameters",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" },
+          429: { $ref: "#/components/responses/RateLimited" }
+        }
+      }
+    },
+    "/v1/content/status/{jobId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get transcription job status",
+        description: "Check the current status of a transcription job (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "jobId",
+            in: "path",
+            required: true,
+            schema: {
+              type: "string",
+              format: "uuid"
+            },
+            description: "Unique job identifier"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Job status retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        jobId: { type: "string", format: "uuid" },
+                        status: {
+                          type: "string",
+                          enum: ["queued", "processing", "completed", "failed"],
+                          example: "processing"
+                        },
+                        progress: {
+                          type: "object",
+                          properties: {
+                            stage: { type: "string", example: "transcribing" },
+                            percentage: { type: "integer", minimum: 0, maximum: 100, example: 75 },
+                            message: { type: "string", example: "Generating AI captions with Cloudflare Stream" }
+                          }
+                        },
+                        createdAt: { type: "string", format: "date-time" },
+                        updatedAt: { type: "string", format: "date-time" },
+                        error: {
+                          type: "object",
+                          properties: {
+                            message: { type: "string" },
+                            timestamp: { type: "string", format: "date-time" }
+                          },
+                          description: "Present only when status is 'failed'"
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Job not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/result/{jobId}": {
+      get: {
+        tags: ["Content"],
         summary: "Get transcription result",
         description: "Retrieve the completed transcription result (requires authentication)",
         security: [{ BearerAuth: [] }],
@@ -670,7 +1286,1321 @@ export const openApiSpec = {
         ],
         responses: {
           200: {
-            description: "Transcription result retrieved successfully",
+            description: "Transcription result retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        jobId: { type: "string", format: "uuid" },
+                        status: { type: "string", example: "completed" },
+                        result: {
+                          type: "object",
+                          properties: {
+                            text: { type: "string", description: "Full transcribed text" },
+                            language: { type: "string", example: "ko" },
+                            duration: { type: "number", example: 120.5 },
+                            segments: {
+                              type: "array",
+                              items: {
+                                type: "object",
+                                properties: {
+                                  start: { type: "number", example: 0.0 },
+                                  end: { type: "number", example: 5.2 },
+                                  text: { type: "string", example: "Hello world" }
+                                }
+                              }
+                            },
+                            srt: { type: "string", description: "SRT format subtitle (if requested)" },
+                            vtt: { type: "string", description: "VTT format subtitle (if requested)" }
+                          }
+                        },
+                        metadata: {
+                          type: "object",
+                          properties: {
+                            language: { type: "string", example: "ko-KR" },
+                            options: { type: "object" },
+                            duration: { type: "number", example: 120.5 },
+                            wordCount: { type: "integer", example: 250 },
+                            completedAt: { type: "string", format: "date-time" }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Job not completed yet",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Job or result not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/summary/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get content summary for chatbot integration",
+        description: "Retrieve AI-generated summary of transcribed content by content ID (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "contentId",
+            in: "path",
+            required: true,
+            schema: {
+              type: "string",
+              example: "a1b2c3d4e5f6789"
+            },
+            description: "Content ID (job ID from transcription)"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Content summary retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
+                        originalText: { type: "string", description: "Full original transcription text" },
+                        summary: { type: "string", description: "AI-generated educational summary" },
+                        language: { type: "string", example: "ko" },
+                        duration: { type: "number", example: 120.5 },
+                        videoUrl: { type: "string", format: "uri" },
+                        createdAt: { type: "string", format: "date-time" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Content summary not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/subtitle/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get content subtitle segments",
+        description: "Retrieve transcription segments with timestamps by content ID (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "contentId",
+            in: "path",
+            required: true,
+            schema: {
+              type: "string",
+              example: "a1b2c3d4e5f6789"
+            },
+            description: "Content ID (job ID from transcription)"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Content subtitle retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
+                        language: { type: "string", example: "ko" },
+                        duration: { type: "number", example: 120.5 },
+                        segments: {
+                          type: "array",
+                          items: {
+                            type: "object",
+                            properties: {
+                              start: { type: "number", example: 0.0 },
+                              end: { type: "number", example: 3.38 },
+                              text: { type: "string", example: "이제는 온라인과 때려야 뗄 수 없는 우리의 삶" }
+                            }
+                          }
+                        },
+                        format: { type: "string", example: "vtt" },
+                        content: { type: "string", description: "Formatted subtitle content (VTT/SRT)" },
+                        source: { type: "string", example: "cloudflare-stream-ai" },
+                        videoUrl: { type: "string", format: "uri" },
+                        createdAt: { type: "string", format: "date-time" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Content subtitle not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/search": {
+      post: {
+        tags: ["Content"],
+        summary: "Search content using vectorized semantic search",
+        description: "Perform semantic search across content indexed for the authenticated domain using vector embeddings (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["query"],
+                properties: {
+                  query: {
+                    type: "string",
+                    minLength: 1,
+                    example: "재택근무 보안",
+                    description: "Search query for semantic content matching"
+                  },
+                  topK: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 50,
+                    default: 10,
+                    example: 10,
+                    description: "Number of top results to return"
+                  },
+                  contentId: {
+                    type: "string",
+                    example: "a1b2c3d4e5f6789",
+                    description: "Filter results to specific content ID"
+                  },
+                  type: {
+                    type: "string",
+                    enum: ["transcript", "summary"],
+                    description: "Filter by content type"
+                  },
+                  language: {
+                    type: "string",
+                    example: "ko",
+                    description: "Filter by language"
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Search results retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        query: { type: "string", example: "재택근무 보안" },
+                        results: {
+                          type: "array",
+                          items: {
+                            type: "object",
+                            properties: {
+                              id: { type: "string", example: "a1b2c3d4-transcript-0" },
+                              score: { type: "number", example: 0.85, description: "Similarity score (0-1)" },
+                              contentId: { type: "string", example: "a1b2c3d4e5f6789" },
+                              type: { type: "string", enum: ["transcript", "summary"], example: "transcript" },
+                              text: { type: "string", example: "재택근무 보안에 대한 중요한 지침들..." },
+                              chunkIndex: { type: "integer", example: 0 },
+                              startTime: { type: "number", example: 45.2 },
+                              endTime: { type: "number", example: 78.5 },
+                              language: { type: "string", example: "ko" },
+                              createdAt: { type: "string", format: "date-time" }
+                            }
+                          }
+                        },
+                        total: { type: "integer", example: 5 },
+                        options: {
+                          type: "object",
+                          properties: {
+                            topK: { type: "integer", example: 10 },
+                            contentId: { type: "string" },
+                            type: { type: "string" },
+                            language: { type: "string" }
+                          }
+                        },
+                        debug: {
+                          type: "object",
+                          properties: {
+                            requestedContentId: { type: "string" },
+                            metadataFilterApplied: { type: "boolean" }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Invalid search parameters",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          500: {
+            description: "Search service error",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/vectors/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get vector manifest",
+        description: "Get the manifest written by the last indexing run: vector IDs, embedding model, chunking parameters and timestamp. Reindexing diffs against it and deletes stale vectors (requires the admin scope)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } }
+        ],
+        responses: {
+          200: {
+            description: "Vector manifest",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    contentId: { type: "string" },
+                    vectorIds: { type: "array", items: { type: "string" }, example: ["abc123-transcript-0", "abc123-summary"] },
+                    embeddingModel: { type: "string", example: "text-embedding-3-small" },
+                    dimensions: { type: "integer", example: 1536 },
+                    chunking: {
+                      type: "object",
+                      properties: {
+                        strategy: { type: "string", example: "segment" },
+                        minChunkSize: { type: "integer", example: 200 },
+                        maxChunkSize: { type: "integer", example: 500 }
+                      }
+                    },
+                    indexVersion: { type: "integer", example: 2 },
+                    indexedAt: { type: "string", format: "date-time" }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Manifest not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" }
+        }
+      }
+    },
+    "/v1/content/{contentId}": {
+      delete: {
+        tags: ["Content"],
+        summary: "Delete content",
+        description: "Delete a content from every store: content:info/subtitle/summary/quiz and archived quiz versions in KV, cached chat answers, all Vectorize vectors, and optionally the Stream video. Returns a per-store deletion report. content:info is removed last, so a partial failure can be retried (requires the content feature and admin scope)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "deleteVideo", in: "query", schema: { type: "boolean", default: false }, description: "Also delete the Cloudflare Stream video" },
+          { name: "force", in: "query", schema: { type: "boolean", default: false }, description: "Delete even while the content is queued or processing" }
+        ],
+        responses: {
+          200: {
+            description: "Deletion report",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    contentId: { type: "string" },
+                    vectors: { type: "integer", nullable: true, description: "Deleted vector count" },
+                    chatCache: { type: "integer", nullable: true, description: "Deleted cached answer count" },
+                    kv: {
+                      type: "object",
+                      properties: {
+                        info: { type: "boolean" },
+                        subtitle: { type: "boolean" },
+                        summary: { type: "boolean" },
+                        quiz: { type: "boolean" },
+                        quizVersions: { type: "integer" },
+                        quizAttempts: { type: "integer", description: "Deleted learner quiz attempt records" }
+                      }
+                    },
+                    streamVideo: { type: "string", enum: ["deleted", "failed", "skipped"] },
+                    errors: { type: "array", items: { type: "object" } },
+                    complete: { type: "boolean" }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Content not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          409: {
+            description: "Content is still being processed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          500: {
+            description: "Partial deletion; the error body includes the report",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          403: { $ref: "#/components/responses/Forbidden" }
+        }
+      }
+    },
+    "/v1/content/contents": {
+      get: {
+        tags: ["Content"],
+        summary: "List content catalog",
+        description: "List content uploaded by the authenticated domain with optional filters. Other domains' content is never listed; admins can filter by owning domain with GET /v1/admin/contents. Results are paginated with an opaque cursor (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: "status", in: "query", required: false, schema: { type: "string", enum: ["queued", "processing", "completed", "failed"] }, description: "Filter by processing status" },
+          { name: "language", in: "query", required: false, schema: { type: "string" }, description: "Filter by content language", example: "ko-KR" },
+          { name: "createdAfter", in: "query", required: false, schema: { type: "string", format: "date-time" }, description: "Only content created at or after this time" },
+          { name: "createdBefore", in: "query", required: false, schema: { type: "string", format: "date-time" }, description: "Only content created before this time" },
+          { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1, maximum: 100, default: 20 }, description: "Maximum number of KV keys scanned per page" },
+          { name: "cursor", in: "query", required: false, schema: { type: "string" }, description: "Cursor returned by the previous page" }
+        ],
+        responses: {
+          200: {
+            description: "Content catalog page retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contents: { type: "array", items: { $ref: "#/components/schemas/ContentCatalogEntry" } },
+                        count: { type: "integer", example: 20 },
+                        cursor: { type: "string", nullable: true, description: "Pass as cursor to fetch the next page; null on the last page" },
+                        hasMore: { type: "boolean", example: true }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Invalid filter or pagination parameters",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/recommend/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get recommended questions based on content",
+        description: "Generate AI-powered recommended questions based on content summary for enhanced learning experience (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "contentId",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+            description: "Content identifier to generate recommendations for",
+            example: "a1b2c3d4e5f6789"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Recommended questions generated successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
+                        recommendedQuestions: {
+                          type: "array",
+                          items: { type: "string" },
+                          example: [
+                            "이 강의에서 다루는 핵심 개념은 무엇인가요?",
+                            "실제 업무에서 이 내용을 어떻게 활용할 수 있나요?",
+                            "이 주제와 관련된 추가 학습 자료는 어떤 것이 있나요?",
+                            "강의 내용 중 가장 중요한 포인트는 무엇인가요?",
+                            "이론을 실습으로 연결하려면 어떤 방법이 좋을까요?"
+                          ]
+                        },
+                        total: { type: "integer", example: 5 },
+                        generatedAt: { type: "string", format: "date-time" },
+                        summaryPreview: { type: "string", description: "First 200 characters of the content summary" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Content ID required or summary empty",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Content summary not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          500: {
+            description: "Failed to generate recommended questions",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/quiz/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get quiz questions based on content",
+        description: "Retrieve AI-generated quiz questions that were created during content processing (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "contentId",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+            description: "Content identifier to get quiz questions for",
+            example: "f4d86c8ffbed032815287f11af8c4668"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Quiz questions retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string", example: "f4d86c8ffbed032815287f11af8c4668" },
+                        quiz: {
+                          type: "array",
+                          items: {
+                            type: "object",
+                            properties: {
+                              question: { type: "string", example: "비대면 시대에 사이버 공격이 증가하는 주된 이유는 무엇인가요?" },
+                              options: {
+                                type: "array",
+                                items: { type: "string" },
+                                example: ["온라인 활동 증가", "보안 인식 부족", "취약한 시스템", "모든 것이 해당"]
+                              },
+                              answer: { type: "integer", example: 3, description: "Correct answer index (0-3)" },
+                              explanation: { type: "string", example: "비대면 시대의 모든 요인이 사이버 공격 증가에 기여합니다." }
+                            }
+                          }
+                        },
+                        totalQuestions: { type: "integer", example: 5 },
+                        language: { type: "string", example: "ko" },
+                        videoUrl: { type: "string", format: "uri" },
+                        createdAt: { type: "string", format: "date-time" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Content ID required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Quiz questions not found for this content",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          500: {
+            description: "Failed to get quiz questions",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/content/objectives/{contentId}": {
+      get: {
+        tags: ["Content"],
+        summary: "Get learning objectives based on content",
+        description: "Retrieve AI-generated learning objectives from content summary for initial loading (requires authentication)",
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: "contentId",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+            description: "Content identifier to get learning objectives for",
+            example: "f4d86c8ffbed032815287f11af8c4668"
+          }
+        ],
+        responses: {
+          200: {
+            description: "Learning objectives retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string", example: "f4d86c8ffbed032815287f11af8c4668" },
+                        objectives: {
+                          type: "array",
+                          items: { type: "string" },
+                          example: [
+                            "이 강의를 통해 비대면 시대의 특징과 변화를 이해할 수 있다",
+                            "사이버 공격 증가의 원인과 배경을 설명할 수 있다",
+                            "피싱 메일과 악성코드의 위험성을 구분할 수 있다",
+                            "화상회의 플랫폼의 보안 취약점을 분석할 수 있다",
+                            "재택근무 환경에서의 보안 수칙을 적용할 수 있다"
+                          ]
+                        },
+                        totalObjectives: { type: "integer", example: 5 },
+                        language: { type: "string", example: "ko" },
+                        videoUrl: { type: "string", format: "uri" },
+                        createdAt: { type: "string", format: "date-time" },
+                        type: {
+                          type: "string",
+                          enum: ["cached", "generated"],
+                          example: "generated",
+                          description: "Whether objectives were cached or dynamically generated"
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Bad request - Content ID required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Authentication required",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Content summary not found for objectives generation",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          500: {
+            description: "Failed to get learning objectives",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants": {
+      post: {
+        tags: ["Admin"],
+        summary: "Register a tenant",
+        description: "Create a tenant record for a domain. Only registered, active tenants can obtain tokens. Unset quotas come from the tier defaults",
+        security: [{ AdminKey: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["domain"],
+                properties: {
+                  domain: { type: "string", example: "school.example.com" },
+                  tier: { type: "string", enum: ["basic", "standard", "premium"], default: "standard" },
+                  features: { type: "array", items: { type: "string", enum: ["chat", "tutor", "quiz", "content"] }, default: ["chat", "tutor", "quiz"] },
+                  quotas: { $ref: "#/components/schemas/TenantQuotas" },
+                  allowedOrigins: { type: "array", items: { type: "string", format: "uri" }, maxItems: 50, description: "Browser origins (scheme://host[:port]) allowed besides https://<domain>. Paths are stripped", example: ["https://app.example.com"] },
+                  defaultModel: { type: "string", default: "gpt-4o-mini" },
+                  modelRoutes: { type: "array", items: { $ref: "#/components/schemas/ModelRoute" }, minItems: 1, maxItems: 3, nullable: true, description: "LLM routes in fallback order; null uses the default routing (LLM_ROUTES)" },
+                  promptSettings: { $ref: "#/components/schemas/TenantPromptSettings" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: "Tenant created",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Invalid tenant settings",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          409: {
+            description: "Tenant already exists (code TENANT_EXISTS)",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      },
+      get: {
+        tags: ["Admin"],
+        summary: "List tenants",
+        description: "List registered tenants, paginated with an opaque cursor",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "status", in: "query", required: false, schema: { type: "string", enum: ["active", "suspended"] } },
+          { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1, maximum: 100, default: 50 } },
+          { name: "cursor", in: "query", required: false, schema: { type: "string" } }
+        ],
+        responses: {
+          200: {
+            description: "Tenant page retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        tenants: {
+                          type: "array",
+                          items: {
+                            type: "object",
+                            properties: {
+                              domain: { type: "string" },
+                              tier: { type: "string" },
+                              status: { type: "string" },
+                              updatedAt: { type: "string", format: "date-time" }
+                            }
+                          }
+                        },
+                        count: { type: "integer" },
+                        cursor: { type: "string", nullable: true },
+                        hasMore: { type: "boolean" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}": {
+      get: {
+        tags: ["Admin"],
+        summary: "Get a tenant",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        responses: {
+          200: {
+            description: "Tenant retrieved successfully",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      },
+      patch: {
+        tags: ["Admin"],
+        summary: "Update tenant settings",
+        description: "Partially update a tenant. quotas and promptSettings are merged with the current values. Token claims change on the next token issued",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  tier: { type: "string", enum: ["basic", "standard", "premium"] },
+                  features: { type: "array", items: { type: "string", enum: ["chat", "tutor", "quiz", "content"] } },
+                  quotas: { $ref: "#/components/schemas/TenantQuotas" },
+                  allowedOrigins: { type: "array", items: { type: "string", format: "uri" }, maxItems: 50, description: "Browser origins (scheme://host[:port]) allowed besides https://<domain>. Paths are stripped", example: ["https://app.example.com"] },
+                  defaultModel: { type: "string" },
+                  modelRoutes: { type: "array", items: { $ref: "#/components/schemas/ModelRoute" }, minItems: 1, maxItems: 3, nullable: true, description: "LLM routes in fallback order; null uses the default routing (LLM_ROUTES)" },
+                  promptSettings: { $ref: "#/components/schemas/TenantPromptSettings" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Tenant updated",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: "Invalid tenant settings",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}/suspend": {
+      post: {
+        tags: ["Admin"],
+        summary: "Suspend a tenant",
+        description: "New tokens are refused and existing tokens are rejected with TENANT_SUSPENDED",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  reason: { type: "string", maxLength: 500 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Tenant suspended",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}/activate": {
+      post: {
+        tags: ["Admin"],
+        summary: "Reactivate a tenant",
+        description: "Reactivate a suspended tenant",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  reason: { type: "string", maxLength: 500 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: "Tenant reactivated",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}/revoke-tokens": {
+      post: {
+        tags: ["Admin"],
+        summary: "Revoke all tenant tokens",
+        description: "Reject every access and refresh token issued to the tenant before now. Use after rotating or leaking the tenant's auth key; clients must authenticate again",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        responses: {
+          200: {
+            description: "Tokens revoked",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: { $ref: "#/components/schemas/Tenant" }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}/auth-keys": {
+      get: {
+        tags: ["Admin"],
+        summary: "List auth key versions",
+        description: "Key versions for the domain without key material. status is current, expiring (still accepted during the rotation overlap) or expired",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        responses: {
+          200: {
+            description: "Key versions",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        domain: { type: "string" },
+                        versions: {
+                          type: "array",
+                          items: {
+                            type: "object",
+                            properties: {
+                              version: { type: "integer" },
+                              createdAt: { type: "string", format: "date-time", nullable: true },
+                              expiresAt: { type: "string", format: "date-time", nullable: true },
+                              status: { type: "string", enum: ["current", "expiring", "expired"] }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/tenants/{domain}/auth-keys/rotate": {
+      post: {
+        tags: ["Admin"],
+        summary: "Rotate a tenant auth key",
+        description: "Issue a new auth key version. Previous keys stay valid for overlapSeconds (0 expires them immediately), and every token issued to the tenant so far is revoked. The rotation is recorded in the auth key audit trail",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "domain", in: "path", required: true, schema: { type: "string" }, example: "school.example.com" }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  overlapSeconds: { type: "integer", minimum: 0, maximum: 2592000, default: 604800 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: "New key issued",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean", example: true },
+                    data: {
+                      type: "object",
+                      properties: {
+                        domain: { type: "string" },
+                        authKey: { type: "string" },
+                        keyVersion: { type: "integer", example: 2 },
+                        previousKeysExpireAt: { type: "string", format: "date-time" },
+                        tokensRevokedAt: { type: "string", format: "date-time" }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: "Tenant not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        }
+      }
+    },
+    "/v1/admin/keys": {
+      post: {
+        tags: ["Admin"],
+        summary: "Create an admin API key",
+        description: "Create an admin API key. Only a salted hash is stored; the plaintext apiKey is returned once in this response",
+        security: [{ AdminKey: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                  name: { type: "string", maxLength: 100, example: "ops-team" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: { $ref: "#/components/responses/AdminKeyIssued" },
+          401: {
+            description: "Admin authentication failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          },
+          429: { $ref: "#/components/responses/AdminLocked" }
+        }
+      },
+      get: {
+        tags: ["Admin"],
+        summary: "List admin API keys",
+        security: [{ AdminKey: [] }],
+        responses: {
+          200: {
+            description: "Admin keys without their hashes",
             content: {
               "application/json": {
                 schema: {
@@ -680,39 +2610,8 @@ export const openApiSpec = {
                     data: {
                       type: "object",
                       properties: {
-                        jobId: { type: "string", format: "uuid" },
-                        status: { type: "string", example: "completed" },
-                        result: {
-                          type: "object",
-                          properties: {
-                            text: { type: "string", description: "Full transcribed text" },
-                            language: { type: "string", example: "ko" },
-                            duration: { type: "number", example: 120.5 },
-                            segments: {
-                              type: "array",
-                              items: {
-                                type: "object",
-                                properties: {
-                                  start: { type: "number", example: 0.0 },
-                                  end: { type: "number", example: 5.2 },
-                                  text: { type: "string", example: "Hello world" }
-                                }
-                              }
-                            },
-                            srt: { type: "string", description: "SRT format subtitle (if requested)" },
-                            vtt: { type: "string", description: "VTT format subtitle (if requested)" }
-                          }
-                        },
-                        metadata: {
-                          type: "object",
-                          properties: {
-                            language: { type: "string", example: "ko-KR" },
-                            options: { type: "object" },
-                            duration: { type: "number", example: 120.5 },
-                            wordCount: { type: "integer", example: 250 },
-                            completedAt: { type: "string", format: "date-time" }
-                          }
-                        }
+                        keys: { type: "array", items: { $ref: "#/components/schemas/AdminKey" } },
+                        count: { type: "integer" }
                       }
                     }
                   }
@@ -720,24 +2619,38 @@ export const openApiSpec = {
               }
             }
           },
-          400: {
-            description: "Job not completed yet",
+          401: {
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
-          },
+          }
+        }
+      }
+    },
+    "/v1/admin/keys/{keyId}/rotate": {
+      post: {
+        tags: ["Admin"],
+        summary: "Rotate an admin API key",
+        description: "Issue a new key with the same name and revoke the old one immediately",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "keyId", in: "path", required: true, schema: { type: "string" } }
+        ],
+        responses: {
+          201: { $ref: "#/components/responses/AdminKeyIssued" },
           404: {
-            description: "Job or result not found",
+            description: "Admin key not found",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          401: {
-            description: "Authentication required",
+          409: {
+            description: "Admin key is already revoked (ADMIN_KEY_REVOKED)",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -747,60 +2660,52 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/summary/{contentId}": {
-      get: {
-        tags: ["Content"],
-        summary: "Get content summary for chatbot integration",
-        description: "Retrieve AI-generated summary of transcribed content by content ID (requires authentication)",
-        security: [{ BearerAuth: [] }],
+    "/v1/admin/keys/{keyId}/revoke": {
+      post: {
+        tags: ["Admin"],
+        summary: "Revoke an admin API key",
+        security: [{ AdminKey: [] }],
         parameters: [
-          {
-            name: "contentId",
-            in: "path",
-            required: true,
-            schema: {
-              type: "string",
-              example: "a1b2c3d4e5f6789"
-            },
-            description: "Content ID (job ID from transcription)"
-          }
+          { name: "keyId", in: "path", required: true, schema: { type: "string" } }
         ],
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  reason: { type: "string", maxLength: 500 }
+                }
+              }
+            }
+          }
+        },
         responses: {
           200: {
-            description: "Content summary retrieved successfully",
+            description: "Admin key revoked",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
                     success: { type: "boolean", example: true },
-                    data: {
-                      type: "object",
-                      properties: {
-                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
-                        originalText: { type: "string", description: "Full original transcription text" },
-                        summary: { type: "string", description: "AI-generated educational summary" },
-                        language: { type: "string", example: "ko" },
-                        duration: { type: "number", example: 120.5 },
-                        videoUrl: { type: "string", format: "uri" },
-                        createdAt: { type: "string", format: "date-time" }
-                      }
-                    }
+                    data: { $ref: "#/components/schemas/AdminKey" }
                   }
                 }
               }
             }
           },
           404: {
-            description: "Content summary not found",
+            description: "Admin key not found",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          401: {
-            description: "Authentication required",
+          409: {
+            description: "Admin key is already revoked (ADMIN_KEY_REVOKED)",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -810,27 +2715,20 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/subtitle/{contentId}": {
+    "/v1/admin/audit/auth-keys": {
       get: {
-        tags: ["Content"],
-        summary: "Get content subtitle segments",
-        description: "Retrieve transcription segments with timestamps by content ID (requires authentication)",
-        security: [{ BearerAuth: [] }],
+        tags: ["Admin"],
+        summary: "List issued auth keys",
+        description: "Audit trail of domain auth keys issued through /v1/auth/generate, oldest first. Only a fingerprint (first 16 hex characters of the key's SHA-256) is stored",
+        security: [{ AdminKey: [] }],
         parameters: [
-          {
-            name: "contentId",
-            in: "path",
-            required: true,
-            schema: {
-              type: "string",
-              example: "a1b2c3d4e5f6789"
-            },
-            description: "Content ID (job ID from transcription)"
-          }
+          { name: "domain", in: "query", schema: { type: "string" } },
+          { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 50 } },
+          { name: "cursor", in: "query", schema: { type: "string" } }
         ],
         responses: {
           200: {
-            description: "Content subtitle retrieved successfully",
+            description: "Audit entries",
             content: {
               "application/json": {
                 schema: {
@@ -840,25 +2738,32 @@ export const openApiSpec = {
                     data: {
                       type: "object",
                       properties: {
-                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
-                        language: { type: "string", example: "ko" },
-                        duration: { type: "number", example: 120.5 },
-                        segments: {
+                        entries: {
                           type: "array",
                           items: {
                             type: "object",
                             properties: {
-                              start: { type: "number", example: 0.0 },
-                              end: { type: "number", example: 3.38 },
-                              text: { type: "string", example: "이제는 온라인과 때려야 뗄 수 없는 우리의 삶" }
+                              auditId: { type: "string", format: "uuid" },
+                              domain: { type: "string" },
+                              keyVersion: { type: "integer" },
+                              rotated: { type: "boolean", description: "Issued by a key rotation" },
+                              authKeyFingerprint: { type: "string", example: "bcf0d9d06d4f9894" },
+                              issuedBy: {
+                                type: "object",
+                                nullable: true,
+                                properties: {
+                                  keyId: { type: "string" },
+                                  name: { type: "string" }
+                                }
+                              },
+                              clientIp: { type: "string" },
+                              issuedAt: { type: "string", format: "date-time" }
                             }
                           }
                         },
-                        format: { type: "string", example: "vtt" },
-                        content: { type: "string", description: "Formatted subtitle content (VTT/SRT)" },
-                        source: { type: "string", example: "cloudflare-stream-ai" },
-                        videoUrl: { type: "string", format: "uri" },
-                        createdAt: { type: "string", format: "date-time" }
+                        count: { type: "integer" },
+                        cursor: { type: "string", nullable: true },
+                        hasMore: { type: "boolean" }
                       }
                     }
                   }
@@ -866,16 +2771,8 @@ export const openApiSpec = {
               }
             }
           },
-          404: {
-            description: "Content subtitle not found",
-            content: {
-              "application/json": {
-                schema: { $ref: "#/components/schemas/Error" }
-              }
-            }
-          },
           401: {
-            description: "Authentication required",
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -884,57 +2781,23 @@ export const openApiSpec = {
           }
         }
       }
-    },
-    "/v1/content/search": {
-      post: {
-        tags: ["Content"],
-        summary: "Search content using vectorized semantic search",
-        description: "Perform semantic search across indexed content using vector embeddings (no authentication required)",
-        requestBody: {
-          required: true,
-          content: {
-            "application/json": {
-              schema: {
-                type: "object",
-                required: ["query"],
-                properties: {
-                  query: {
-                    type: "string",
-                    minLength: 1,
-                    example: "재택근무 보안",
-                    description: "Search query for semantic content matching"
-                  },
-                  topK: {
-                    type: "integer",
-                    minimum: 1,
-                    maximum: 50,
-                    default: 10,
-                    example: 10,
-                    description: "Number of top results to return"
-                  },
-                  contentId: {
-                    type: "string",
-                    example: "a1b2c3d4e5f6789",
-                    description: "Filter results to specific content ID"
-                  },
-                  type: {
-                    type: "string",
-                    enum: ["transcript", "summary"],
-                    description: "Filter by content type"
-                  },
-                  language: {
-                    type: "string",
-                    example: "ko",
-                    description: "Filter by language"
-                  }
-                }
-              }
-            }
-          }
-        },
+    }
+,
+    "/v1/admin/cache/{contentId}": {
+      get: {
+        tags: ["Admin"],
+        summary: "List cached chat answers",
+        description: "Cached answers of a content, without answer text. Use contentId \"general\" for answers not tied to a content",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "domain", in: "query", schema: { type: "string" } },
+          { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 50 } },
+          { name: "cursor", in: "query", schema: { type: "string" } }
+        ],
         responses: {
           200: {
-            description: "Search results retrieved successfully",
+            description: "Cache entries",
             content: {
               "application/json": {
                 schema: {
@@ -944,42 +2807,11 @@ export const openApiSpec = {
                     data: {
                       type: "object",
                       properties: {
-                        query: { type: "string", example: "재택근무 보안" },
-                        results: {
-                          type: "array",
-                          items: {
-                            type: "object",
-                            properties: {
-                              id: { type: "string", example: "a1b2c3d4-transcript-0" },
-                              score: { type: "number", example: 0.85, description: "Similarity score (0-1)" },
-                              contentId: { type: "string", example: "a1b2c3d4e5f6789" },
-                              type: { type: "string", enum: ["transcript", "summary"], example: "transcript" },
-                              text: { type: "string", example: "재택근무 보안에 대한 중요한 지침들..." },
-                              chunkIndex: { type: "integer", example: 0 },
-                              startTime: { type: "number", example: 45.2 },
-                              endTime: { type: "number", example: 78.5 },
-                              language: { type: "string", example: "ko" },
-                              createdAt: { type: "string", format: "date-time" }
-                            }
-                          }
-                        },
-                        total: { type: "integer", example: 5 },
-                        options: {
-                          type: "object",
-                          properties: {
-                            topK: { type: "integer", example: 10 },
-                            contentId: { type: "string" },
-                            type: { type: "string" },
-                            language: { type: "string" }
-                          }
-                        },
-                        debug: {
-                          type: "object",
-                          properties: {
-                            requestedContentId: { type: "string" },
-                            metadataFilterApplied: { type: "boolean" }
-                          }
-                        }
+                        contentId: { type: "string" },
+                        entries: { type: "array", items: { $ref: "#/components/schemas/AnswerCacheEntry" } },
+                        count: { type: "integer" },
+                        cursor: { type: "string", nullable: true },
+                        hasMore: { type: "boolean" }
                       }
                     }
                   }
@@ -987,16 +2819,8 @@ export const openApiSpec = {
               }
             }
           },
-          400: {
-            description: "Bad request - Invalid search parameters",
-            content: {
-              "application/json": {
-                schema: { $ref: "#/components/schemas/Error" }
-              }
-            }
-          },
-          500: {
-            description: "Search service error",
+          401: {
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1004,41 +2828,31 @@ export const openApiSpec = {
             }
           }
         }
-      }
-    },
-    "/v1/content/contents": {
-      get: {
-        tags: ["Content"],
-        summary: "List available content infos",
-        description: "Get a list of all available content metadata and summary previews (requires authentication)",
-        security: [{ BearerAuth: [] }],
+      },
+      delete: {
+        tags: ["Admin"],
+        summary: "Purge cached chat answers",
+        description: "Delete a content's cached answers and their question vectors, optionally only one domain's",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "domain", in: "query", schema: { type: "string" } }
+        ],
         responses: {
           200: {
-            description: "Content summaries list retrieved successfully",
+            description: "Number of deleted answers",
             content: {
               "application/json": {
                 schema: {
                   type: "object",
                   properties: {
                     success: { type: "boolean", example: true },
-                    data: {
-                      type: "object",
-                      properties: {
-                        contents: {
-                          type: "array",
-                          items: {
-                            type: "object",
-                            properties: {
-                              contentId: { type: "string", example: "a1b2c3d4e5f6789" },
-                              language: { type: "string", example: "ko" },
-                              duration: { type: "number", example: 120.5 },
-                              videoUrl: { type: "string", format: "uri" },
-                              createdAt: { type: "string", format: "date-time" },
-                              summaryPreview: { type: "string", description: "First 200 characters of the summary" }
-                            }
-                          }
-                        },
-                        total: { type: "integer", example: 5 }
+                    data: {
+                      type: "object",
+                      properties: {
+                        contentId: { type: "string" },
+                        domain: { type: "string", nullable: true },
+                        deleted: { type: "integer" }
                       }
                     }
                   }
@@ -1047,7 +2861,7 @@ export const openApiSpec = {
             }
           },
           401: {
-            description: "Authentication required",
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1057,25 +2871,19 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/recommend/{contentId}": {
+    "/v1/admin/cache/{contentId}/{domain}/{entryId}": {
       get: {
-        tags: ["Content"],
-        summary: "Get recommended questions based on content",
-        description: "Generate AI-powered recommended questions based on content summary for enhanced learning experience (requires authentication)",
-        security: [{ BearerAuth: [] }],
+        tags: ["Admin"],
+        summary: "Get a cached chat answer",
+        security: [{ AdminKey: [] }],
         parameters: [
-          {
-            name: "contentId",
-            in: "path",
-            required: true,
-            schema: { type: "string" },
-            description: "Content identifier to generate recommendations for",
-            example: "a1b2c3d4e5f6789"
-          }
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "domain", in: "path", required: true, schema: { type: "string" } },
+          { name: "entryId", in: "path", required: true, schema: { type: "string", format: "uuid" } }
         ],
         responses: {
           200: {
-            description: "Recommended questions generated successfully",
+            description: "Cache entry with the answer and its sources",
             content: {
               "application/json": {
                 schema: {
@@ -1083,56 +2891,63 @@ export const openApiSpec = {
                   properties: {
                     success: { type: "boolean", example: true },
                     data: {
-                      type: "object",
-                      properties: {
-                        contentId: { type: "string", example: "a1b2c3d4e5f6789" },
-                        recommendedQuestions: {
-                          type: "array",
-                          items: { type: "string" },
-                          example: [
-                            "이 강의에서 다루는 핵심 개념은 무엇인가요?",
-                            "실제 업무에서 이 내용을 어떻게 활용할 수 있나요?",
-                            "이 주제와 관련된 추가 학습 자료는 어떤 것이 있나요?",
-                            "강의 내용 중 가장 중요한 포인트는 무엇인가요?",
-                            "이론을 실습으로 연결하려면 어떤 방법이 좋을까요?"
-                          ]
-                        },
-                        total: { type: "integer", example: 5 },
-                        generatedAt: { type: "string", format: "date-time" },
-                        summaryPreview: { type: "string", description: "First 200 characters of the content summary" }
-                      }
+                      allOf: [
+                        { $ref: "#/components/schemas/AnswerCacheEntry" },
+                        {
+                          type: "object",
+                          properties: {
+                            answer: { type: "string" },
+                            sources: { type: "array", items: { type: "object" } }
+                          }
+                        }
+                      ]
                     }
                   }
                 }
               }
             }
           },
-          400: {
-            description: "Bad request - Content ID required or summary empty",
+          401: {
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          401: {
-            description: "Authentication required",
+          404: {
+            description: "Cache entry not found or expired",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
+          }
+        }
+      },
+      delete: {
+        tags: ["Admin"],
+        summary: "Delete a cached chat answer",
+        security: [{ AdminKey: [] }],
+        parameters: [
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } },
+          { name: "domain", in: "path", required: true, schema: { type: "string" } },
+          { name: "entryId", in: "path", required: true, schema: { type: "string", format: "uuid" } }
+        ],
+        responses: {
+          200: {
+            description: "Entry deleted"
           },
-          404: {
-            description: "Content summary not found",
+          401: {
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          500: {
-            description: "Failed to generate recommended questions",
+          404: {
+            description: "Cache entry not found or expired",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1142,25 +2957,25 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/quiz/{contentId}": {
+    "/v1/admin/contents": {
       get: {
-        tags: ["Content"],
-        summary: "Get quiz questions based on content",
-        description: "Retrieve AI-generated quiz questions that were created during content processing (requires authentication)",
-        security: [{ BearerAuth: [] }],
+        tags: ["Admin"],
+        summary: "List content across tenants",
+        description: "Content catalog of every domain, optionally filtered by owning domain. Use unowned=true to find content uploaded before ownership existed, which can then be claimed. Filters are applied to each page of KV keys, so a page can hold fewer than limit entries while cursor is still set",
+        security: [{ AdminKey: [] }],
         parameters: [
-          {
-            name: "contentId",
-            in: "path",
-            required: true,
-            schema: { type: "string" },
-            description: "Content identifier to get quiz questions for",
-            example: "f4d86c8ffbed032815287f11af8c4668"
-          }
+          { name: "domain", in: "query", schema: { type: "string" }, description: "Only content owned by this domain" },
+          { name: "unowned", in: "query", schema: { type: "string", enum: ["true", "false"] }, description: "Only content no domain owns" },
+          { name: "status", in: "query", schema: { type: "string", enum: ["queued", "processing", "completed", "failed"] } },
+          { name: "language", in: "query", schema: { type: "string" } },
+          { name: "createdAfter", in: "query", schema: { type: "string", format: "date-time" } },
+          { name: "createdBefore", in: "query", schema: { type: "string", format: "date-time" } },
+          { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 50 }, description: "Maximum number of KV keys scanned per page" },
+          { name: "cursor", in: "query", schema: { type: "string" } }
         ],
         responses: {
           200: {
-            description: "Quiz questions retrieved successfully",
+            description: "Content catalog page",
             content: {
               "application/json": {
                 schema: {
@@ -1170,27 +2985,10 @@ export const openApiSpec = {
                     data: {
                       type: "object",
                       properties: {
-                        contentId: { type: "string", example: "f4d86c8ffbed032815287f11af8c4668" },
-                        quiz: {
-                          type: "array",
-                          items: {
-                            type: "object",
-                            properties: {
-                              question: { type: "string", example: "비대면 시대에 사이버 공격이 증가하는 주된 이유는 무엇인가요?" },
-                              options: {
-                                type: "array",
-                                items: { type: "string" },
-                                example: ["온라인 활동 증가", "보안 인식 부족", "취약한 시스템", "모든 것이 해당"]
-                              },
-                              answer: { type: "integer", example: 3, description: "Correct answer index (0-3)" },
-                              explanation: { type: "string", example: "비대면 시대의 모든 요인이 사이버 공격 증가에 기여합니다." }
-                            }
-                          }
-                        },
-                        totalQuestions: { type: "integer", example: 5 },
-                        language: { type: "string", example: "ko" },
-                        videoUrl: { type: "string", format: "uri" },
-                        createdAt: { type: "string", format: "date-time" }
+                        contents: { type: "array", items: { $ref: "#/components/schemas/ContentCatalogEntry" } },
+                        count: { type: "integer" },
+                        cursor: { type: "string", nullable: true },
+                        hasMore: { type: "boolean" }
                       }
                     }
                   }
@@ -1199,7 +2997,7 @@ export const openApiSpec = {
             }
           },
           400: {
-            description: "Bad request - Content ID required",
+            description: "Invalid query parameters",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1207,23 +3005,7 @@ export const openApiSpec = {
             }
           },
           401: {
-            description: "Authentication required",
-            content: {
-              "application/json": {
-                schema: { $ref: "#/components/schemas/Error" }
-              }
-            }
-          },
-          404: {
-            description: "Quiz questions not found for this content",
-            content: {
-              "application/json": {
-                schema: { $ref: "#/components/schemas/Error" }
-              }
-            }
-          },
-          500: {
-            description: "Failed to get quiz questions",
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1233,25 +3015,33 @@ export const openApiSpec = {
         }
       }
     },
-    "/v1/content/objectives/{contentId}": {
-      get: {
-        tags: ["Content"],
-        summary: "Get learning objectives based on content",
-        description: "Retrieve AI-generated learning objectives from content summary for initial loading (requires authentication)",
-        security: [{ BearerAuth: [] }],
+    "/v1/admin/contents/{contentId}/claim": {
+      post: {
+        tags: ["Admin"],
+        summary: "Assign content to a domain",
+        description: "Record the owning domain on a content item and tag its vectors with it, without re-embedding. Content uploaded before ownership existed belongs to no domain (its contentId is the SHA-256 of the video URL alone) and is unreachable until claimed. The content's cached answers are purged.",
+        security: [{ AdminKey: [] }],
         parameters: [
-          {
-            name: "contentId",
-            in: "path",
-            required: true,
-            schema: { type: "string" },
-            description: "Content identifier to get learning objectives for",
-            example: "f4d86c8ffbed032815287f11af8c4668"
-          }
+          { name: "contentId", in: "path", required: true, schema: { type: "string" } }
         ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["domain"],
+                properties: {
+                  domain: { type: "string", example: "school.example.com" },
+                  force: { type: "boolean", default: false, description: "Reassign content already owned by another domain" }
+                }
+              }
+            }
+          }
+        },
         responses: {
           200: {
-            description: "Learning objectives retrieved successfully",
+            description: "Content claimed",
             content: {
               "application/json": {
                 schema: {
@@ -1261,28 +3051,11 @@ export const openApiSpec = {
                     data: {
                       type: "object",
                       properties: {
-                        contentId: { type: "string", example: "f4d86c8ffbed032815287f11af8c4668" },
-                        objectives: {
-                          type: "array",
-                          items: { type: "string" },
-                          example: [
-                            "이 강의를 통해 비대면 시대의 특징과 변화를 이해할 수 있다",
-                            "사이버 공격 증가의 원인과 배경을 설명할 수 있다",
-                            "피싱 메일과 악성코드의 위험성을 구분할 수 있다",
-                            "화상회의 플랫폼의 보안 취약점을 분석할 수 있다",
-                            "재택근무 환경에서의 보안 수칙을 적용할 수 있다"
-                          ]
-                        },
-                        totalObjectives: { type: "integer", example: 5 },
-                        language: { type: "string", example: "ko" },
-                        videoUrl: { type: "string", format: "uri" },
-                        createdAt: { type: "string", format: "date-time" },
-                        type: {
-                          type: "string",
-                          enum: ["cached", "generated"],
-                          example: "generated",
-                          description: "Whether objectives were cached or dynamically generated"
-                        }
+                        contentId: { type: "string" },
+                        domain: { type: "string" },
+                        previousDomain: { type: "string", nullable: true },
+                        vectorsRetagged: { type: "integer", nullable: true, description: "null when Vectorize is not bound" },
+                        cachedAnswersInvalidated: { type: "integer" }
                       }
                     }
                   }
@@ -1291,7 +3064,7 @@ export const openApiSpec = {
             }
           },
           400: {
-            description: "Bad request - Content ID required",
+            description: "Invalid request body",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1299,7 +3072,7 @@ export const openApiSpec = {
             }
           },
           401: {
-            description: "Authentication required",
+            description: "Admin authentication failed",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1307,15 +3080,15 @@ export const openApiSpec = {
             }
           },
           404: {
-            description: "Content summary not found for objectives generation",
+            description: "Content not found",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
               }
             }
           },
-          500: {
-            description: "Failed to get learning objectives",
+          409: {
+            description: "Content is owned by another domain and force is not set (CONTENT_OWNED)",
             content: {
               "application/json": {
                 schema: { $ref: "#/components/schemas/Error" }
@@ -1333,9 +3106,193 @@ export const openApiSpec = {
         scheme: "bearer",
         bearerFormat: "JWT",
         description: "JWT token obtained from /v1/auth endpoint"
+      },
+      AdminKey: {
+        type: "apiKey",
+        in: "header",
+        name: "X-Admin-Key",
+        description: "Admin API key from POST /v1/admin/keys (or the ADMIN_BOOTSTRAP_KEY secret to create the first key)"
+      }
+    },
+    responses: {
+      AdminLocked: {
+        description: "Too many failed admin key attempts from this client (ADMIN_LOCKED). Retry-After gives the seconds until the lockout ends",
+        headers: {
+          "Retry-After": { schema: { type: "integer" } }
+        },
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/Error" }
+          }
+        }
+      },
+      AdminKeyIssued: {
+        description: "Admin key created. Store apiKey now; it cannot be retrieved again",
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                success: { type: "boolean", example: true },
+                data: {
+                  type: "object",
+                  properties: {
+                    key: { $ref: "#/components/schemas/AdminKey" },
+                    apiKey: { type: "string", example: "adk_5b137fa56be2_9f2c..." }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      Forbidden: {
+        description: "The token lacks a required feature (FEATURE_NOT_ENABLED) or scope (INSUFFICIENT_SCOPE), or the request Origin is not allowed for the token's tenant (ORIGIN_NOT_ALLOWED)",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/Error" }
+          }
+        }
+      },
+      RateLimited: {
+        description: "Rate limit or daily token quota exceeded. Retry-After gives the seconds until the exceeded window resets",
+        headers: {
+          "Retry-After": { schema: { type: "integer" } },
+          "X-RateLimit-Limit": { schema: { type: "integer" } },
+          "X-RateLimit-Remaining": { schema: { type: "integer" } },
+          "X-RateLimit-Reset": { schema: { type: "integer" }, description: "Epoch seconds" },
+          "X-RateLimit-Scope": { schema: { type: "string" }, example: "learner/minute" }
+        },
+        content: {
+          "application/json": {
+            schema: {
+              allOf: [
+                { $ref: "#/components/schemas/Error" },
+                {
+                  type: "object",
+                  properties: {
+                    code: { type: "string", enum: ["RATE_LIMIT_EXCEEDED", "TOKEN_QUOTA_EXCEEDED"] },
+                    limit: {
+                      type: "object",
+                      properties: {
+                        scope: { type: "string", example: "tenant" },
+                        window: { type: "string", enum: ["minute", "day", "tokens"] },
+                        limit: { type: "integer" },
+                        reset: { type: "string", format: "date-time" }
+                      }
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        }
       }
     },
     schemas: {
+      TokenResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", example: true },
+          message: { type: "string", example: "Domain verified successfully" },
+          token: { type: "string", example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...", description: "Access token for the Authorization header" },
+          refreshToken: { type: "string", description: "Single-use token for POST /v1/auth/refresh" },
+          domain: { type: "string", example: "example.com" },
+          expiresIn: { type: "integer", example: 3600, description: "Access token lifetime in seconds" },
+          refreshExpiresIn: { type: "integer", example: 2592000, description: "Refresh token lifetime in seconds" },
+          domainInfo: {
+            type: "object",
+            properties: {
+              tier: { type: "string", example: "standard" },
+              maxRequestsPerDay: { type: "integer", example: 1000 },
+              features: { type: "array", items: { type: "string" }, example: ["chat", "quiz"] }
+            }
+          },
+          scopes: { type: "array", items: { type: "string" }, example: ["learner"] },
+          timestamp: { type: "string", format: "date-time" }
+        }
+      },
+      AdminKey: {
+        type: "object",
+        properties: {
+          keyId: { type: "string", example: "5b137fa56be2" },
+          name: { type: "string", example: "ops-team" },
+          status: { type: "string", enum: ["active", "revoked"] },
+          createdAt: { type: "string", format: "date-time" },
+          lastUsedAt: { type: "string", format: "date-time", nullable: true },
+          revokedAt: { type: "string", format: "date-time", nullable: true },
+          replacedBy: { type: "string", nullable: true, description: "keyId of the key issued when this one was rotated" }
+        }
+      },
+      ContentCatalogEntry: {
+        type: "object",
+        properties: {
+          contentId: { type: "string", example: "a1b2c3d4e5f6789" },
+          status: { type: "string", example: "completed" },
+          language: { type: "string", example: "ko-KR" },
+          duration: { type: "number", nullable: true, example: 120.5 },
+          domain: { type: "string", nullable: true, example: "example.com", description: "Owning domain; null for content uploaded before ownership existed" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time", nullable: true }
+        }
+      },
+      Tenant: {
+        type: "object",
+        properties: {
+          domain: { type: "string", example: "school.example.com" },
+          tier: { type: "string", enum: ["basic", "standard", "premium"] },
+          status: { type: "string", enum: ["active", "suspended"] },
+          statusReason: { type: "string", nullable: true },
+          tokensRevokedAt: { type: "string", format: "date-time", nullable: true, description: "Tokens issued before this time are rejected" },
+          features: { type: "array", items: { type: "string", enum: ["chat", "tutor", "quiz", "content"] } },
+          quotas: { allOf: [{ $ref: "#/components/schemas/TenantQuotas" }], description: "Overrides of the tier defaults; limits not set here follow the current tier" },
+          allowedOrigins: { type: "array", items: { type: "string", format: "uri" }, maxItems: 50, description: "Browser origins (scheme://host[:port]) allowed besides https://<domain>. Paths are stripped", example: ["https://app.example.com"] },
+          defaultModel: { type: "string", example: "gpt-4o-mini" },
+          modelRoutes: { type: "array", items: { $ref: "#/components/schemas/ModelRoute" }, minItems: 1, maxItems: 3, nullable: true, description: "LLM routes in fallback order; null uses the default routing (LLM_ROUTES)" },
+          promptSettings: { $ref: "#/components/schemas/TenantPromptSettings" },
+          grantableScopes: { type: "array", items: { type: "string", enum: ["learner", "instructor", "admin"] }, minItems: 1, default: ["learner"], description: "Scopes the domain key may request at POST /v1/auth and roles allowed for learner tokens. A higher scope includes the lower ones" },
+          autoRegistered: { type: "boolean", description: "Registered automatically on the domain's first request, with the settings domains had before the tenant registry" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" }
+        }
+      },
+      TenantQuotas: {
+        type: "object",
+        properties: {
+          requestsPerMinute: { type: "integer", example: 60 },
+          requestsPerDay: { type: "integer", example: 1000 },
+          tokensPerDay: { type: "integer", example: 1000000 },
+          perLearner: {
+            type: "object",
+            description: "Limits for each learner within the tenant",
+            properties: {
+              requestsPerMinute: { type: "integer", example: 10 },
+              requestsPerDay: { type: "integer", example: 200 },
+              tokensPerDay: { type: "integer", example: 100000 }
+            }
+          },
+          features: {
+            type: "object",
+            description: "Request limits per feature (chat, tutor, quiz, upload)",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                requestsPerMinute: { type: "integer" },
+                requestsPerDay: { type: "integer" }
+              }
+            }
+          }
+        }
+      },
+      TenantPromptSettings: {
+        type: "object",
+        description: "Defaults applied to chat and tutor requests. instructions are always appended to the system prompt",
+        properties: {
+          instructions: { type: "string", maxLength: 4000 },
+          maxTokens: { type: "integer", minimum: 1, maximum: 4000 },
+          temperature: { type: "number", minimum: 0, maximum: 2 }
+        }
+      },
       AIOptions: {
         type: "object",
         properties: {
@@ -1354,9 +3311,74 @@ export const openApiSpec = {
             minimum: 1,
             maximum: 4000,
             example: 500
+          },
+          streamFormat: {
+            type: "string",
+            enum: ["text", "events"],
+            default: "text",
+            description: "\"text\" streams raw answer text (default). \"events\" streams named SSE events: meta (cacheHit, cacheScore on cache hits (1 for an exact question match), grounded, rejected, provider and model that answered), delta (content), sources (chunk, contentId, type, score, startTime, endTime), citations (chunks cited in the answer, resolved to contentId/startTime/endTime with a label; timestamp is the video position for transcript chunks and null for other sources such as the summary; unverified lists cited numbers that were never retrieved), done (usage) and error"
           }
         }
       },
+      ChatSession: {
+        type: "object",
+        properties: {
+          sessionId: { type: "string", format: "uuid" },
+          learnerId: { type: "string" },
+          title: { type: "string", nullable: true },
+          contentId: { type: "string", nullable: true },
+          messages: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                role: { type: "string", enum: ["user", "assistant"] },
+                content: { type: "string" },
+                citations: {
+                  type: "array",
+                  description: "Verified lecture citations for course-grounded assistant answers",
+                  items: { type: "object" }
+                },
+                createdAt: { type: "string", format: "date-time" }
+              }
+            }
+          },
+          messageCount: { type: "integer" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" }
+        }
+      },
+      QuizScore: {
+        type: "object",
+        properties: {
+          correct: { type: "integer", example: 8 },
+          total: { type: "integer", example: 10 },
+          percentage: { type: "integer", example: 80 }
+        }
+      },
+      ModelRoute: {
+        type: "object",
+        required: ["provider"],
+        properties: {
+          provider: { type: "string", enum: ["openai", "workers-ai", "local"] },
+          model: { type: "string", description: "Provider model name. Defaults to the provider's default model (for openai, the requested model or defaultModel)", example: "@cf/meta/llama-3.1-8b-instruct" }
+        }
+      },
+      AnswerCacheEntry: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "SHA-256 of the domain, contentId, normalized question, conversation context hash, model and prompt version" },
+          domain: { type: "string" },
+          contentId: { type: "string" },
+          question: { type: "string", description: "First 100 characters in listings" },
+          contextHash: { type: "string", description: "SHA-256 of the messages before the question (\"none\" for an opening question); first 12 characters in listings" },
+          model: { type: "string", example: "gpt-4o-mini" },
+          promptVersion: { type: "string", example: "grounded-v1:e3b0c44298fc", description: "Chat prompt template version and a hash of the tenant instructions" },
+          indexVersion: { type: "integer", nullable: true, description: "Content index version when the answer was generated" },
+          createdAt: { type: "string", format: "date-time" },
+          expiresAt: { type: "string", format: "date-time" }
+        }
+      },
       Error: {
         type: "object",
         properties: {
@@ -1389,6 +3411,10 @@ export const openApiSpec = {
       name: "Chat",
       description: "AI chat functionality (requires authentication)"
     },
+    {
+      name: "Tutor",
+      description: "Pedagogy-aware tutoring (requires authentication)"
+    },
     {
       name: "Quiz",
       description: "Quiz generation and management endpoints (requires authentication)"
@@ -1396,6 +3422,10 @@ export const openApiSpec = {
     {
       name: "Transcribe",
       description: "Video transcription and subtitle generation endpoints (requires authentication)"
+    },
+    {
+      name: "Admin",
+      description: "Tenant registry, admin API keys and auth key audit (requires an admin API key)"
     }
   ]
 };
\ No newline at end of file
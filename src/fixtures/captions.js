@@ -0,0 +1,84 @@
+/**
+ * WebVTT captions served by the mock Stream service (LLM_MOCK) instead of Stream AI captions.
+ * byVideoUrl holds captions for specific uploaded video URLs; other videos get the default captions
+ * for the requested caption language (falling back to 'en').
+ */
+export const CAPTION_FIXTURES = {
+  byVideoUrl: {},
+  ko: `WEBVTT
+
+00:00:00.000 --> 00:00:12.000
+오늘은 식물이 에너지를 얻는 과정인 광합성에 대해 알아보겠습니다.
+
+00:00:12.000 --> 00:00:27.500
+광합성은 식물이 빛 에너지를 화학 에너지로 바꾸는 과정입니다. 이 과정은 잎의 세포 안에 있는 엽록체에서 일어납니다.
+
+00:00:27.500 --> 00:00:43.000
+엽록체 안의 엽록소는 빛을 흡수하는 초록색 색소입니다. 엽록소는 주로 빨간색과 파란색 빛을 흡수하고 초록색 빛은 반사합니다.
+
+00:00:43.000 --> 00:01:00.000
+광합성에는 물과 이산화탄소가 필요합니다. 뿌리로 흡수한 물과 기공으로 들어온 이산화탄소가 엽록체로 이동합니다.
+
+00:01:00.000 --> 00:01:18.000
+빛 에너지를 이용해 물을 분해하면 산소가 만들어지고, 이 산소는 기공을 통해 밖으로 나갑니다.
+
+00:01:18.000 --> 00:01:36.000
+이산화탄소는 캘빈 회로를 거쳐 포도당이 됩니다. 포도당은 식물이 자라는 데 필요한 에너지와 재료가 됩니다.
+
+00:01:36.000 --> 00:01:55.000
+다음으로 세포 호흡을 살펴보겠습니다. 세포 호흡은 포도당을 분해하여 생명 활동에 필요한 에너지를 얻는 과정입니다.
+
+00:01:55.000 --> 00:02:12.000
+세포 호흡은 미토콘드리아에서 일어나며, 산소를 사용하고 이산화탄소와 물을 내보냅니다.
+
+00:02:12.000 --> 00:02:30.000
+광합성과 세포 호흡은 서로 반대 방향의 과정입니다. 광합성의 산물이 세포 호흡의 재료가 되고, 세포 호흡의 산물이 광합성의 재료가 됩니다.
+
+00:02:30.000 --> 00:02:48.000
+빛의 세기, 이산화탄소 농도, 온도는 광합성 속도에 영향을 줍니다. 빛이 강해질수록 광합성 속도는 빨라지다가 일정해집니다.
+
+00:02:48.000 --> 00:03:05.000
+온도가 너무 높으면 광합성에 관여하는 효소가 제대로 작동하지 않아 광합성 속도가 느려집니다.
+
+00:03:05.000 --> 00:03:20.000
+오늘 배운 광합성과 세포 호흡의 관계를 정리하고, 다음 시간에는 식물의 물질 이동을 알아보겠습니다.
+`,
+  en: `WEBVTT
+
+00:00:00.000 --> 00:00:12.000
+Today we will look at photosynthesis, the process plants use to get energy.
+
+00:00:12.000 --> 00:00:27.500
+Photosynthesis turns light energy into chemical energy. It takes place in the chloroplasts inside leaf cells.
+
+00:00:27.500 --> 00:00:43.000
+Chlorophyll in the chloroplasts is a green pigment that absorbs light, mostly red and blue light, and reflects green light.
+
+00:00:43.000 --> 00:01:00.000
+Photosynthesis needs water and carbon dioxide. Water comes in through the roots and carbon dioxide through the stomata.
+
+00:01:00.000 --> 00:01:18.000
+Light energy splits water, which releases oxygen. The oxygen leaves the leaf through the stomata.
+
+00:01:18.000 --> 00:01:36.000
+Carbon dioxide becomes glucose in the Calvin cycle. Glucose gives the plant energy and material to grow.
+
+00:01:36.000 --> 00:01:55.000
+Next is cellular respiration, which breaks down glucose to release the energy cells need.
+
+00:01:55.000 --> 00:02:12.000
+Cellular respiration happens in the mitochondria. It uses oxygen and releases carbon dioxide and water.
+
+00:02:12.000 --> 00:02:30.000
+Photosynthesis and cellular respiration run in opposite directions: the products of one are the inputs of the other.
+
+00:02:30.000 --> 00:02:48.000
+Light intensity, carbon dioxide concentration and temperature all affect the rate of photosynthesis.
+
+00:02:48.000 --> 00:03:05.000
+When it is too hot, the enzymes involved in photosynthesis stop working well and the rate drops.
+
+00:03:05.000 --> 00:03:20.000
+To wrap up, review how photosynthesis and respiration relate. Next time we will look at how plants move water and nutrients.
+`
+};
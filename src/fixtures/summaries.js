@@ -0,0 +1,46 @@
+/**
+ * Recorded generateSummary responses replayed by the mock LLM provider (LLM_MOCK).
+ * byTranscript is keyed by the SHA-256 (hex) of the transcript text sent to the model, so a recording
+ * replays for the same captions; other transcripts get the default response for their language.
+ */
+export const SUMMARY_FIXTURES = {
+  byTranscript: {},
+  ko: {
+    summary: '### 강의 내용 요약\n\n이 문서는 강의 영상의 핵심 내용을 요약한 교육 자료입니다.\n\n#### 1. 강의 개요\n- 강의에서 다루는 주요 개념과 용어를 소개합니다.\n- 개념 사이의 관계를 예시와 함께 설명합니다.\n\n#### 2. 핵심 내용\n- 각 개념의 정의와 특징을 정리합니다.\n- 실제 문제에 개념을 적용하는 방법을 보여줍니다.',
+    objectives: [
+      '이 강의를 통해 주요 개념의 정의를 설명할 수 있다',
+      '이 강의를 통해 개념 사이의 관계를 구분할 수 있다',
+      '이 강의를 통해 배운 개념을 예제 문제에 적용할 수 있다'
+    ],
+    recommendedQuestions: [
+      '이 강의의 핵심 개념은 무엇인가요?',
+      '예시로 든 상황을 다른 문제에도 적용할 수 있나요?',
+      '두 개념의 차이점은 무엇인가요?',
+      '이 개념을 실제로 어디에 활용하나요?',
+      '더 공부하려면 어떤 주제를 보면 좋을까요?'
+    ],
+    quiz: [
+      { question: '이 강의에서 가장 먼저 소개한 내용은 무엇인가요?', options: ['강의 개요', '실습 과제', '참고 문헌', '시험 일정'], answer: 0, explanation: '강의는 개요와 주요 개념 소개로 시작합니다.' },
+      { question: '개념을 설명할 때 함께 사용한 것은 무엇인가요?', options: ['표', '예시', '동영상', '설문'], answer: 1, explanation: '개념 사이의 관계를 예시와 함께 설명합니다.' }
+    ]
+  },
+  en: {
+    summary: '### Lecture Content Summary\n\nThis document summarizes the key content from the lecture video.\n\n#### 1. Overview\n- Introduces the main concepts and terms of the lecture.\n- Explains how the concepts relate, with examples.\n\n#### 2. Key Points\n- Defines each concept and its characteristics.\n- Shows how to apply the concepts to real problems.',
+    objectives: [
+      'After this lecture, students will be able to explain the main concepts',
+      'After this lecture, students will be able to identify how the concepts relate',
+      'After this lecture, students will be able to apply the concepts to example problems'
+    ],
+    recommendedQuestions: [
+      'What are the key concepts of this lecture?',
+      'Can the example be applied to other problems?',
+      'How do the two concepts differ?',
+      'Where are these concepts used in practice?',
+      'What topics should I study next?'
+    ],
+    quiz: [
+      { question: 'What does the lecture start with?', options: ['An overview', 'An exercise', 'References', 'The exam schedule'], answer: 0, explanation: 'The lecture opens with an overview of the main concepts.' },
+      { question: 'What is used to explain the concepts?', options: ['Tables', 'Examples', 'Videos', 'Surveys'], answer: 1, explanation: 'The relations between concepts are explained with examples.' }
+    ]
+  }
+};
@@ -1,19 +1,22 @@
 import { Hono } from 'hono';
-import { cors } from 'hono/cors';
 import chat from './routes/chat.js';
+import tutor from './routes/tutor.js';
 import quiz from './routes/quiz.js';
 import docs from './routes/docs.js';
 import auth from './routes/auth.js';
 import content from './routes/content.js';
+import admin from './routes/admin.js';
 import { AuthService } from './utils/auth.js';
+import { TenantService } from './services/tenant.js';
+import { TokenService } from './services/token.js';
 import { createErrorResponse } from './utils/responses.js';
+import { isTrustedOrigin, tenantCors } from './utils/cors.js';
 import handleQueue from './consumers/transcribe-consumer.js';
 
 const app = new Hono();
 
-// CORS middleware - 매우 관대한 설정 (개발용)
-app.use('*', cors({
-  origin: '*',
+// CORS middleware - 테넌트에 등록된 Origin만 허용 (CORS_ALLOWED_ORIGINS로 추가 허용 가능)
+app.use('*', tenantCors({
   allowMethods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE', 'PATCH', 'HEAD'],
   allowHeaders: [
     'Content-Type',
@@ -27,8 +30,15 @@ app.use('*', cors({
     'Cache-Control',
     'Pragma'
   ],
-  exposeHeaders: ['Content-Length', 'X-JSON', 'Access-Control-Allow-Origin'],
-  credentials: false,
+  exposeHeaders: [
+    'Content-Length',
+    'X-JSON',
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-RateLimit-Scope'
+  ],
   maxAge: 86400 // 24 hours
 }));
 
@@ -43,13 +53,15 @@ app.use('*', async (c, next) => {
     '/docs',
     '/v1/auth',
     '/v1/auth/generate',
-    '/v1/content/search'
+    '/v1/auth/refresh',
+    '/v1/auth/revoke'
   ];
 
-  // docs 경로 하위도 모두 허용
+  // docs 경로 하위도 모두 허용, 관리자 API는 자체 관리자 인증 사용
+  // 학습자 토큰 발급은 Authorization 헤더가 없으면 서명된 assertion으로 인증
   const isPublicPath = publicPaths.some(publicPath =>
-    path === publicPath || path.startsWith('/docs/')
-  );
+    path === publicPath || path.startsWith('/docs/') || path.startsWith('/v1/admin/')
+  ) || (path === '/v1/auth/learner' && !c.req.header('Authorization'));
 
   if (isPublicPath) {
     await next();
@@ -65,9 +77,38 @@ app.use('*', async (c, next) => {
     const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
     const user = await authService.authenticate(c);
 
+    // 리프레시 토큰은 /v1/auth/refresh에서만 사용
+    if (user.typ === 'refresh') {
+      return c.json(createErrorResponse('Refresh tokens cannot be used for API access', 401, 'AUTH_FAILED'), 401);
+    }
+
+    // 임베드 토큰은 채팅과 퀴즈에서만 사용 (contentId 제한은 각 라우트에서 적용)
+    if (user.typ === 'embed' && !AuthService.isEmbedPath(path)) {
+      return c.json(createErrorResponse('Embed tokens can only be used for chat and quiz', 403, 'EMBED_TOKEN_RESTRICTED'), 403);
+    }
+
     // 검증된 사용자 정보를 context에 저장
     c.set('user', user);
 
+    // 테넌트 정지 시 이미 발급된 토큰도 즉시 차단 (레지스트리 이전 도메인은 첫 요청 시 등록)
+    const tenant = await new TenantService(c.env.AITUTOR_KV).getOrRegisterTenant(user.domain, { autoRegister: TenantService.autoRegisterOf(c.env) });
+    if (!TenantService.isActive(tenant)) {
+      const code = tenant ? 'TENANT_SUSPENDED' : 'TENANT_NOT_REGISTERED';
+      return c.json(createErrorResponse(tenant ? 'Tenant is suspended' : 'Domain is not registered as a tenant', 403, code), 403);
+    }
+    c.set('tenant', tenant);
+
+    // 브라우저 요청은 토큰 도메인의 테넌트가 허용한 Origin에서만 사용 가능
+    const origin = c.req.header('Origin');
+    if (origin && !isTrustedOrigin(c, origin) && !TenantService.isOriginAllowed(tenant, origin)) {
+      return c.json(createErrorResponse('Origin is not allowed for this tenant', 403, 'ORIGIN_NOT_ALLOWED'), 403);
+    }
+
+    // 개별 폐기(jti) 또는 테넌트 단위 일괄 폐기 이전에 발급된 토큰 차단
+    if (TokenService.isRevokedByTenant(user, tenant) || await new TokenService(c.env.AITUTOR_KV).isRevoked(user.jti)) {
+      return c.json(createErrorResponse('Token has been revoked', 401, 'TOKEN_REVOKED'), 401);
+    }
+
     await next();
   } catch (error) {
     return c.json(createErrorResponse(error.message, 401, 'AUTH_FAILED'), 401);
@@ -89,7 +130,9 @@ app.get('/health', async (c) => {
     bindings: {
       KV: !!c.env.AITUTOR_KV,
       Queue: !!c.env.TRANSCRIBE_QUEUE,
-      Vectorize: !!c.env.CONTENT_VECTORIZE
+      Vectorize: !!c.env.CONTENT_VECTORIZE,
+      AnswerCache: !!c.env.ANSWER_CACHE_VECTORIZE,
+      WorkersAI: !!c.env.AI
     }
   });
 });
@@ -100,8 +143,10 @@ app.route('/docs', docs);
 // API Routes
 app.route('/v1/auth', auth);
 app.route('/v1/chat', chat);
+app.route('/v1/tutor', tutor);
 app.route('/v1/quiz', quiz);
 app.route('/v1/content', content);
+app.route('/v1/admin', admin);
 
 // 404 handler
 app.notFound((c) => {
@@ -0,0 +1,504 @@
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { TenantService, TENANT_STATUSES, createTenantSchema, updateTenantSchema } from '../services/tenant.js';
+import { AdminKeyService } from '../services/adminkey.js';
+import { DomainKeyService, DEFAULT_KEY_OVERLAP_SECONDS, MAX_KEY_OVERLAP_SECONDS } from '../services/domainkey.js';
+import { AnswerCacheService } from '../services/answercache.js';
+import { ContentService } from '../services/content.js';
+import { getOpenAIService } from '../services/openai.js';
+import { AuthService } from '../utils/auth.js';
+import { requireAdminKey } from '../utils/admin.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/responses.js';
+import { validateInput } from '../utils/validation.js';
+
+const admin = new Hono();
+
+const listTenantsSchema = z.object({
+  status: z.enum(TENANT_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+  cursor: z.string().optional()
+});
+
+const statusReasonSchema = z.object({
+  reason: z.string().max(500).optional()
+});
+
+const rotateAuthKeySchema = z.object({
+  overlapSeconds: z.number().int().min(0).max(MAX_KEY_OVERLAP_SECONDS).optional().default(DEFAULT_KEY_OVERLAP_SECONDS)
+});
+
+const createAdminKeySchema = z.object({
+  name: z.string().min(1).max(100)
+});
+
+const listAuditSchema = z.object({
+  domain: z.string().max(253).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+  cursor: z.string().optional()
+});
+
+const listCacheSchema = z.object({
+  domain: z.string().max(253).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+  cursor: z.string().optional()
+});
+
+const purgeCacheSchema = z.object({
+  domain: z.string().max(253).optional()
+});
+
+const listContentsSchema = z.object({
+  domain: z.string().max(253).optional(),
+  unowned: z.enum(['true', 'false']).optional(),
+  status: z.enum(['queued', 'processing', 'completed', 'failed']).optional(),
+  language: z.string().optional(),
+  createdAfter: z.string().datetime({ message: 'createdAfter must be an ISO 8601 date-time' }).optional(),
+  createdBefore: z.string().datetime({ message: 'createdBefore must be an ISO 8601 date-time' }).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+  cursor: z.string().optional()
+});
+
+const claimContentSchema = z.object({
+  domain: z.string().min(1).max(253),
+  force: z.boolean().optional().default(false)
+});
+
+function formatErrors(validatedData) {
+  return validatedData.errors.map(e => `${(e.path || []).join('.') || 'body'}: ${e.message}`).join(', ');
+}
+
+// 관리자 API는 JWT 대신 관리자 API 키(X-Admin-Key 헤더)로 인증
+admin.use('*', requireAdminKey);
+
+// Register a tenant
+admin.post('/tenants', async (c) => {
+  try {
+    const body = await c.req.json();
+    const validatedData = validateInput(createTenantSchema, {
+      ...body,
+      domain: typeof body.domain === 'string' ? body.domain.toLowerCase().trim() : body.domain
+    });
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const tenant = await tenantService.createTenant(validatedData.data);
+    return c.json(createSuccessResponse(tenant), 201);
+
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    if (error.message === 'Tenant already exists') {
+      return c.json(createErrorResponse(error.message, 409, 'TENANT_EXISTS'), 409);
+    }
+    return c.json(createErrorResponse('Failed to create tenant', 500), 500);
+  }
+});
+
+// List tenants
+admin.get('/tenants', async (c) => {
+  try {
+    const validatedData = validateInput(listTenantsSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const result = await tenantService.listTenants(validatedData.data);
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    console.error('Error listing tenants:', error);
+    return c.json(createErrorResponse('Failed to list tenants', 500), 500);
+  }
+});
+
+// Get a tenant
+admin.get('/tenants/:domain', async (c) => {
+  try {
+    const { domain } = c.req.param();
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const tenant = await tenantService.getTenant(domain.toLowerCase());
+
+    if (!tenant) {
+      return c.json(createErrorResponse('Tenant not found', 404), 404);
+    }
+
+    return c.json(createSuccessResponse(tenant));
+
+  } catch (error) {
+    console.error('Error getting tenant:', error);
+    return c.json(createErrorResponse('Failed to get tenant', 500), 500);
+  }
+});
+
+// Update tenant settings
+admin.patch('/tenants/:domain', async (c) => {
+  try {
+    const { domain } = c.req.param();
+    const validatedData = validateInput(updateTenantSchema, await c.req.json());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const tenant = await tenantService.updateTenant(domain.toLowerCase(), validatedData.data);
+    return c.json(createSuccessResponse(tenant));
+
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    if (error.message === 'Tenant not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    return c.json(createErrorResponse('Failed to update tenant', 500), 500);
+  }
+});
+
+// Suspend a tenant: new tokens are refused and existing tokens stop working
+admin.post('/tenants/:domain/suspend', async (c) => {
+  return setTenantStatus(c, 'suspended');
+});
+
+// Reactivate a suspended tenant
+admin.post('/tenants/:domain/activate', async (c) => {
+  return setTenantStatus(c, 'active');
+});
+
+// Revoke every token issued to the tenant so far
+admin.post('/tenants/:domain/revoke-tokens', async (c) => {
+  try {
+    const { domain } = c.req.param();
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const tenant = await tenantService.revokeTokens(domain.toLowerCase());
+    return c.json(createSuccessResponse(tenant));
+
+  } catch (error) {
+    console.error('Error revoking tenant tokens:', error);
+    if (error.message === 'Tenant not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    return c.json(createErrorResponse('Failed to revoke tenant tokens', 500), 500);
+  }
+});
+
+// List a tenant's auth key versions (no key material)
+admin.get('/tenants/:domain/auth-keys', async (c) => {
+  try {
+    const domain = c.req.param('domain').toLowerCase();
+
+    if (!(await new TenantService(c.env.AITUTOR_KV).getTenant(domain))) {
+      return c.json(createErrorResponse('Tenant not found', 404), 404);
+    }
+
+    const domainKeyService = new DomainKeyService(c.env.AITUTOR_KV, new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET));
+    const versions = await domainKeyService.listVersions(domain);
+    return c.json(createSuccessResponse({ domain, versions }));
+
+  } catch (error) {
+    console.error('Error listing auth key versions:', error);
+    return c.json(createErrorResponse('Failed to list auth key versions', 500), 500);
+  }
+});
+
+// Rotate a tenant's auth key: the previous key keeps working for overlapSeconds, and tokens issued so far are revoked
+admin.post('/tenants/:domain/auth-keys/rotate', async (c) => {
+  try {
+    const domain = c.req.param('domain').toLowerCase();
+    const body = await c.req.json().catch(() => ({}));
+    const validatedData = validateInput(rotateAuthKeySchema, body);
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    if (!c.env.AUTH_SECRET_KEY) {
+      return c.json(createErrorResponse('Authentication service not configured', 500), 500);
+    }
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    if (!(await tenantService.getTenant(domain))) {
+      return c.json(createErrorResponse('Tenant not found', 404), 404);
+    }
+
+    const domainKeyService = new DomainKeyService(c.env.AITUTOR_KV, new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET));
+    const rotated = await domainKeyService.rotate(domain, validatedData.data);
+
+    const tenant = await tenantService.revokeTokens(domain);
+    await new AdminKeyService(c.env.AITUTOR_KV).recordAuthKeyIssued({
+      domain,
+      authKey: rotated.authKey,
+      keyVersion: rotated.version,
+      rotated: true,
+      adminKey: c.get('adminKey'),
+      clientIp: c.get('clientIp')
+    });
+
+    return c.json(createSuccessResponse({
+      domain,
+      authKey: rotated.authKey,
+      keyVersion: rotated.version,
+      previousKeysExpireAt: rotated.previousExpiresAt,
+      tokensRevokedAt: tenant.tokensRevokedAt
+    }), 201);
+
+  } catch (error) {
+    console.error('Error rotating auth key:', error);
+    return c.json(createErrorResponse('Failed to rotate auth key', 500), 500);
+  }
+});
+
+async function setTenantStatus(c, status) {
+  try {
+    const { domain } = c.req.param();
+    const body = await c.req.json().catch(() => ({}));
+    const validatedData = validateInput(statusReasonSchema, body);
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const tenantService = new TenantService(c.env.AITUTOR_KV);
+    const tenant = await tenantService.setStatus(domain.toLowerCase(), status, validatedData.data.reason || null);
+    return c.json(createSuccessResponse(tenant));
+
+  } catch (error) {
+    console.error(`Error setting tenant status to ${status}:`, error);
+    if (error.message === 'Tenant not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    return c.json(createErrorResponse('Failed to update tenant status', 500), 500);
+  }
+}
+
+// Create an admin API key; the plaintext key is only returned in this response
+admin.post('/keys', async (c) => {
+  try {
+    const validatedData = validateInput(createAdminKeySchema, await c.req.json());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+    const result = await adminKeyService.createKey({
+      name: validatedData.data.name,
+      createdBy: c.get('adminKey').keyId
+    });
+    return c.json(createSuccessResponse(result), 201);
+
+  } catch (error) {
+    console.error('Error creating admin key:', error);
+    return c.json(createErrorResponse('Failed to create admin key', 500), 500);
+  }
+});
+
+// List admin keys (hashes are never returned)
+admin.get('/keys', async (c) => {
+  try {
+    const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+    const keys = await adminKeyService.listKeys();
+    return c.json(createSuccessResponse({ keys, count: keys.length }));
+
+  } catch (error) {
+    console.error('Error listing admin keys:', error);
+    return c.json(createErrorResponse('Failed to list admin keys', 500), 500);
+  }
+});
+
+// Rotate an admin key: a new key is issued and the old one is revoked
+admin.post('/keys/:keyId/rotate', async (c) => {
+  try {
+    const { keyId } = c.req.param();
+
+    const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+    const result = await adminKeyService.rotateKey(keyId, c.get('adminKey').keyId);
+    return c.json(createSuccessResponse(result), 201);
+
+  } catch (error) {
+    console.error('Error rotating admin key:', error);
+    return adminKeyErrorResponse(c, error, 'Failed to rotate admin key');
+  }
+});
+
+// Revoke an admin key
+admin.post('/keys/:keyId/revoke', async (c) => {
+  try {
+    const { keyId } = c.req.param();
+    const body = await c.req.json().catch(() => ({}));
+    const validatedData = validateInput(statusReasonSchema, body);
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+    const key = await adminKeyService.revokeKey(keyId, validatedData.data.reason || null);
+    return c.json(createSuccessResponse(key));
+
+  } catch (error) {
+    console.error('Error revoking admin key:', error);
+    return adminKeyErrorResponse(c, error, 'Failed to revoke admin key');
+  }
+});
+
+// Audit trail of domain auth keys issued through /v1/auth/generate
+admin.get('/audit/auth-keys', async (c) => {
+  try {
+    const validatedData = validateInput(listAuditSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const { domain, ...options } = validatedData.data;
+    const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+    const result = await adminKeyService.listAuthKeyAudit({ domain: domain?.toLowerCase(), ...options });
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    console.error('Error listing auth key audit:', error);
+    return c.json(createErrorResponse('Failed to list auth key audit', 500), 500);
+  }
+});
+
+// Cached chat answers of a content ('general' for answers not tied to a content), optionally for one domain
+admin.get('/cache/:contentId', async (c) => {
+  try {
+    const validatedData = validateInput(listCacheSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const { contentId } = c.req.param();
+    const { domain, ...options } = validatedData.data;
+    const result = await getAnswerCache(c).listEntries(contentId, { domain: domain?.toLowerCase(), ...options });
+    return c.json(createSuccessResponse({ contentId, ...result }));
+
+  } catch (error) {
+    console.error('Error listing cached answers:', error);
+    return c.json(createErrorResponse('Failed to list cached answers', 500), 500);
+  }
+});
+
+// One cached answer with its sources
+admin.get('/cache/:contentId/:domain/:entryId', async (c) => {
+  try {
+    const { contentId, domain, entryId } = c.req.param();
+    const entry = await getAnswerCache(c).getEntry(contentId, domain.toLowerCase(), entryId);
+
+    if (!entry) {
+      return c.json(createErrorResponse('Cache entry not found', 404), 404);
+    }
+
+    return c.json(createSuccessResponse(entry));
+
+  } catch (error) {
+    console.error('Error getting cached answer:', error);
+    return c.json(createErrorResponse('Failed to get cached answer', 500), 500);
+  }
+});
+
+// Purge a content's cached answers, optionally only one domain's
+admin.delete('/cache/:contentId', async (c) => {
+  try {
+    const validatedData = validateInput(purgeCacheSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const { contentId } = c.req.param();
+    const domain = validatedData.data.domain?.toLowerCase();
+    const deleted = await getAnswerCache(c).purge(contentId, { domain });
+    return c.json(createSuccessResponse({ contentId, domain: domain || null, deleted }));
+
+  } catch (error) {
+    console.error('Error purging cached answers:', error);
+    return c.json(createErrorResponse('Failed to purge cached answers', 500), 500);
+  }
+});
+
+// Delete one cached answer
+admin.delete('/cache/:contentId/:domain/:entryId', async (c) => {
+  try {
+    const { contentId, domain, entryId } = c.req.param();
+    await getAnswerCache(c).deleteEntry(contentId, domain.toLowerCase(), entryId);
+    return c.json(createSuccessResponse({ contentId, domain: domain.toLowerCase(), id: entryId, deleted: true }));
+
+  } catch (error) {
+    if (error.message === 'Cache entry not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    console.error('Error deleting cached answer:', error);
+    return c.json(createErrorResponse('Failed to delete cached answer', 500), 500);
+  }
+});
+
+// Content catalog across tenants, filtered by owning domain (or content no domain owns yet)
+admin.get('/contents', async (c) => {
+  try {
+    const validatedData = validateInput(listContentsSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const { domain, unowned, ...filters } = validatedData.data;
+    const contentService = new ContentService(c.env, getOpenAIService(c.env));
+    const result = await contentService.listContents({ ...filters, domain: domain?.toLowerCase(), unowned: unowned === 'true' });
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    console.error('Error listing contents:', error);
+    return c.json(createErrorResponse('Failed to list contents', 500), 500);
+  }
+});
+
+// Assign content to its owning domain (content uploaded before ownership existed belongs to no domain)
+admin.post('/contents/:contentId/claim', async (c) => {
+  try {
+    const validatedData = validateInput(claimContentSchema, await c.req.json().catch(() => ({})));
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(formatErrors(validatedData), 400), 400);
+    }
+
+    const { contentId } = c.req.param();
+    const { domain, force } = validatedData.data;
+    const contentService = new ContentService(c.env, getOpenAIService(c.env));
+    const result = await contentService.claimContent(contentId, domain.toLowerCase(), { force });
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    if (error.message === 'Content is owned by another domain') {
+      return c.json(createErrorResponse(`${error.message}; use force=true to reassign it`, 409, 'CONTENT_OWNED'), 409);
+    }
+    console.error('Error claiming content:', error);
+    return c.json(createErrorResponse('Failed to claim content', 500), 500);
+  }
+});
+
+function getAnswerCache(c) {
+  return new AnswerCacheService(c.env.ANSWER_CACHE_VECTORIZE || null, c.env.AITUTOR_KV);
+}
+
+function adminKeyErrorResponse(c, error, fallbackMessage) {
+  if (error.message === 'Admin key not found') {
+    return c.json(createErrorResponse(error.message, 404), 404);
+  }
+  if (error.message === 'Admin key is revoked') {
+    return c.json(createErrorResponse(error.message, 409, 'ADMIN_KEY_REVOKED'), 409);
+  }
+  return c.json(createErrorResponse(fallbackMessage, 500), 500);
+}
+
+export default admin;
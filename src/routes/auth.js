@@ -1,13 +1,36 @@
 import { Hono } from 'hono';
-import { AuthService } from '../utils/auth.js';
+import { z } from 'zod';
+import { AuthService, TOKEN_SCOPES, DEFAULT_SCOPES, LEARNER_ROLES, EMBED_FEATURES } from '../utils/auth.js';
 import { createErrorResponse } from '../utils/responses.js';
-import { sanitizeInput } from '../utils/validation.js';
+import { sanitizeInput, validateInput, DOMAIN_REGEX } from '../utils/validation.js';
+import { TenantService } from '../services/tenant.js';
+import { AdminKeyService } from '../services/adminkey.js';
+import { TokenService, EMBED_TOKEN_TTL_SECONDS, MAX_EMBED_TOKEN_TTL_SECONDS } from '../services/token.js';
+import { DomainKeyService } from '../services/domainkey.js';
+import { requireAdminKey } from '../utils/admin.js';
+import { getOwnedContentInfo } from '../utils/tenant.js';
 
 const auth = new Hono();
 
+// 학습자 ID와 같은 형식의 불투명 식별자
+const opaqueIdSchema = z.string().regex(/^[A-Za-z0-9_.@-]{1,128}$/, 'May only contain letters, numbers, "_", ".", "@" and "-" (max 128 characters)');
+
+const learnerIdentitySchema = z.object({
+  sub: opaqueIdSchema,
+  role: z.enum(LEARNER_ROLES).optional().default('learner'),
+  cohort: opaqueIdSchema.optional()
+});
+
+const embedTokenSchema = z.object({
+  contentId: z.string().min(1).max(128),
+  features: z.array(z.enum(EMBED_FEATURES)).min(1).optional().default(EMBED_FEATURES),
+  ttlSeconds: z.number().int().min(60).max(MAX_EMBED_TOKEN_TTL_SECONDS).optional().default(EMBED_TOKEN_TTL_SECONDS),
+  sub: opaqueIdSchema.optional()
+});
+
 auth.post('/', async (c) => {
   try {
-    const { domain, authKey } = await c.req.json();
+    const { domain, authKey, scopes = DEFAULT_SCOPES } = await c.req.json();
 
     // 입력 검증
     if (!domain || typeof domain !== 'string') {
@@ -18,6 +41,10 @@ auth.post('/', async (c) => {
       return c.json(createErrorResponse('Auth key is required and must be a string'), 400);
     }
 
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+      return c.json(createErrorResponse(`Scopes must be a non-empty array of: ${TOKEN_SCOPES.join(', ')}`), 400);
+    }
+
     // 환경 변수 확인
     if (!c.env.AUTH_SECRET_KEY) {
       return c.json(createErrorResponse('Authentication service not configured'), 500);
@@ -32,58 +59,298 @@ auth.post('/', async (c) => {
     const sanitizedAuthKey = sanitizeInput(authKey).toLowerCase().trim();
 
     // 도메인 형식 간단 검증
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9](?:\.[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9])*$/;
-    if (!domainRegex.test(sanitizedDomain)) {
+    if (!DOMAIN_REGEX.test(sanitizedDomain)) {
       return c.json(createErrorResponse('Invalid domain format'), 400);
     }
 
     // 인증 서비스 초기화
     const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
 
-    // 도메인 해시 검증
-    const isValidDomain = await authService.verifyDomain(sanitizedDomain, sanitizedAuthKey);
+    // 도메인 인증키 검증 (교체 중인 이전 버전 키도 만료 전까지 허용)
+    const domainKeyService = new DomainKeyService(c.env.AITUTOR_KV, authService);
+    const keyVersion = await domainKeyService.verify(sanitizedDomain, sanitizedAuthKey);
 
-    if (!isValidDomain) {
+    if (keyVersion === null) {
       return c.json(createErrorResponse('Domain verification failed'), 401);
     }
 
-    // 도메인별 추가 정보 가져오기
-    const domainInfo = authService.getDomainInfo(sanitizedDomain);
+    // 테넌트 레지스트리에서 도메인 설정 조회 (레지스트리 이전 도메인은 이전 기본값으로 등록)
+    const tenant = await new TenantService(c.env.AITUTOR_KV).getOrRegisterTenant(sanitizedDomain, { autoRegister: TenantService.autoRegisterOf(c.env) });
 
-    // JWT 토큰 생성
-    const token = await authService.generateJWT(sanitizedDomain, domainInfo);
+    if (!tenant) {
+      return c.json(createErrorResponse('Domain is not registered as a tenant', 403, 'TENANT_NOT_REGISTERED'), 403);
+    }
+
+    if (!TenantService.isActive(tenant)) {
+      return c.json(createErrorResponse('Tenant is suspended', 403, 'TENANT_SUSPENDED'), 403);
+    }
+
+    // 테넌트에 허용된 범위만 발급 (기본 learner)
+    const grantedScopes = [...new Set(scopes)];
+    if (!TenantService.canGrantScopes(tenant, grantedScopes)) {
+      return c.json(createErrorResponse(`Scopes not allowed for this tenant; grantable: ${TenantService.grantableScopesOf(tenant).join(', ')}`, 403, 'SCOPE_NOT_GRANTABLE'), 403);
+    }
+
+    const domainInfo = TenantService.toTokenClaims(tenant);
+
+    // 액세스 토큰 + 리프레시 토큰 발급
+    const tokenService = new TokenService(c.env.AITUTOR_KV, authService);
+    const tokens = await tokenService.issueTokens(sanitizedDomain, { ...domainInfo, scopes: grantedScopes });
+
+    return c.json(createTokenResponse('Domain verified successfully', sanitizedDomain, tokens, domainInfo, grantedScopes));
+
+  } catch (error) {
+    console.error('Auth verification error:', error);
+    return c.json(createErrorResponse('Authentication service error: ' + error.message), 500);
+  }
+});
+
+// 리프레시 토큰으로 새 토큰 쌍 발급 (리프레시 토큰은 1회용)
+auth.post('/refresh', async (c) => {
+  try {
+    const { refreshToken } = await c.req.json();
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return c.json(createErrorResponse('Refresh token is required and must be a string'), 400);
+    }
+
+    if (!c.env.JWT_SECRET) {
+      return c.json(createErrorResponse('JWT service not configured'), 500);
+    }
+
+    const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
+    const payload = await authService.verifyJWT(refreshToken).catch(() => null);
+
+    if (!payload) {
+      return c.json(createErrorResponse('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN'), 401);
+    }
+
+    // 토큰 클레임은 현재 테넌트 설정으로 다시 계산
+    const tenant = await new TenantService(c.env.AITUTOR_KV).getOrRegisterTenant(payload.domain, { autoRegister: TenantService.autoRegisterOf(c.env) });
+
+    if (!TenantService.isActive(tenant)) {
+      const code = tenant ? 'TENANT_SUSPENDED' : 'TENANT_NOT_REGISTERED';
+      return c.json(createErrorResponse(tenant ? 'Tenant is suspended' : 'Domain is not registered as a tenant', 403, code), 403);
+    }
+
+    if (TokenService.isRevokedByTenant(payload, tenant)) {
+      return c.json(createErrorResponse('Refresh token has been revoked', 401, 'TOKEN_REVOKED'), 401);
+    }
+
+    const tokenService = new TokenService(c.env.AITUTOR_KV, authService);
+    const record = await tokenService.consumeRefreshToken(payload);
+
+    // 발급 이후 허용 범위가 줄었으면 남은 범위로만 갱신
+    const scopes = record.scopes.filter(scope => TenantService.canGrantScopes(tenant, [scope]));
+    if (scopes.length === 0) {
+      return c.json(createErrorResponse('Token scopes are no longer allowed for this tenant', 403, 'SCOPE_NOT_GRANTABLE'), 403);
+    }
+
+    const domainInfo = TenantService.toTokenClaims(tenant);
+    const tokens = await tokenService.issueTokens(payload.domain, { ...domainInfo, scopes, ...record.identity });
+
+    return c.json({
+      ...createTokenResponse('Token refreshed successfully', payload.domain, tokens, domainInfo, scopes),
+      ...record.identity
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    if (error.message === 'Invalid refresh token') {
+      return c.json(createErrorResponse(error.message, 401, 'INVALID_REFRESH_TOKEN'), 401);
+    }
+    return c.json(createErrorResponse('Authentication service error: ' + error.message), 500);
+  }
+});
+
+// 학습자 토큰 발급: 테넌트 토큰(instructor 이상, Authorization 헤더) 또는 테넌트 백엔드가 서명한 assertion으로 인증
+auth.post('/learner', async (c) => {
+  try {
+    const body = await c.req.json();
+
+    if (!c.env.AUTH_SECRET_KEY || !c.env.JWT_SECRET) {
+      return c.json(createErrorResponse('Authentication service not configured'), 500);
+    }
+
+    const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
+    const caller = c.get('user');
+    let domain;
+    let identity;
+
+    if (caller) {
+      // 학습자 토큰으로 다른 학습자 토큰을 만들 수 없도록 테넌트 백엔드 토큰만 허용
+      if (caller.sub || !AuthService.hasScope(caller, 'instructor')) {
+        return c.json(createErrorResponse('A tenant token with instructor scope is required to mint learner tokens', 403, 'INSUFFICIENT_SCOPE'), 403);
+      }
+      domain = caller.domain;
+      identity = body;
+    } else {
+      if (!body.assertion || typeof body.assertion !== 'string') {
+        return c.json(createErrorResponse('Authorization header or assertion is required'), 400);
+      }
+
+      // 검증 오류 메시지에 assertion 원문이 포함될 수 있어 로그에 남기지 않음
+      const domainKeyService = new DomainKeyService(c.env.AITUTOR_KV, authService);
+      const assertion = await authService.verifyLearnerAssertion(
+        body.assertion,
+        assertionDomain => domainKeyService.getActiveKeys(assertionDomain)
+      ).catch(() => null);
+
+      if (!assertion) {
+        return c.json(createErrorResponse('Invalid learner assertion', 401, 'INVALID_ASSERTION'), 401);
+      }
+      domain = assertion.domain;
+      identity = assertion;
+    }
+
+    const validatedData = validateInput(learnerIdentitySchema, {
+      sub: identity.sub,
+      role: identity.role,
+      cohort: identity.cohort
+    });
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(validatedData.errors.map(e => `${(e.path || []).join('.')}: ${e.message}`).join(', ')), 400);
+    }
+
+    const tenant = caller
+      ? c.get('tenant')
+      : await new TenantService(c.env.AITUTOR_KV).getOrRegisterTenant(domain, { autoRegister: TenantService.autoRegisterOf(c.env) });
+
+    if (!TenantService.isActive(tenant)) {
+      const code = tenant ? 'TENANT_SUSPENDED' : 'TENANT_NOT_REGISTERED';
+      return c.json(createErrorResponse(tenant ? 'Tenant is suspended' : 'Domain is not registered as a tenant', 403, code), 403);
+    }
+
+    const { sub, role, cohort } = validatedData.data;
+    const scopes = [role];
+
+    if (!TenantService.canGrantScopes(tenant, scopes)) {
+      return c.json(createErrorResponse(`Role not allowed for this tenant; grantable: ${TenantService.grantableScopesOf(tenant).join(', ')}`, 403, 'SCOPE_NOT_GRANTABLE'), 403);
+    }
+
+    const domainInfo = TenantService.toTokenClaims(tenant);
+
+    const tokenService = new TokenService(c.env.AITUTOR_KV, authService);
+    const tokens = await tokenService.issueTokens(domain, { ...domainInfo, scopes, sub, role, ...(cohort && { cohort }) });
+
+    return c.json({
+      ...createTokenResponse('Learner token issued successfully', domain, tokens, domainInfo, scopes),
+      sub,
+      role,
+      ...(cohort && { cohort })
+    });
+
+  } catch (error) {
+    console.error('Learner token error:', error);
+    return c.json(createErrorResponse('Authentication service error: ' + error.message), 500);
+  }
+});
+
+// 브라우저 위젯용 임베드 토큰 발급 (테넌트 백엔드 토큰 필요)
+// 콘텐츠 하나와 채팅/퀴즈로 범위가 제한되며 수 분 뒤 만료, 리프레시 토큰 없음
+auth.post('/embed', async (c) => {
+  try {
+    const caller = c.get('user');
+
+    if (caller.sub || caller.typ === 'embed' || !AuthService.hasScope(caller, 'instructor')) {
+      return c.json(createErrorResponse('A tenant token with instructor scope is required to mint embed tokens', 403, 'INSUFFICIENT_SCOPE'), 403);
+    }
+
+    const validatedData = validateInput(embedTokenSchema, await c.req.json());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(validatedData.errors.map(e => `${(e.path || []).join('.')}: ${e.message}`).join(', ')), 400);
+    }
+
+    const { contentId, features, ttlSeconds, sub } = validatedData.data;
+    const tenant = c.get('tenant');
+    const grantedFeatures = [...new Set(features)].filter(feature => tenant.features.includes(feature));
+
+    if (grantedFeatures.length === 0) {
+      return c.json(createErrorResponse('None of the requested features are enabled for this tenant', 403, 'FEATURE_NOT_ENABLED'), 403);
+    }
+
+    await getOwnedContentInfo(c.env, contentId, caller.domain);
+
+    const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
+    const { token, expiresIn } = await new TokenService(c.env.AITUTOR_KV, authService).issueEmbedToken(caller.domain, {
+      ...TenantService.toTokenClaims(tenant),
+      features: grantedFeatures,
+      contentId,
+      ...(sub && { sub })
+    }, ttlSeconds);
 
-    // 성공 응답
     return c.json({
       success: true,
-      message: 'Domain verified successfully',
+      message: 'Embed token issued successfully',
       token,
-      domain: sanitizedDomain,
-      expiresIn: '24h',
-      domainInfo,
+      domain: caller.domain,
+      expiresIn,
+      contentId,
+      features: grantedFeatures,
+      ...(sub && { sub }),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Auth verification error:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
+    console.error('Embed token error:', error);
+    return c.json(createErrorResponse('Authentication service error: ' + error.message), 500);
+  }
+});
+
+// 액세스 토큰 또는 리프레시 토큰 폐기 (로그아웃)
+auth.post('/revoke', async (c) => {
+  try {
+    const { token } = await c.req.json();
+
+    if (!token || typeof token !== 'string') {
+      return c.json(createErrorResponse('Token is required and must be a string'), 400);
+    }
+
+    if (!c.env.JWT_SECRET) {
+      return c.json(createErrorResponse('JWT service not configured'), 500);
+    }
+
+    const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
+    const payload = await authService.verifyJWT(token).catch(() => null);
+
+    if (!payload) {
+      return c.json(createErrorResponse('Invalid token', 401, 'AUTH_FAILED'), 401);
+    }
+
+    if (!payload.jti) {
+      return c.json(createErrorResponse('Token has no jti and cannot be revoked individually'), 400);
+    }
+
+    await new TokenService(c.env.AITUTOR_KV, authService).revoke(payload);
+
+    return c.json({
+      success: true,
+      message: 'Token revoked',
+      jti: payload.jti,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Token revoke error:', error);
     return c.json(createErrorResponse('Authentication service error: ' + error.message), 500);
   }
 });
 
-// 인증키 발행 엔드포인트
-auth.post('/generate', async (c) => {
+// 인증키 발행 엔드포인트 (관리자 API 키 필요, 발행 내역은 감사 기록으로 저장)
+auth.post('/generate', requireAdminKey, async (c) => {
   try {
-    const { domain, password } = await c.req.json();
+    const { domain } = await c.req.json();
 
     // 입력 검증
     if (!domain || typeof domain !== 'string') {
       return c.json(createErrorResponse('Domain is required and must be a string'), 400);
     }
 
-    if (!password || typeof password !== 'string') {
-      return c.json(createErrorResponse('Password is required and must be a string'), 400);
-    }
-
     // 환경 변수 확인
     if (!c.env.AUTH_SECRET_KEY) {
       return c.json(createErrorResponse('Authentication service not configured'), 500);
@@ -91,30 +358,24 @@ auth.post('/generate', async (c) => {
 
     // 입력값 정제
     const sanitizedDomain = sanitizeInput(domain).toLowerCase().trim();
-    const sanitizedPassword = sanitizeInput(password).trim();
 
     // 도메인 형식 검증
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9](?:\.[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9])*$/;
-    if (!domainRegex.test(sanitizedDomain)) {
+    if (!DOMAIN_REGEX.test(sanitizedDomain)) {
       return c.json(createErrorResponse('Invalid domain format'), 400);
     }
 
-    // 비밀번호 SHA256 해시 계산
-    const encoder = new TextEncoder();
-    const passwordData = encoder.encode(sanitizedPassword);
-    const passwordHashBuffer = await crypto.subtle.digest('SHA-256', passwordData);
-    const passwordHashArray = Array.from(new Uint8Array(passwordHashBuffer));
-    const passwordHash = passwordHashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-    // 비밀번호 검증
-    const validPasswordHash = 'fb682c5d455938b2d9974a7c0159e43664e94265b953f21f9e3d35f9d99047a6';
-    if (passwordHash !== validPasswordHash) {
-      return c.json(createErrorResponse('Invalid password'), 401);
-    }
-
-    // 인증키 생성
+    // 현재 버전의 인증키 조회 (교체는 관리자 API에서)
     const authService = new AuthService(c.env.AUTH_SECRET_KEY, c.env.JWT_SECRET);
-    const authKey = await authService.generateDomainHash(sanitizedDomain);
+    const { version: keyVersion, authKey } = await new DomainKeyService(c.env.AITUTOR_KV, authService).getCurrentKey(sanitizedDomain);
+
+    // 감사 기록: 어떤 관리자 키로 어느 도메인의 인증키를 발행했는지 저장
+    await new AdminKeyService(c.env.AITUTOR_KV).recordAuthKeyIssued({
+      domain: sanitizedDomain,
+      authKey,
+      keyVersion,
+      adminKey: c.get('adminKey'),
+      clientIp: c.get('clientIp')
+    });
 
     // 성공 응답
     return c.json({
@@ -122,6 +383,7 @@ auth.post('/generate', async (c) => {
       message: 'Auth key generated successfully',
       domain: sanitizedDomain,
       authKey,
+      keyVersion,
       timestamp: new Date().toISOString(),
       usage: {
         description: 'Use this authKey with the domain to authenticate via POST /v1/auth',
@@ -138,4 +400,19 @@ auth.post('/generate', async (c) => {
   }
 });
 
+function createTokenResponse(message, domain, tokens, domainInfo, scopes) {
+  return {
+    success: true,
+    message,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    domain,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresIn: tokens.refreshExpiresIn,
+    domainInfo,
+    scopes,
+    timestamp: new Date().toISOString()
+  };
+}
+
 export default auth;
\ No newline at end of file
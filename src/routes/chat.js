@@ -1,48 +1,36 @@
 import { Hono } from 'hono';
-import { OpenAIService } from '../services/openai.js';
+import { getOpenAIService } from '../services/openai.js';
+import { LLMRouter } from '../services/llm.js';
 import { VectorizeService } from '../services/vectorize.js';
-import { parseSSEStream, createSSEResponse, createErrorResponse } from '../utils/responses.js';
+import { SessionService } from '../services/session.js';
+import { AnswerCacheService } from '../services/answercache.js';
+import { createStreamResponse, createErrorResponse, createSuccessResponse } from '../utils/responses.js';
+import { buildCitationInstructions, extractCitations } from '../utils/citations.js';
 import { validateChatMessages, validateOptions, sanitizeInput } from '../utils/validation.js';
+import { getOwnedContentInfo } from '../utils/tenant.js';
+import { TenantService } from '../services/tenant.js';
+import { AuthService } from '../utils/auth.js';
+import { rateLimit } from '../utils/ratelimit.js';
+import { requireFeature } from '../utils/entitlements.js';
 
 const chat = new Hono();
 
-// Cache helper functions
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash).toString(36);
-}
+chat.use('*', requireFeature('chat'));
 
-function normalizeQuestion(text) {
-  return text.toLowerCase().trim().replace(/[?.!,\s]+/g, ' ');
-}
+// Recorded with cached answers; bump when the grounded prompt, citation instructions or rejection message change
+const CHAT_PROMPT_VERSION = 'grounded-v1';
 
-function getCacheKey(question, contentId = 'general') {
-  const normalized = normalizeQuestion(question);
-  const hash = hashString(normalized);
-  return `chat:cache:${contentId}:${hash}`;
-}
+const REJECTION_MESSAGE = '죄송합니다. 현재 등록된 강의 자료에서는 해당 내용을 찾을 수 없습니다. 강의 내용과 관련된 다른 질문을 해주시면 도움을 드릴 수 있습니다.';
 
-async function getCachedResponse(env, cacheKey) {
-  try {
-    const cached = await env.AITUTOR_KV.get(cacheKey);
-    return cached ? JSON.parse(cached) : null;
-  } catch (error) {
-    console.error('Cache read error:', error);
-    return null;
-  }
-}
+function buildContextPrompt(context) {
+  return `관련 강의 자료:
+${context}
 
-async function setCachedResponse(env, cacheKey, response) {
-  try {
-    await env.AITUTOR_KV.put(cacheKey, JSON.stringify(response));
-  } catch (error) {
-    console.error('Cache write error:', error);
-  }
+위 강의 자료를 참고하여 학습자의 질문에 답변해주세요. 강의 내용과 관련이 있는 경우 자세히 설명해주세요.
+
+IMPORTANT: 답변 시작 부분에 반드시 "📚 강의 내용을 기반으로 답변드립니다.\n\n"를 포함하여 사용자에게 이것이 강의 기반 답변임을 알려주세요.
+
+${buildCitationInstructions()}`;
 }
 
 function createTextSSEStream(text) {
@@ -60,10 +48,250 @@ function createTextSSEStream(text) {
   });
 }
 
-chat.post('/', async (c) => {
+// Pass an OpenAI SSE stream through unchanged while collecting the full response text
+function collectStreamText(stream, onComplete) {
+  let fullResponse = '';
+  const decoder = new TextDecoder('utf-8', { stream: true });
+  let buffer = ''; // Buffer for incomplete lines
+
+  const collectingStream = new TransformStream({
+    transform(chunk, controller) {
+      // Pass through immediately
+      controller.enqueue(chunk);
+
+      // Collect text with streaming decoder and line buffering
+      try {
+        const text = decoder.decode(chunk, { stream: true });
+        buffer += text;
+
+        // Split by newlines but keep the last incomplete line in buffer
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || ''; // Keep last incomplete line in buffer
+
+        // Process complete lines only
+        for (const line of lines) {
+          if (line.startsWith('data: ') && !line.includes('[DONE]')) {
+            try {
+              const data = JSON.parse(line.slice(6));
+              if (data.choices?.[0]?.delta?.content) {
+                fullResponse += data.choices[0].delta.content;
+              }
+            } catch (e) {
+              // JSON parse error - line might still be incomplete
+            }
+          }
+        }
+      } catch (e) {}
+    },
+    flush() {
+      // Process any remaining buffered line
+      if (buffer && buffer.startsWith('data: ') && !buffer.includes('[DONE]')) {
+        try {
+          const data = JSON.parse(buffer.slice(6));
+          if (data.choices?.[0]?.delta?.content) {
+            fullResponse += data.choices[0].delta.content;
+          }
+        } catch (e) {}
+      }
+
+      // Finalize decoder
+      decoder.decode(new Uint8Array(), { stream: false });
+
+      if (fullResponse) {
+        onComplete(fullResponse);
+      }
+    }
+  });
+
+  return stream.pipeThrough(collectingStream);
+}
+
+/**
+ * Run the course-grounded chat pipeline (cache, retrieval, streaming) and build the SSE response.
+ * onComplete receives the final answer text, whether it was cached, rejected or generated,
+ * plus the verified citations when the answer was course-grounded.
+ */
+async function streamChatResponse(c, sanitizedMessages, requestOptions, onComplete = null) {
+  const contentId = AuthService.resolveContentId(c.get('user'), requestOptions.contentId);
+  const options = {
+    ...TenantService.withDefaults(c.get('tenant'), { ...requestOptions, ...(contentId && { contentId }) }),
+    onUsage: c.get('recordUsage')
+  };
+  const domain = c.get('user').domain;
+
+  if (options.contentId) {
+    await getOwnedContentInfo(c.env, options.contentId, domain);
+  }
+
+  const complete = (text, citations = []) => {
+    if (onComplete) {
+      c.executionCtx.waitUntil(onComplete(text, citations));
+    }
+  };
+
+  // Check LLM provider
+  if (!LLMRouter.isConfigured(c.env)) {
+    return c.json(createErrorResponse('No LLM provider configured'), 500);
+  }
+
+  // Initialize services
+  const openai = getOpenAIService(c.env, c.get('tenant'));
+  const vectorize = new VectorizeService(c.env.CONTENT_VECTORIZE, openai);
+
+  // Get the last user message for content search
+  const lastUserMessage = [...sanitizedMessages].reverse().find(msg => msg.role === 'user');
+  let enhancedMessages = [...sanitizedMessages];
+  let sources = [];
+
+  // Answer cache: reuse the answer to the same or a near-identical earlier question about the same content,
+  // asked after the same conversation. The question embedding is shared with content retrieval below.
+  const answerCache = c.env.ANSWER_CACHE_VECTORIZE && AnswerCacheService.isCacheable(sanitizedMessages)
+    ? new AnswerCacheService(c.env.ANSWER_CACHE_VECTORIZE, c.env.AITUTOR_KV, {
+      threshold: AnswerCacheService.thresholdOf(c.env),
+      ttlSeconds: AnswerCacheService.ttlOf(c.env)
+    })
+    : null;
+  const cacheScope = answerCache && {
+    domain,
+    contentId: options.contentId || 'general',
+    contextHash: await AnswerCacheService.contextHashOf(sanitizedMessages),
+    model: options.model || 'gpt-4o-mini',
+    promptVersion: await AnswerCacheService.promptVersionOf(CHAT_PROMPT_VERSION, options.tenantInstructions)
+  };
+  let questionEmbedding = null;
+
+  if (answerCache) {
+    try {
+      // Only embedded when there is no exact match
+      const embedQuestion = async () => {
+        questionEmbedding = await vectorize.generateEmbedding(lastUserMessage.content);
+        return questionEmbedding;
+      };
+      const cached = await answerCache.lookup(lastUserMessage.content, cacheScope, embedQuestion);
+
+      if (cached) {
+        console.log(`💾 Answer cache hit (${cached.match}): score=${cached.score.toFixed(3)}, domain=${domain}, contentId=${cacheScope.contentId}, entry=${cached.id}`);
+        complete(cached.answer, extractCitations(cached.answer, cached.sources).citations);
+        return createStreamResponse(createTextSSEStream(cached.answer), options, {
+          cacheHit: true,
+          cacheScore: cached.score,
+          grounded: cached.sources.length > 0,
+          rejected: false,
+          contentId: options.contentId || null
+        }, cached.sources);
+      }
+    } catch (cacheError) {
+      console.error('Answer cache lookup error (continuing without cache):', cacheError);
+    }
+  }
+
+  if (lastUserMessage && c.env.CONTENT_VECTORIZE) {
+    try {
+      // Search for relevant content
+      const contextResult = await vectorize.getContentContext(lastUserMessage.content, 3, {
+        ...getSearchOptions(c, options),
+        ...(questionEmbedding && { embedding: questionEmbedding })
+      });
+
+      if (contextResult.hasContext) {
+        sources = contextResult.sources;
+
+        // Add context to system message or create new one
+        const contextPrompt = buildContextPrompt(contextResult.context);
+
+        const hasSystemMessage = enhancedMessages.some(msg => msg.role === 'system');
+
+        if (hasSystemMessage) {
+          // Enhance existing system message
+          const systemIndex = enhancedMessages.findIndex(msg => msg.role === 'system');
+          enhancedMessages[systemIndex] = {
+            ...enhancedMessages[systemIndex],
+            content: enhancedMessages[systemIndex].content + '\n\n' + contextPrompt
+          };
+        } else {
+          // Add new system message with context
+          enhancedMessages.unshift({
+            role: 'system',
+            content: contextPrompt
+          });
+        }
+
+      } else {
+        // No relevant content found - return rejection message as SSE stream
+        complete(REJECTION_MESSAGE);
+        const rejectionStream = createTextSSEStream(REJECTION_MESSAGE);
+        return createStreamResponse(rejectionStream, options, {
+          cacheHit: false,
+          grounded: false,
+          rejected: true,
+          contentId: options.contentId || null
+        });
+      }
+    } catch (vectorError) {
+      console.error('Vector search error (continuing without context):', vectorError);
+    }
+  }
+
+  // Process with the routed LLM provider - all questions use real streaming
+  let route = null;
+  const stream = await openai.streamChat(enhancedMessages, { ...options, onRoute: served => { route = served; } });
+  const meta = {
+    cacheHit: false,
+    grounded: sources.length > 0,
+    rejected: false,
+    contentId: options.contentId || null,
+    provider: route.provider,
+    model: route.model
+  };
+
+  // Only answers grounded in lecture material are cached, so a failed search never fills the cache.
+  // Answers from a fallback provider are not cached under the primary model.
+  const shouldCache = !!answerCache && !!questionEmbedding && sources.length > 0 && !route.fallback;
+  if (shouldCache || onComplete) {
+    const collectedStream = collectStreamText(stream, (fullResponse) => {
+      // Cache after stream completes
+      if (shouldCache) {
+        c.executionCtx.waitUntil(
+          answerCache.store(questionEmbedding, {
+            ...cacheScope,
+            question: lastUserMessage.content,
+            answer: fullResponse,
+            sources
+          }).catch(error => console.error('Answer cache write error:', error))
+        );
+      }
+      complete(fullResponse, extractCitations(fullResponse, sources).citations);
+    });
+
+    return createStreamResponse(collectedStream, options, meta, sources);
+  }
+
+  // Nothing to collect, just stream
+  return createStreamResponse(stream, options, meta, sources);
+}
+
+// Retrieval only searches lecture material of the authenticated domain
+function getSearchOptions(c, options) {
+  return {
+    domain: c.get('user').domain,
+    ...(options.contentId && { contentId: options.contentId })
+  };
+}
+
+// Identify the learner that owns a session within the authenticated domain (learner tokens use their sub)
+function getSessionOwner(c, learnerId) {
+  const user = c.get('user');
+  return {
+    domain: user.domain,
+    learnerId: AuthService.resolveLearnerId(user, learnerId),
+    // 임베드 토큰은 해당 콘텐츠의 세션만 사용 가능
+    ...(user.typ === 'embed' && { contentId: user.contentId })
+  };
+}
+
+chat.post('/', rateLimit('chat'), async (c) => {
   try {
     const { messages, options = {} } = await c.req.json();
-    const isRecommended = options.isRecommended || false;
 
     // Basic validation
     if (!messages || !Array.isArray(messages)) {
@@ -79,202 +307,202 @@ chat.post('/', async (c) => {
       content: sanitizeInput(msg.content)
     }));
 
-    // Check for cached response (recommended questions only)
-    if (isRecommended && sanitizedMessages.length > 0) {
-      const lastMessage = sanitizedMessages[sanitizedMessages.length - 1];
-      if (lastMessage.role === 'user') {
-        const contentId = options.contentId || 'general';
-        const cacheKey = getCacheKey(lastMessage.content, contentId);
-
-        const cached = await getCachedResponse(c.env, cacheKey);
-        if (cached) {
-          // Cache hit - return as SSE stream
-          const cachedStream = createTextSSEStream(cached);
-          const parsedStream = parseSSEStream(cachedStream);
-          return createSSEResponse(parsedStream);
-        }
-      }
+    return await streamChatResponse(c, sanitizedMessages, options);
+
+  } catch (error) {
+    console.error('Chat error:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
     }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
 
-    // Check API key
-    if (!c.env.OPENAI_API_KEY) {
-      return c.json(createErrorResponse('OpenAI API key not configured'), 500);
+// Create a new chat session
+chat.post('/sessions', async (c) => {
+  try {
+    const { learnerId, title, contentId: requestedContentId, systemPrompt } = await c.req.json();
+    const owner = getSessionOwner(c, learnerId);
+    const contentId = AuthService.resolveContentId(c.get('user'), requestedContentId);
+
+    if (title !== undefined && (typeof title !== 'string' || title.length > 200)) {
+      return c.json(createErrorResponse('Title must be a string of at most 200 characters'), 400);
     }
 
-    // Initialize services
-    const openai = new OpenAIService(c.env.OPENAI_API_KEY, c.env.CLOUDFLARE_ACCOUNT_ID);
-    const vectorize = new VectorizeService(c.env.CONTENT_VECTORIZE, openai);
+    if (contentId !== undefined && typeof contentId !== 'string') {
+      return c.json(createErrorResponse('Content ID must be a string'), 400);
+    }
 
-    // Get the last user message for content search
-    const lastUserMessage = [...sanitizedMessages].reverse().find(msg => msg.role === 'user');
-    let enhancedMessages = [...sanitizedMessages];
+    if (systemPrompt !== undefined && (typeof systemPrompt !== 'string' || systemPrompt.length > 4000)) {
+      return c.json(createErrorResponse('System prompt must be a string of at most 4000 characters'), 400);
+    }
 
-    if (lastUserMessage && c.env.CONTENT_VECTORIZE) {
-      try {
-        // Search for relevant content
-        const searchOptions = options.contentId ? { contentId: options.contentId } : {};
-        const contextResult = await vectorize.getContentContext(lastUserMessage.content, 3, searchOptions);
+    if (contentId) {
+      await getOwnedContentInfo(c.env, contentId, owner.domain);
+    }
 
-        if (contextResult.hasContext) {
-          // Add context to system message or create new one
-          const contextPrompt = `관련 강의 자료:
-${contextResult.context}
+    const sessionService = new SessionService(c.env.AITUTOR_KV);
+    const session = await sessionService.createSession(owner, {
+      title: title && sanitizeInput(title),
+      contentId,
+      systemPrompt: systemPrompt && sanitizeInput(systemPrompt)
+    });
 
-위 강의 자료를 참고하여 학습자의 질문에 답변해주세요. 강의 내용과 관련이 있는 경우 자세히 설명해주세요.
+    return c.json(createSuccessResponse(session), 201);
 
-IMPORTANT: 답변 시작 부분에 반드시 "📚 강의 내용을 기반으로 답변드립니다.\n\n"를 포함하여 사용자에게 이것이 강의 기반 답변임을 알려주세요.`;
-
-          const hasSystemMessage = enhancedMessages.some(msg => msg.role === 'system');
-
-          if (hasSystemMessage) {
-            // Enhance existing system message
-            const systemIndex = enhancedMessages.findIndex(msg => msg.role === 'system');
-            enhancedMessages[systemIndex] = {
-              ...enhancedMessages[systemIndex],
-              content: enhancedMessages[systemIndex].content + '\n\n' + contextPrompt
-            };
-          } else {
-            // Add new system message with context
-            enhancedMessages.unshift({
-              role: 'system',
-              content: contextPrompt
-            });
-          }
+  } catch (error) {
+    console.error('Error creating chat session:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
 
-        } else {
-          // No relevant content found - return rejection message as SSE stream
-          const rejectionMessage = '죄송합니다. 현재 등록된 강의 자료에서는 해당 내용을 찾을 수 없습니다. 강의 내용과 관련된 다른 질문을 해주시면 도움을 드릴 수 있습니다.';
-          const rejectionStream = createTextSSEStream(rejectionMessage);
-          const parsedRejectionStream = parseSSEStream(rejectionStream);
-          return createSSEResponse(parsedRejectionStream);
-        }
-      } catch (vectorError) {
-        console.error('Vector search error (continuing without context):', vectorError);
-      }
+// List a learner's sessions
+chat.get('/sessions', async (c) => {
+  try {
+    const owner = getSessionOwner(c, c.req.query('learnerId'));
+    const limit = Math.min(parseInt(c.req.query('limit') || '50', 10) || 50, 100);
+
+    const sessionService = new SessionService(c.env.AITUTOR_KV);
+    const { sessions, cursor, hasMore } = await sessionService.listSessions(owner, { limit, cursor: c.req.query('cursor') });
+
+    return c.json(createSuccessResponse({ sessions, total: sessions.length, cursor, hasMore }));
+
+  } catch (error) {
+    console.error('Error listing chat sessions:', error);
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
+// Get a session with its full history
+chat.get('/sessions/:sessionId', async (c) => {
+  try {
+    const { sessionId } = c.req.param();
+    const owner = getSessionOwner(c, c.req.query('learnerId'));
+
+    const sessionService = new SessionService(c.env.AITUTOR_KV);
+    const session = await sessionService.getSession(sessionId, owner);
+
+    return c.json(createSuccessResponse(session));
+
+  } catch (error) {
+    console.error('Error getting chat session:', error);
+    if (error.message === 'Session not found') {
+      return c.json(createErrorResponse('Session not found', 404), 404);
     }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
 
-    // Process with OpenAI - all questions use real streaming
-    const stream = await openai.streamChat(enhancedMessages, options);
-
-    // For recommended questions, collect response while streaming
-    if (isRecommended && lastUserMessage) {
-      const contentId = options.contentId || 'general';
-      const cacheKey = getCacheKey(lastUserMessage.content, contentId);
-      let fullResponse = '';
-      const decoder = new TextDecoder('utf-8', { stream: true });
-      let buffer = ''; // Buffer for incomplete lines
-
-      const collectingStream = new TransformStream({
-        transform(chunk, controller) {
-          // Pass through immediately
-          controller.enqueue(chunk);
-
-          // Collect text with streaming decoder and line buffering
-          try {
-            const text = decoder.decode(chunk, { stream: true });
-            buffer += text;
-
-            // Split by newlines but keep the last incomplete line in buffer
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep last incomplete line in buffer
-
-            // Process complete lines only
-            for (const line of lines) {
-              if (line.startsWith('data: ') && !line.includes('[DONE]')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  if (data.choices?.[0]?.delta?.content) {
-                    fullResponse += data.choices[0].delta.content;
-                  }
-                } catch (e) {
-                  // JSON parse error - line might still be incomplete
-                }
-              }
-            }
-          } catch (e) {}
-        },
-        flush() {
-          // Process any remaining buffered line
-          if (buffer && buffer.startsWith('data: ') && !buffer.includes('[DONE]')) {
-            try {
-              const data = JSON.parse(buffer.slice(6));
-              if (data.choices?.[0]?.delta?.content) {
-                fullResponse += data.choices[0].delta.content;
-              }
-            } catch (e) {}
-          }
+// Delete a session
+chat.delete('/sessions/:sessionId', async (c) => {
+  try {
+    const { sessionId } = c.req.param();
+    const owner = getSessionOwner(c, c.req.query('learnerId'));
 
-          // Finalize decoder
-          decoder.decode(new Uint8Array(), { stream: false });
+    const sessionService = new SessionService(c.env.AITUTOR_KV);
+    const result = await sessionService.deleteSession(sessionId, owner);
 
-          // Cache after stream completes
-          if (fullResponse) {
-            c.executionCtx.waitUntil(
-              setCachedResponse(c.env, cacheKey, fullResponse)
-            );
-          }
-        }
-      });
+    return c.json(createSuccessResponse(result));
 
-      const cachedStream = stream.pipeThrough(collectingStream);
-      const parsedStream = parseSSEStream(cachedStream);
-      return createSSEResponse(parsedStream);
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    if (error.message === 'Session not found') {
+      return c.json(createErrorResponse('Session not found', 404), 404);
     }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
+// Post a new user turn to a session; history is loaded and appended server-side
+chat.post('/sessions/:sessionId/messages', rateLimit('chat'), async (c) => {
+  try {
+    const { sessionId } = c.req.param();
+    const { learnerId, content, options = {} } = await c.req.json();
+    const owner = getSessionOwner(c, learnerId);
+
+    validateChatMessages([{ role: 'user', content }]);
+    validateOptions(options);
+
+    const sessionService = new SessionService(c.env.AITUTOR_KV);
+    const session = await sessionService.getSession(sessionId, owner);
+
+    const userMessage = sanitizeInput(content);
+    const messages = sessionService.buildMessages(session, userMessage);
+    const chatOptions = session.contentId && !options.contentId
+      ? { ...options, contentId: session.contentId }
+      : options;
 
-    // For regular questions, just stream
-    const parsedStream = parseSSEStream(stream);
-    return createSSEResponse(parsedStream);
+    return await streamChatResponse(c, messages, chatOptions, (answer, citations) =>
+      sessionService.appendMessages(sessionId, owner, [
+        { role: 'user', content: userMessage },
+        { role: 'assistant', content: answer, citations }
+      ]).catch(error => console.error('Session history write error:', error))
+    );
 
   } catch (error) {
-    console.error('Chat error:', error);
+    console.error('Session chat error:', error);
+    if (error.message === 'Session not found' || error.message === 'Content not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
     return c.json(createErrorResponse(error.message), 400);
   }
 });
 
-chat.post('/simple', async (c) => {
+chat.post('/simple', rateLimit('chat'), async (c) => {
   try {
-    const { message, systemPrompt, options = {} } = await c.req.json();
+    const { message, systemPrompt, options: requestOptions = {} } = await c.req.json();
 
     if (!message || typeof message !== 'string') {
       return c.json(createErrorResponse('Message is required'), 400);
     }
 
-    validateOptions(options);
+    validateOptions(requestOptions);
+    const contentId = AuthService.resolveContentId(c.get('user'), requestOptions.contentId);
+    const options = {
+      ...TenantService.withDefaults(c.get('tenant'), { ...requestOptions, ...(contentId && { contentId }) }),
+      onUsage: c.get('recordUsage')
+    };
+
+    if (options.contentId) {
+      await getOwnedContentInfo(c.env, options.contentId, c.get('user').domain);
+    }
 
-    // Check API key
-    if (!c.env.OPENAI_API_KEY) {
-      return c.json(createErrorResponse('OpenAI API key not configured'), 500);
+    // Check LLM provider
+    if (!LLMRouter.isConfigured(c.env)) {
+      return c.json(createErrorResponse('No LLM provider configured'), 500);
     }
 
     // Initialize services
-    const openai = new OpenAIService(c.env.OPENAI_API_KEY, c.env.CLOUDFLARE_ACCOUNT_ID);
+    const openai = getOpenAIService(c.env, c.get('tenant'));
     const vectorize = new VectorizeService(c.env.CONTENT_VECTORIZE, openai);
 
     // Search for relevant content
     let enhancedSystemPrompt = systemPrompt || '';
+    let sources = [];
 
     if (c.env.CONTENT_VECTORIZE) {
       try {
-        const searchOptions = options.contentId ? { contentId: options.contentId } : {};
-        const contextResult = await vectorize.getContentContext(sanitizeInput(message), 3, searchOptions);
+        const contextResult = await vectorize.getContentContext(sanitizeInput(message), 3, getSearchOptions(c, options));
 
         if (contextResult.hasContext) {
-          const contextPrompt = `관련 강의 자료:
-${contextResult.context}
-
-위 강의 자료를 참고하여 학습자의 질문에 답변해주세요. 강의 내용과 관련이 있는 경우 자세히 설명해주세요.
-
-IMPORTANT: 답변 시작 부분에 반드시 "📚 강의 내용을 기반으로 답변드립니다.\n\n"를 포함하여 사용자에게 이것이 강의 기반 답변임을 알려주세요.`;
+          sources = contextResult.sources;
+          const contextPrompt = buildContextPrompt(contextResult.context);
 
           enhancedSystemPrompt = enhancedSystemPrompt
             ? enhancedSystemPrompt + '\n\n' + contextPrompt
             : contextPrompt;
         } else {
           // No relevant content found - return rejection message as SSE stream
-          const rejectionMessage = '죄송합니다. 현재 등록된 강의 자료에서는 해당 내용을 찾을 수 없습니다. 강의 내용과 관련된 다른 질문을 해주시면 도움을 드릴 수 있습니다.';
-          const rejectionStream = createTextSSEStream(rejectionMessage);
-          const parsedRejectionStream = parseSSEStream(rejectionStream);
-          return createSSEResponse(parsedRejectionStream);
+          const rejectionStream = createTextSSEStream(REJECTION_MESSAGE);
+          return createStreamResponse(rejectionStream, options, {
+            cacheHit: false,
+            grounded: false,
+            rejected: true,
+            contentId: options.contentId || null
+          });
         }
       } catch (vectorError) {
         console.error('Vector search error in simple chat (continuing without context):', vectorError);
@@ -288,16 +516,26 @@ IMPORTANT: 답변 시작 부분에 반드시 "📚 강의 내용을 기반으로
     }
     messages.push({ role: 'user', content: sanitizeInput(message) });
 
-    // Process with OpenAI
-    const stream = await openai.streamChat(messages, options);
-    const parsedStream = parseSSEStream(stream);
+    // Process with the routed LLM provider
+    let route = null;
+    const stream = await openai.streamChat(messages, { ...options, onRoute: served => { route = served; } });
 
-    return createSSEResponse(parsedStream);
+    return createStreamResponse(stream, options, {
+      cacheHit: false,
+      grounded: sources.length > 0,
+      rejected: false,
+      contentId: options.contentId || null,
+      provider: route.provider,
+      model: route.model
+    }, sources);
 
   } catch (error) {
     console.error('Simple chat error:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
     return c.json(createErrorResponse(error.message), 400);
   }
 });
 
-export default chat;
\ No newline at end of file
+export default chat;
@@ -3,7 +3,10 @@ import { z } from 'zod';
 import { validateInput } from '../utils/validation.js';
 import { createErrorResponse, createSuccessResponse } from '../utils/responses.js';
 import { ContentService } from '../services/content.js';
-import { OpenAIService } from '../services/openai.js';
+import { getOpenAIService } from '../services/openai.js';
+import { requireContentOwner } from '../utils/tenant.js';
+import { rateLimit } from '../utils/ratelimit.js';
+import { requireFeature, requireScope } from '../utils/entitlements.js';
 
 const content = new Hono();
 
@@ -26,14 +29,23 @@ const searchSchema = z.object({
   language: z.string().optional() // Filter by language
 });
 
+const listContentsSchema = z.object({
+  status: z.enum(['queued', 'processing', 'completed', 'failed']).optional(),
+  language: z.string().optional(),
+  createdAfter: z.string().datetime({ message: 'createdAfter must be an ISO 8601 date-time' }).optional(),
+  createdBefore: z.string().datetime({ message: 'createdBefore must be an ISO 8601 date-time' }).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+  cursor: z.string().optional()
+});
+
 // Helper function to initialize services
 function initializeServices(env) {
-  const openaiService = new OpenAIService(env.OPENAI_API_KEY, env.CLOUDFLARE_ACCOUNT_ID);
+  const openaiService = getOpenAIService(env);
   const contentService = new ContentService(env, openaiService);
   return { openaiService, contentService };
 }
 
-content.post('/upload-url', async (c) => {
+content.post('/upload-url', requireFeature('content'), requireScope('instructor'), rateLimit('upload'), async (c) => {
   try {
     const body = await c.req.json();
     const validatedData = validateInput(uploadUrlSchema, body);
@@ -45,7 +57,7 @@ content.post('/upload-url', async (c) => {
     const { videoUrl, language, force, options } = validatedData.data;
     const { contentService } = initializeServices(c.env);
 
-    const result = await contentService.createUploadJob(videoUrl, language, force, options);
+    const result = await contentService.createUploadJob(videoUrl, language, force, options, c.get('user').domain);
     return c.json(createSuccessResponse(result));
 
   } catch (error) {
@@ -54,7 +66,26 @@ content.post('/upload-url', async (c) => {
   }
 });
 
-content.get('/status/:contentId', async (c) => {
+// List content catalog with filters and cursor pagination
+content.get('/contents', async (c) => {
+  try {
+    const validatedData = validateInput(listContentsSchema, c.req.query());
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(validatedData.errors.map(e => e.message).join(', '), 400), 400);
+    }
+
+    const { contentService } = initializeServices(c.env);
+    const result = await contentService.listContents({ ...validatedData.data, domain: c.get('user').domain });
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    console.error('Error listing contents:', error);
+    return c.json(createErrorResponse('Failed to list contents', 500), 500);
+  }
+});
+
+content.get('/status/:contentId', requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -75,7 +106,7 @@ content.get('/status/:contentId', async (c) => {
   }
 });
 
-content.get('/result/:contentId', async (c) => {
+content.get('/result/:contentId', requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -103,7 +134,7 @@ content.get('/result/:contentId', async (c) => {
 });
 
 // Get content summary for chatbot integration
-content.get('/summary/:contentId', async (c) => {
+content.get('/summary/:contentId', requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -125,7 +156,7 @@ content.get('/summary/:contentId', async (c) => {
 });
 
 // Get content subtitle (original transcription)
-content.get('/subtitle/:contentId', async (c) => {
+content.get('/subtitle/:contentId', requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -166,7 +197,7 @@ content.post('/search', async (c) => {
     const { query: searchQuery, ...searchOptions } = validatedData.data;
     const { contentService } = initializeServices(c.env);
 
-    const result = await contentService.searchContent(searchQuery, searchOptions);
+    const result = await contentService.searchContent(searchQuery, { ...searchOptions, domain: c.get('user').domain });
     return c.json(createSuccessResponse(result));
 
   } catch (error) {
@@ -186,7 +217,7 @@ content.post('/context', async (c) => {
     }
 
     const { contentService } = initializeServices(c.env);
-    const result = await contentService.getContentContext(query, maxChunks);
+    const result = await contentService.getContentContext(query, maxChunks, c.get('user').domain);
     return c.json(createSuccessResponse(result));
 
   } catch (error) {
@@ -195,8 +226,30 @@ content.post('/context', async (c) => {
   }
 });
 
+// Get the vector manifest written by the last indexing run (debugging)
+content.get('/vectors/:contentId', requireScope('admin'), requireContentOwner, async (c) => {
+  try {
+    const { contentId } = c.req.param();
+
+    if (!contentId) {
+      return c.json(createErrorResponse('Content ID is required', 400), 400);
+    }
+
+    const { contentService } = initializeServices(c.env);
+    const result = await contentService.getVectorManifest(contentId);
+    return c.json(createSuccessResponse(result));
+
+  } catch (error) {
+    console.error('Error getting vector manifest:', error);
+    if (error.message === 'Vector manifest not found') {
+      return c.json(createErrorResponse('Vector manifest not found', 404), 404);
+    }
+    return c.json(createErrorResponse('Failed to get vector manifest', 500), 500);
+  }
+});
+
 // Re-index existing content in vectorize (admin function)
-content.post('/reindex/:contentId', async (c) => {
+content.post('/reindex/:contentId', requireFeature('content'), requireScope('admin'), requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -218,7 +271,7 @@ content.post('/reindex/:contentId', async (c) => {
 });
 
 // Regenerate captions for existing content (requires streamId)
-content.post('/recaption/:contentId', async (c) => {
+content.post('/recaption/:contentId', requireFeature('content'), requireScope('instructor'), requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
     const body = await c.req.json();
@@ -264,7 +317,7 @@ content.post('/recaption/:contentId', async (c) => {
 });
 
 // Generate new summary with learning objectives, recommended questions, and quiz
-content.post('/generate-summary/:contentId', async (c) => {
+content.post('/generate-summary/:contentId', requireFeature('content'), requireScope('instructor'), requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
 
@@ -288,7 +341,7 @@ content.post('/generate-summary/:contentId', async (c) => {
     );
 
     // Update the summary
-    const updatedSummary = await contentService.updateContentSummary(contentId, {
+    const updatedSummary = await contentService.updateSummary(contentId, {
       summary: newEducationalContent.summary,
       objectives: newEducationalContent.objectives,
       recommendedQuestions: newEducationalContent.recommendedQuestions,
@@ -318,4 +371,36 @@ content.post('/generate-summary/:contentId', async (c) => {
   }
 });
 
+// Delete content from KV, Vectorize, the chat cache and optionally Stream (admin function)
+content.delete('/:contentId', requireFeature('content'), requireScope('admin'), requireContentOwner, async (c) => {
+  try {
+    const { contentId } = c.req.param();
+    const deleteVideo = c.req.query('deleteVideo') === 'true';
+    const force = c.req.query('force') === 'true';
+
+    if (!contentId) {
+      return c.json(createErrorResponse('Content ID is required', 400), 400);
+    }
+
+    const { contentService } = initializeServices(c.env);
+    const report = await contentService.deleteContent(contentId, { deleteVideo, force });
+
+    if (!report.complete) {
+      return c.json({ ...createErrorResponse('Content partially deleted, retry to finish', 500, 'PARTIAL_DELETE'), report }, 500);
+    }
+
+    return c.json(createSuccessResponse(report));
+
+  } catch (error) {
+    console.error('Error deleting content:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
+    if (error.message === 'Content is still being processed') {
+      return c.json(createErrorResponse('Content is still being processed. Use force=true to delete anyway.', 409), 409);
+    }
+    return c.json(createErrorResponse('Failed to delete content', 500), 500);
+  }
+});
+
 export default content;
\ No newline at end of file
@@ -1,18 +1,124 @@
 import { Hono } from 'hono';
+import { z } from 'zod';
 import { KVService } from '../services/kv.js';
+import { QuizService } from '../services/quiz.js';
+import { getOpenAIService } from '../services/openai.js';
+import { LLMRouter } from '../services/llm.js';
 import { createErrorResponse, createSuccessResponse } from '../utils/responses.js';
+import { validateInput, sanitizeInput } from '../utils/validation.js';
+import { AuthService } from '../utils/auth.js';
+import { getOwnedContentInfo, requireContentOwner } from '../utils/tenant.js';
+import { rateLimit } from '../utils/ratelimit.js';
+import { requireFeature } from '../utils/entitlements.js';
 
 const quiz = new Hono();
 
+quiz.use('*', requireFeature('quiz'));
+
+const generateQuizSchema = z.object({
+  topic: z.string().min(1).max(500).optional(),
+  contentId: z.string().min(1).optional(),
+  startTime: z.number().min(0).optional(),
+  endTime: z.number().positive().optional(),
+  questionCount: z.number().int().min(1).max(20).optional().default(5),
+  difficulty: z.enum(['beginner', 'intermediate', 'advanced']).optional().default('intermediate'),
+  language: z.string().optional(),
+  save: z.boolean().optional().default(false)
+})
+  .refine(data => data.topic || data.contentId, { message: 'Either topic or contentId is required' })
+  .refine(data => data.contentId || (data.startTime === undefined && data.endTime === undefined), {
+    message: 'startTime and endTime require contentId'
+  })
+  .refine(data => data.startTime === undefined || data.endTime === undefined || data.startTime < data.endTime, {
+    message: 'startTime must be before endTime'
+  })
+  .refine(data => !data.save || data.contentId, { message: 'save requires contentId' });
+
+// Generate a quiz on demand from a topic, a content transcript or a time range of it
+quiz.post('/generate', rateLimit('quiz'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const validatedData = validateInput(generateQuizSchema, body);
+
+    if (!validatedData.success) {
+      return c.json(createErrorResponse(validatedData.errors.map(e => e.message).join(', '), 400), 400);
+    }
+
+    const { save, ...request } = validatedData.data;
+
+    if (save && !AuthService.hasScope(c.get('user'), 'instructor')) {
+      return c.json(createErrorResponse('Instructor scope required to save quizzes', 403, 'INSUFFICIENT_SCOPE'), 403);
+    }
+
+    request.contentId = AuthService.resolveContentId(c.get('user'), request.contentId);
+
+    if (request.contentId) {
+      await getOwnedContentInfo(c.env, request.contentId, c.get('user').domain);
+    }
+
+    if (!LLMRouter.isConfigured(c.env)) {
+      return c.json(createErrorResponse('No LLM provider configured'), 500);
+    }
+
+    const openai = getOpenAIService(c.env, c.get('tenant'));
+    const quizService = new QuizService(c.env.AITUTOR_KV, openai);
+
+    const { source, questions } = await quizService.generateQuiz({
+      ...request,
+      topic: request.topic && sanitizeInput(request.topic),
+      onUsage: c.get('recordUsage')
+    });
+
+    const saved = save
+      ? await quizService.saveQuizVersion(request.contentId, questions, {
+        language: request.language || source.language,
+        difficulty: request.difficulty,
+        source
+      })
+      : null;
+
+    return c.json(createSuccessResponse({
+      source,
+      difficulty: request.difficulty,
+      questionCount: questions.length,
+      quiz: questions,
+      saved: saved ? { contentId: saved.contentId, version: saved.version } : null
+    }));
+
+  } catch (error) {
+    console.error('Error generating quiz:', error);
+    if (error.message === 'Content not found' || error.message === 'Content subtitle not found') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    if (error.message === 'No transcript found in the requested time range' || error.message === 'Content ID does not match the embed token') {
+      return c.json(createErrorResponse(error.message, 400), 400);
+    }
+    if (error.message.startsWith('Structured output validation failed')) {
+      return c.json(createErrorResponse('Generated quiz failed validation, please try again', 502, 'INVALID_MODEL_OUTPUT'), 502);
+    }
+    return c.json(createErrorResponse('Failed to generate quiz', 500), 500);
+  }
+});
+
 // Get quiz questions based on content ID
-quiz.get('/:contentId', async (c) => {
+// Learners get questions and options only; ?view=instructor includes answers and explanations
+quiz.get('/:contentId', requireContentOwner, async (c) => {
   try {
     const { contentId } = c.req.param();
+    const view = c.req.query('view') || 'learner';
 
     if (!contentId) {
       return c.json(createErrorResponse('Content ID is required', 400), 400);
     }
 
+    if (!['learner', 'instructor'].includes(view)) {
+      return c.json(createErrorResponse('View must be "learner" or "instructor"', 400), 400);
+    }
+
+    if (view === 'instructor' && !AuthService.hasScope(c.get('user'), 'instructor')) {
+      return c.json(createErrorResponse('Instructor scope required to view answers', 403, 'INSUFFICIENT_SCOPE'), 403);
+    }
+
     // Initialize KV service
     const kvService = new KVService(c.env.AITUTOR_KV);
 
@@ -25,7 +131,8 @@ quiz.get('/:contentId', async (c) => {
 
     return c.json(createSuccessResponse({
       contentId,
-      quiz: quizData.quiz,
+      view,
+      quiz: view === 'instructor' ? quizData.quiz : QuizService.toLearnerView(quizData.quiz),
       totalQuestions: quizData.totalQuestions,
       language: quizData.language,
       createdAt: quizData.createdAt
@@ -37,4 +144,65 @@ quiz.get('/:contentId', async (c) => {
   }
 });
 
+// Identify the learner that owns quiz attempts within the authenticated domain (learner tokens use their sub)
+function getAttemptOwner(c, learnerId) {
+  const user = c.get('user');
+  return { domain: user.domain, learnerId: AuthService.resolveLearnerId(user, learnerId) };
+}
+
+// Submit answers for grading; the attempt is stored in the learner's history
+quiz.post('/:contentId/attempts', requireContentOwner, async (c) => {
+  try {
+    const { contentId } = c.req.param();
+    const { learnerId, answers } = await c.req.json();
+    const owner = getAttemptOwner(c, learnerId);
+
+    const quizService = new QuizService(c.env.AITUTOR_KV);
+    const attempt = await quizService.submitAttempt(contentId, owner, answers);
+
+    return c.json(createSuccessResponse(attempt), 201);
+
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    if (error.message === 'Quiz not found for this content') {
+      return c.json(createErrorResponse(error.message, 404), 404);
+    }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
+// List a learner's attempts, newest first
+quiz.get('/:contentId/attempts', requireContentOwner, async (c) => {
+  try {
+    const { contentId } = c.req.param();
+    const owner = getAttemptOwner(c, c.req.query('learnerId'));
+
+    const quizService = new QuizService(c.env.AITUTOR_KV);
+    const attempts = await quizService.listAttempts(contentId, owner);
+
+    return c.json(createSuccessResponse({ contentId, attempts, total: attempts.length }));
+
+  } catch (error) {
+    console.error('Error listing quiz attempts:', error);
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
+// Best and latest scores for a learner
+quiz.get('/:contentId/attempts/summary', requireContentOwner, async (c) => {
+  try {
+    const { contentId } = c.req.param();
+    const owner = getAttemptOwner(c, c.req.query('learnerId'));
+
+    const quizService = new QuizService(c.env.AITUTOR_KV);
+    const summary = await quizService.getAttemptSummary(contentId, owner);
+
+    return c.json(createSuccessResponse(summary));
+
+  } catch (error) {
+    console.error('Error getting quiz attempt summary:', error);
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
 export default quiz;
@@ -0,0 +1,106 @@
+import { Hono } from 'hono';
+import { getOpenAIService, TUTOR_MODES, MAX_HINT_LEVEL } from '../services/openai.js';
+import { LLMRouter } from '../services/llm.js';
+import { VectorizeService } from '../services/vectorize.js';
+import { createStreamResponse, createErrorResponse } from '../utils/responses.js';
+import { buildCitationInstructions } from '../utils/citations.js';
+import { validateTutorRequest, validateOptions, sanitizeInput } from '../utils/validation.js';
+import { getOwnedContentInfo } from '../utils/tenant.js';
+import { TenantService } from '../services/tenant.js';
+import { rateLimit } from '../utils/ratelimit.js';
+import { requireFeature } from '../utils/entitlements.js';
+
+const tutor = new Hono();
+
+tutor.use('*', requireFeature('tutor'));
+
+// Ask the tutor a question with a selectable pedagogy mode
+tutor.post('/', rateLimit('tutor'), async (c) => {
+  try {
+    const { question, context, mode = 'direct', hintLevel = 1, options: requestOptions = {} } = await c.req.json();
+
+    validateTutorRequest(question, context);
+    validateOptions(requestOptions);
+    const options = { ...TenantService.withDefaults(c.get('tenant'), requestOptions), onUsage: c.get('recordUsage') };
+
+    if (!TUTOR_MODES.includes(mode)) {
+      return c.json(createErrorResponse(`Mode must be one of: ${TUTOR_MODES.join(', ')}`), 400);
+    }
+
+    if (!Number.isInteger(hintLevel) || hintLevel < 1 || hintLevel > MAX_HINT_LEVEL) {
+      return c.json(createErrorResponse(`Hint level must be an integer between 1 and ${MAX_HINT_LEVEL}`), 400);
+    }
+
+    const domain = c.get('user').domain;
+    if (options.contentId) {
+      await getOwnedContentInfo(c.env, options.contentId, domain);
+    }
+
+    // Check LLM provider
+    if (!LLMRouter.isConfigured(c.env)) {
+      return c.json(createErrorResponse('No LLM provider configured'), 500);
+    }
+
+    // Initialize services
+    const openai = getOpenAIService(c.env, c.get('tenant'));
+    const vectorize = new VectorizeService(c.env.CONTENT_VECTORIZE, openai);
+
+    const sanitizedQuestion = sanitizeInput(question);
+    const systemParts = [];
+    let sources = [];
+
+    if (context) {
+      systemParts.push(`학습자 정보: ${sanitizeInput(context)}`);
+    }
+
+    // Ground the explanation in lecture material when relevant chunks exist
+    if (c.env.CONTENT_VECTORIZE) {
+      try {
+        // Only search lecture material of the authenticated domain
+        const searchOptions = { domain, ...(options.contentId && { contentId: options.contentId }) };
+        const contextResult = await vectorize.getContentContext(sanitizedQuestion, 3, searchOptions);
+
+        if (contextResult.hasContext) {
+          sources = contextResult.sources;
+          systemParts.push(`관련 강의 자료:
+${contextResult.context}
+
+위 강의 자료의 용어와 설명 방식에 맞추어 지도해주세요.
+
+${buildCitationInstructions()}`);
+        }
+      } catch (vectorError) {
+        console.error('Vector search error in tutor (continuing without context):', vectorError);
+      }
+    }
+
+    const messages = [];
+    if (systemParts.length > 0) {
+      messages.push({ role: 'system', content: systemParts.join('\n\n') });
+    }
+    messages.push({ role: 'user', content: sanitizedQuestion });
+
+    let route = null;
+    const stream = await openai.streamChat(messages, { ...options, tutorMode: mode, hintLevel, onRoute: served => { route = served; } });
+
+    return createStreamResponse(stream, options, {
+      cacheHit: false,
+      grounded: sources.length > 0,
+      rejected: false,
+      contentId: options.contentId || null,
+      provider: route.provider,
+      model: route.model,
+      mode,
+      ...(mode === 'hint' && { hintLevel, nextHintLevel: hintLevel < MAX_HINT_LEVEL ? hintLevel + 1 : null })
+    }, sources);
+
+  } catch (error) {
+    console.error('Tutor error:', error);
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
+    return c.json(createErrorResponse(error.message), 400);
+  }
+});
+
+export default tutor;
@@ -0,0 +1,257 @@
+import { KVService } from './kv.js';
+import { randomHex, sha256Hex, timingSafeEqual } from '../utils/auth.js';
+
+// Failed admin logins allowed per client IP before it is locked out
+export const MAX_FAILED_ATTEMPTS = 5;
+
+export const LOCKOUT_SECONDS = 15 * 60;
+
+const API_KEY_PATTERN = /^adk_([a-f0-9]{12})_([a-f0-9]{64})$/;
+
+/**
+ * Admin Key Service
+ * Admin API keys stored as salted SHA-256 hashes at admin:key:<keyId>, failed-login lockout per client IP,
+ * and an audit trail of every domain auth key issued.
+ * The plaintext key is only returned once, when it is created or rotated.
+ */
+export class AdminKeyService {
+  constructor(kv) {
+    this.kvService = new KVService(kv);
+  }
+
+  /**
+   * Create an admin key
+   * @returns {Object} { key, apiKey } - apiKey is the plaintext key, shown only here
+   */
+  async createKey({ name, createdBy = null }) {
+    const keyId = randomHex(6);
+    const secret = randomHex(32);
+    const salt = randomHex(16);
+
+    const key = {
+      keyId,
+      name,
+      status: 'active',
+      salt,
+      hash: await AdminKeyService.hashSecret(salt, secret),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+      revokedReason: null,
+      replacedBy: null
+    };
+
+    await this.saveKey(key);
+    return { key: AdminKeyService.toView(key), apiKey: `adk_${keyId}_${secret}` };
+  }
+
+  async getKey(keyId) {
+    return this.kvService.get(AdminKeyService.keyKey(keyId));
+  }
+
+  /**
+   * List admin keys without their hashes
+   */
+  async listKeys() {
+    const keys = [];
+    let cursor;
+
+    do {
+      const page = await this.kvService.listPage({ prefix: AdminKeyService.keyKey(''), cursor });
+      for (const entry of page.keys) {
+        const key = entry.metadata || AdminKeyService.toView(await this.kvService.get(entry.name) || {});
+        if (key.keyId) keys.push(key);
+      }
+      cursor = page.cursor;
+    } while (cursor);
+
+    return keys;
+  }
+
+  /**
+   * Replace an active key with a new one under the same name; the old key stops working immediately
+   */
+  async rotateKey(keyId, rotatedBy = null) {
+    const key = await this.getActiveKey(keyId);
+    const created = await this.createKey({ name: key.name, createdBy: rotatedBy });
+
+    await this.saveKey({
+      ...key,
+      status: 'revoked',
+      revokedAt: new Date().toISOString(),
+      revokedReason: 'rotated',
+      replacedBy: created.key.keyId
+    });
+
+    return created;
+  }
+
+  async revokeKey(keyId, reason = null) {
+    const key = await this.getActiveKey(keyId);
+    const revokedKey = {
+      ...key,
+      status: 'revoked',
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    };
+
+    await this.saveKey(revokedKey);
+    return AdminKeyService.toView(revokedKey);
+  }
+
+  async getActiveKey(keyId) {
+    const key = await this.getKey(keyId);
+
+    if (!key) {
+      throw new Error('Admin key not found');
+    }
+
+    if (key.status !== 'active') {
+      throw new Error('Admin key is revoked');
+    }
+
+    return key;
+  }
+
+  /**
+   * Verify a plaintext admin key; returns the key view or null.
+   * bootstrapKey (the ADMIN_BOOTSTRAP_KEY secret) is accepted so the first key can be created.
+   */
+  async verifyKey(apiKey, bootstrapKey = null) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return null;
+    }
+
+    if (bootstrapKey && timingSafeEqual(apiKey, bootstrapKey)) {
+      return { keyId: 'bootstrap', name: 'bootstrap', status: 'active' };
+    }
+
+    const match = API_KEY_PATTERN.exec(apiKey);
+    if (!match) {
+      return null;
+    }
+
+    const [, keyId, secret] = match;
+    const key = await this.getKey(keyId);
+
+    if (!key || key.status !== 'active') {
+      return null;
+    }
+
+    const hash = await AdminKeyService.hashSecret(key.salt, secret);
+    return timingSafeEqual(hash, key.hash) ? AdminKeyService.toView(key) : null;
+  }
+
+  async touchKey(keyId) {
+    const key = await this.getKey(keyId);
+    if (key) {
+      await this.saveKey({ ...key, lastUsedAt: new Date().toISOString() });
+    }
+  }
+
+  async saveKey(key) {
+    await this.kvService.set(AdminKeyService.keyKey(key.keyId), key, {
+      metadata: AdminKeyService.toView(key)
+    });
+  }
+
+  /**
+   * Get the lockout state for a client; lockedUntil is set once MAX_FAILED_ATTEMPTS is reached
+   */
+  async getLockout(clientIp) {
+    return this.kvService.get(AdminKeyService.lockoutKey(clientIp));
+  }
+
+  /**
+   * Count a failed login; failures expire LOCKOUT_SECONDS after the last one
+   */
+  async recordFailure(clientIp, now = Date.now()) {
+    const lockout = await this.getLockout(clientIp) || { failures: 0, lockedUntil: null };
+    const failures = lockout.failures + 1;
+    const updated = {
+      failures,
+      lockedUntil: failures >= MAX_FAILED_ATTEMPTS ? now + LOCKOUT_SECONDS * 1000 : null
+    };
+
+    await this.kvService.set(AdminKeyService.lockoutKey(clientIp), updated, { expirationTtl: LOCKOUT_SECONDS });
+    return updated;
+  }
+
+  async clearFailures(clientIp) {
+    await this.kvService.delete(AdminKeyService.lockoutKey(clientIp));
+  }
+
+  /**
+   * Record that a domain auth key was issued. Only a fingerprint of the auth key is stored.
+   */
+  async recordAuthKeyIssued({ domain, authKey, keyVersion = 0, rotated = false, adminKey, clientIp }) {
+    const issuedAt = new Date().toISOString();
+    const entry = {
+      auditId: crypto.randomUUID(),
+      domain,
+      keyVersion,
+      rotated,
+      authKeyFingerprint: (await sha256Hex(authKey)).slice(0, 16),
+      issuedBy: adminKey ? { keyId: adminKey.keyId, name: adminKey.name } : null,
+      clientIp,
+      issuedAt
+    };
+
+    await this.kvService.set(AdminKeyService.auditKey(domain, issuedAt, entry.auditId), entry, { metadata: entry });
+    return entry;
+  }
+
+  /**
+   * List auth key audit entries, oldest first, optionally for one domain
+   */
+  async listAuthKeyAudit({ domain, limit = 50, cursor } = {}) {
+    const page = await this.kvService.listPage({
+      prefix: domain ? `${AdminKeyService.auditKey('')}${domain}:` : AdminKeyService.auditKey(''),
+      limit,
+      cursor
+    });
+
+    const entries = [];
+    for (const key of page.keys) {
+      const entry = key.metadata || await this.kvService.get(key.name);
+      if (entry) entries.push(entry);
+    }
+
+    return {
+      entries,
+      count: entries.length,
+      cursor: page.cursor,
+      hasMore: page.cursor !== null
+    };
+  }
+
+  // Key record without salt and hash (also stored as KV metadata for listing)
+  static toView(key) {
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      status: key.status,
+      createdAt: key.createdAt,
+      lastUsedAt: key.lastUsedAt || null,
+      revokedAt: key.revokedAt || null,
+      replacedBy: key.replacedBy || null
+    };
+  }
+
+  static async hashSecret(salt, secret) {
+    return sha256Hex(`${salt}:${secret}`);
+  }
+
+  static keyKey(keyId) {
+    return `admin:key:${keyId}`;
+  }
+
+  static lockoutKey(clientIp) {
+    return `admin:lockout:${clientIp}`;
+  }
+
+  static auditKey(domain, issuedAt = '', auditId = '') {
+    return domain ? `admin:audit:authkey:${domain}:${issuedAt}:${auditId}` : 'admin:audit:authkey:';
+  }
+}
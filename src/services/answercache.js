@@ -0,0 +1,310 @@
+import { KVService } from './kv.js';
+import { sha256Hex } from '../utils/auth.js';
+
+// Cosine similarity a previous question must reach for its answer to be reused (ANSWER_CACHE_THRESHOLD overrides)
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.92;
+
+// How long a cached answer is served (ANSWER_CACHE_TTL_SECONDS overrides)
+export const DEFAULT_ANSWER_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// KV expirationTtl must be at least 60 seconds
+const MIN_ANSWER_TTL_SECONDS = 60;
+
+// Near matches checked per lookup, so entries from another model or prompt version do not hide a usable one
+const LOOKUP_CANDIDATES = 5;
+
+// Longest question text kept in vector metadata and in the KV listing metadata (which is limited to 1024 bytes)
+const MAX_QUESTION_METADATA_LENGTH = 500;
+const MAX_QUESTION_LISTING_LENGTH = 100;
+
+/**
+ * Answer Cache Service
+ * Semantic cache for chat answers: question embeddings live in a dedicated Vectorize index
+ * (filtered by domain and contentId), the answers in KV at chat:cache:<contentId>:<domain>:<entryId>.
+ * Keys stay prefixed by contentId so content deletion clears them with the rest of the content.
+ *
+ * The entry ID (also the vector ID) is a SHA-256 of the domain, content, normalized question, the conversation
+ * before it, the model and the prompt version, so a repeated question is found without embedding it. The normalized
+ * question and context hash are stored with the answer and checked on read, and a semantic match is only
+ * reused within the same conversation context, so a follow-up like "explain more" never gets another thread's reply.
+ * Answers expire after the TTL; ContentService purges a content's answers whenever its transcript, summary or index changes.
+ */
+export class AnswerCacheService {
+  // vectorizeIndex may be null (binding not configured); purging then only clears KV
+  constructor(vectorizeIndex, kv, { threshold = DEFAULT_SIMILARITY_THRESHOLD, ttlSeconds = DEFAULT_ANSWER_TTL_SECONDS } = {}) {
+    this.vectorizeIndex = vectorizeIndex;
+    this.kvService = new KVService(kv);
+    this.threshold = threshold;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Find a cached answer for the question within the scope (domain, contentId, contextHash, model, promptVersion).
+   * An exact match of the normalized question is tried first; embed() is only called when it misses,
+   * to find the closest earlier question. Returns the entry with its score and match type, or null.
+   * Vectors whose answer has expired are deleted along the way.
+   */
+  async lookup(question, scope, embed, now = Date.now()) {
+    const { domain, contentId = 'general' } = scope;
+    const normalizedQuestion = AnswerCacheService.normalizeQuestion(question);
+    const entryId = await AnswerCacheService.entryIdOf(normalizedQuestion, { ...scope, contentId });
+
+    const exact = await this.kvService.get(AnswerCacheService.entryKey(contentId, domain, entryId));
+    if (exact && AnswerCacheService.matchesScope(exact, scope) && exact.normalizedQuestion === normalizedQuestion &&
+      !AnswerCacheService.isExpired(exact, now)) {
+      return { ...exact, id: entryId, score: 1, match: 'exact' };
+    }
+
+    const results = await this.vectorizeIndex.query(new Float32Array(await embed()), {
+      topK: LOOKUP_CANDIDATES,
+      returnMetadata: 'all',
+      returnValues: false,
+      filter: { domain, contentId }
+    });
+
+    const expiredIds = [];
+    let hit = null;
+
+    for (const match of results.matches || []) {
+      if (match.score < this.threshold) break;
+
+      const metadata = match.metadata || {};
+      // Metadata is checked too, in case the metadata indexes are missing and the filter was ignored
+      if (metadata.domain !== domain || metadata.contentId !== contentId) continue;
+
+      if (AnswerCacheService.isExpired(metadata, now)) {
+        expiredIds.push(match.id);
+        continue;
+      }
+
+      if (!AnswerCacheService.matchesScope(metadata, scope)) continue;
+
+      const entry = await this.kvService.get(AnswerCacheService.entryKey(contentId, domain, match.id));
+      if (!entry) {
+        // Answer was purged or expired in KV first
+        expiredIds.push(match.id);
+        continue;
+      }
+
+      if (!AnswerCacheService.matchesScope(entry, scope)) continue;
+
+      hit = { ...entry, id: match.id, score: match.score, match: 'semantic' };
+      break;
+    }
+
+    if (expiredIds.length > 0) {
+      await this.vectorizeIndex.deleteByIds(expiredIds);
+    }
+
+    return hit;
+  }
+
+  /**
+   * Cache an answer under the question's embedding.
+   * The content's current index version is recorded so stale entries can be spotted when inspecting the cache.
+   */
+  async store(embedding, { domain, contentId = 'general', contextHash, model, promptVersion, question, answer, sources = [] }) {
+    const normalizedQuestion = AnswerCacheService.normalizeQuestion(question);
+    const id = await AnswerCacheService.entryIdOf(normalizedQuestion, { domain, contentId, contextHash, model, promptVersion });
+    const createdAt = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + this.ttlSeconds * 1000).toISOString();
+
+    const manifest = contentId === 'general' ? null : await this.kvService.get(KVService.contentKey('vectors', contentId));
+    const entry = {
+      question,
+      normalizedQuestion,
+      contextHash,
+      answer,
+      sources,
+      model,
+      promptVersion,
+      indexVersion: manifest?.indexVersion ?? null,
+      createdAt,
+      expiresAt
+    };
+
+    await this.kvService.set(AnswerCacheService.entryKey(contentId, domain, id), entry, {
+      expirationTtl: this.ttlSeconds,
+      metadata: AnswerCacheService.toListEntry({ ...entry, id, domain, contentId })
+    });
+    await this.vectorizeIndex.upsert([{
+      id,
+      values: embedding,
+      metadata: {
+        domain,
+        contentId,
+        question: question.substring(0, MAX_QUESTION_METADATA_LENGTH),
+        contextHash,
+        model,
+        promptVersion,
+        createdAt,
+        expiresAt
+      }
+    }]);
+
+    return id;
+  }
+
+  /**
+   * List a content's cached answers one KV page at a time, optionally for one domain
+   */
+  async listEntries(contentId, { domain, limit = 50, cursor } = {}) {
+    const page = await this.kvService.listPage({
+      prefix: domain ? AnswerCacheService.entryKey(contentId, domain, '') : AnswerCacheService.contentPrefix(contentId),
+      limit,
+      cursor
+    });
+
+    const entries = [];
+    for (const key of page.keys) {
+      const [entryDomain, id] = key.name.substring(AnswerCacheService.contentPrefix(contentId).length).split(':');
+      const entry = key.metadata || AnswerCacheService.toListEntry({ ...(await this.kvService.get(key.name) || {}), id, domain: entryDomain, contentId });
+      entries.push(entry);
+    }
+
+    return {
+      entries,
+      count: entries.length,
+      cursor: page.cursor,
+      hasMore: page.cursor !== null
+    };
+  }
+
+  /**
+   * Get one cached answer with its sources
+   */
+  async getEntry(contentId, domain, id) {
+    const entry = await this.kvService.get(AnswerCacheService.entryKey(contentId, domain, id));
+    return entry ? { ...entry, id, domain, contentId } : null;
+  }
+
+  /**
+   * Delete one cached answer and its question vector
+   */
+  async deleteEntry(contentId, domain, id) {
+    const key = AnswerCacheService.entryKey(contentId, domain, id);
+
+    if (!(await this.kvService.exists(key))) {
+      throw new Error('Cache entry not found');
+    }
+
+    if (this.vectorizeIndex) {
+      await this.vectorizeIndex.deleteByIds([id]);
+    }
+    await this.kvService.delete(key);
+  }
+
+  /**
+   * Delete every cached answer for a content item (optionally only one domain's), with the question vectors.
+   * Returns the number of deleted answers.
+   */
+  async purge(contentId, { domain } = {}) {
+    const prefix = domain ? AnswerCacheService.entryKey(contentId, domain, '') : AnswerCacheService.contentPrefix(contentId);
+    const vectorIds = [];
+    let cursor;
+
+    do {
+      const page = await this.kvService.listPage({ prefix, cursor });
+      vectorIds.push(...page.keys.map(key => key.name.substring(key.name.lastIndexOf(':') + 1)));
+      cursor = page.cursor;
+    } while (cursor);
+
+    // deleteByIds accepts a limited number of IDs per call
+    if (this.vectorizeIndex) {
+      for (let i = 0; i < vectorIds.length; i += 100) {
+        await this.vectorizeIndex.deleteByIds(vectorIds.slice(i, i + 100));
+      }
+    }
+
+    return this.kvService.deleteByPrefix(prefix);
+  }
+
+  /**
+   * Answers are cached for conversations that end with a user question
+   */
+  static isCacheable(messages) {
+    return messages.length > 0 && messages[messages.length - 1].role === 'user';
+  }
+
+  /**
+   * Question text compared for exact matches: Unicode-normalized, lowercased, with punctuation and spacing collapsed
+   */
+  static normalizeQuestion(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/[?.!,\s]+/g, ' ').trim();
+  }
+
+  /**
+   * Hash of everything before the final question (system prompts and earlier turns); 'none' for an opening question
+   */
+  static async contextHashOf(messages) {
+    const context = messages.slice(0, -1);
+    if (context.length === 0) return 'none';
+
+    return sha256Hex(JSON.stringify(context.map(msg => [msg.role, msg.content])));
+  }
+
+  /**
+   * Entry ID: SHA-256 over the normalized question and everything else that shapes the answer.
+   * Vector IDs are global to the index, so the domain and content are part of it too.
+   */
+  static async entryIdOf(normalizedQuestion, { domain, contentId = 'general', contextHash, model, promptVersion }) {
+    return sha256Hex(JSON.stringify([domain, contentId, normalizedQuestion, contextHash, model, promptVersion]));
+  }
+
+  // Whether a cache entry (or its vector metadata) was produced in the same conversation context, model and prompt version
+  static matchesScope(entry, { contextHash, model, promptVersion }) {
+    return entry.contextHash === contextHash && entry.model === model && entry.promptVersion === promptVersion;
+  }
+
+  /**
+   * Prompt version of an answer: the chat prompt template version plus a hash of the tenant instructions,
+   * so changing either stops older answers from being served
+   */
+  static async promptVersionOf(templateVersion, tenantInstructions = '') {
+    return `${templateVersion}:${(await sha256Hex(tenantInstructions)).slice(0, 12)}`;
+  }
+
+  static isExpired(entry, now = Date.now()) {
+    return !!entry.expiresAt && Date.parse(entry.expiresAt) <= now;
+  }
+
+  /**
+   * Similarity threshold from ANSWER_CACHE_THRESHOLD, falling back to the default when unset or out of range
+   */
+  static thresholdOf(env) {
+    const threshold = parseFloat(env?.ANSWER_CACHE_THRESHOLD);
+    return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_SIMILARITY_THRESHOLD;
+  }
+
+  /**
+   * Answer TTL from ANSWER_CACHE_TTL_SECONDS, falling back to the default when unset or below the KV minimum
+   */
+  static ttlOf(env) {
+    const ttl = parseInt(env?.ANSWER_CACHE_TTL_SECONDS, 10);
+    return ttl >= MIN_ANSWER_TTL_SECONDS ? ttl : DEFAULT_ANSWER_TTL_SECONDS;
+  }
+
+  // Entry fields kept as KV metadata for listing (without the answer and sources)
+  static toListEntry(entry) {
+    return {
+      id: entry.id,
+      domain: entry.domain,
+      contentId: entry.contentId,
+      question: (entry.question || '').substring(0, MAX_QUESTION_LISTING_LENGTH),
+      contextHash: entry.contextHash ? entry.contextHash.substring(0, 12) : null,
+      model: entry.model || null,
+      promptVersion: entry.promptVersion || null,
+      indexVersion: entry.indexVersion ?? null,
+      createdAt: entry.createdAt || null,
+      expiresAt: entry.expiresAt || null
+    };
+  }
+
+  static contentPrefix(contentId) {
+    return `chat:cache:${contentId}:`;
+  }
+
+  static entryKey(contentId, domain, id) {
+    return `${AnswerCacheService.contentPrefix(contentId)}${domain}:${id}`;
+  }
+}
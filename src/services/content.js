@@ -1,5 +1,12 @@
 import { VectorizeService } from './vectorize.js';
 import { KVService } from './kv.js';
+import { StreamService } from './stream.js';
+import { MockStreamService } from './stream-mock.js';
+import { LLMRouter } from './llm.js';
+import { QuizService } from './quiz.js';
+import { AnswerCacheService } from './answercache.js';
+import { sha256Hex } from '../utils/auth.js';
+import { isContentOwner } from '../utils/tenant.js';
 
 /**
  * Content Service
@@ -9,25 +16,31 @@ export class ContentService {
   constructor(env, openaiService) {
     this.env = env;
     this.openaiService = openaiService;
-    this.vectorizeService = new VectorizeService(env.CONTENT_VECTORIZE, openaiService);
     this.kvService = new KVService(env.AITUTOR_KV);
+    this.vectorizeService = new VectorizeService(env.CONTENT_VECTORIZE, openaiService, this.kvService);
   }
 
   /**
    * Create content upload job
    */
-  async createUploadJob(videoUrl, language = 'ko-KR', force = false, options = {}) {
-    // URL을 해시 처리하여 contentId 생성
-    const urlHash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(videoUrl));
-    const contentId = Array.from(new Uint8Array(urlHash))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('')
-      .substring(0, 32);
+  async createUploadJob(videoUrl, language = 'ko-KR', force = false, options = {}, domain = null) {
+    // 도메인과 URL을 해시 처리하여 contentId 생성 (같은 영상도 도메인별로 별도 콘텐츠)
+    let contentId = await ContentService.contentIdOf(videoUrl, domain);
 
     const timestamp = new Date().toISOString();
 
     // 기존 작업 확인
-    const existingJob = await this.kvService.get(KVService.contentKey('info', contentId));
+    let existingJob = await this.kvService.get(KVService.contentKey('info', contentId));
+
+    // 소유권 도입 이전 콘텐츠(도메인 없이 URL만 해시한 ID)가 이 도메인에 귀속되어 있으면 그대로 사용
+    if (!existingJob && domain) {
+      const legacyContentId = await ContentService.contentIdOf(videoUrl);
+      const legacyJob = await this.kvService.get(KVService.contentKey('info', legacyContentId));
+      if (isContentOwner(legacyJob, domain)) {
+        contentId = legacyContentId;
+        existingJob = legacyJob;
+      }
+    }
 
     if (existingJob && !force) {
       return {
@@ -45,6 +58,7 @@ export class ContentService {
       contentId,
       videoUrl,
       language,
+      domain,
       options: {
         format: 'vtt',
         timestamps: true,
@@ -61,7 +75,7 @@ export class ContentService {
       }
     };
 
-    await this.kvService.set(KVService.contentKey('info', contentId), contentData);
+    await this.setInfo(contentId, contentData);
 
     // Queue the job
     await this.env.TRANSCRIBE_QUEUE.send({
@@ -79,6 +93,45 @@ export class ContentService {
     };
   }
 
+  /**
+   * Assign a content item to a domain: records the owner on content:info and tags its vectors with the domain,
+   * so content uploaded before ownership existed becomes reachable again. Content already owned by another
+   * domain is only moved with force. The content's cached answers are dropped.
+   */
+  async claimContent(contentId, domain, { force = false } = {}) {
+    const infoData = await this.kvService.get(KVService.contentKey('info', contentId));
+
+    if (!infoData) {
+      throw new Error('Content not found');
+    }
+
+    const previousDomain = infoData.domain || null;
+    if (previousDomain && previousDomain !== domain && !force) {
+      throw new Error('Content is owned by another domain');
+    }
+
+    await this.setInfo(contentId, { ...infoData, domain, updatedAt: new Date().toISOString() });
+
+    const { retagged } = this.env.CONTENT_VECTORIZE
+      ? await this.vectorizeService.retagContent(contentId, { domain })
+      : { retagged: null };
+
+    const answerCache = this.getAnswerCache();
+    const cachedAnswersInvalidated = await answerCache.purge(contentId);
+    if (previousDomain && previousDomain !== domain) {
+      await answerCache.purge('general', { domain: previousDomain });
+    }
+
+    console.log(`🏷️ Content ${contentId} claimed by ${domain}${previousDomain ? ` (was ${previousDomain})` : ''}`);
+    return {
+      contentId,
+      domain,
+      previousDomain,
+      vectorsRetagged: retagged,
+      cachedAnswersInvalidated
+    };
+  }
+
   /**
    * Get content status
    */
@@ -182,6 +235,7 @@ export class ContentService {
     };
 
     await this.kvService.set(KVService.contentKey('summary', contentId), updatedSummaryData);
+    await this.invalidateAnswerCache(contentId);
 
     return updatedSummaryData;
   }
@@ -202,7 +256,7 @@ export class ContentService {
       updatedAt: new Date().toISOString()
     };
 
-    await this.kvService.set(KVService.contentKey('info', contentId), updatedContent);
+    await this.setInfo(contentId, updatedContent);
     return updatedContent;
   }
 
@@ -226,7 +280,7 @@ export class ContentService {
       updatedAt: new Date().toISOString()
     };
 
-    await this.kvService.set(KVService.contentKey('info', contentId), updatedContent);
+    await this.setInfo(contentId, updatedContent);
     return updatedContent;
   }
 
@@ -255,15 +309,77 @@ export class ContentService {
       }
     };
 
-    await this.kvService.set(KVService.contentKey('info', contentId), updatedContent);
+    await this.setInfo(contentId, updatedContent);
     return updatedContent;
   }
 
   /**
    * Set info
+   * Lightweight fields are also stored as KV metadata so the catalog can list content without reading each record
    */
   async setInfo(contentId, data) {
-    await this.kvService.set(KVService.contentKey('info', contentId), data);
+    await this.kvService.set(KVService.contentKey('info', contentId), data, {
+      metadata: ContentService.toCatalogEntry(data)
+    });
+  }
+
+  /**
+   * Content ID for a video URL: the first 32 hex characters of SHA-256("<domain>:<videoUrl>").
+   * Content uploaded before ownership existed was hashed from the URL alone.
+   */
+  static async contentIdOf(videoUrl, domain = null) {
+    return (await sha256Hex(domain ? `${domain}:${videoUrl}` : videoUrl)).substring(0, 32);
+  }
+
+  /**
+   * Catalog entry for a content:info record
+   */
+  static toCatalogEntry(data) {
+    return {
+      contentId: data.contentId,
+      status: data.status,
+      language: data.language || null,
+      duration: data.duration || null,
+      domain: data.domain || null,
+      createdAt: data.createdAt || null,
+      updatedAt: data.updatedAt || null
+    };
+  }
+
+  /**
+   * List content catalog entries, one KV page at a time.
+   * Filters are applied to each page, so a page can hold fewer than limit entries while cursor is still set.
+   * unowned keeps only content no domain owns yet (uploaded before ownership existed).
+   */
+  async listContents({ status, language, domain, unowned = false, createdAfter, createdBefore, limit = 20, cursor } = {}) {
+    const page = await this.kvService.listPage({
+      prefix: KVService.contentKey('info', ''),
+      limit,
+      cursor
+    });
+
+    const contents = [];
+    for (const key of page.keys) {
+      // Records written before catalog metadata existed need a full read
+      const entry = key.metadata || ContentService.toCatalogEntry(await this.kvService.get(key.name) || {});
+      if (!entry.contentId) continue;
+
+      if (status && entry.status !== status) continue;
+      if (language && entry.language !== language) continue;
+      if (domain && entry.domain !== domain) continue;
+      if (unowned && entry.domain) continue;
+      if (createdAfter && (!entry.createdAt || entry.createdAt < createdAfter)) continue;
+      if (createdBefore && (!entry.createdAt || entry.createdAt >= createdBefore)) continue;
+
+      contents.push(entry);
+    }
+
+    return {
+      contents,
+      count: contents.length,
+      cursor: page.cursor,
+      hasMore: page.cursor !== null
+    };
   }
 
   /**
@@ -304,40 +420,87 @@ export class ContentService {
   }
 
   /**
-   * Search content using vectorized search
+   * Search content using vectorized search, limited to the domain's own content
    */
   async searchContent(query, options = {}) {
-    const { topK = 10, contentId, type, language } = options;
+    const { topK = 10, contentId, type, language, domain } = options;
 
     const searchResults = await this.vectorizeService.searchContent(query, {
       topK,
       contentId,
       type,
-      language
+      language,
+      domain
     });
 
     return {
       query,
       results: searchResults.results,
       total: searchResults.total,
-      options,
+      options: { topK, contentId, type, language },
       debug: searchResults.debug
     };
   }
 
   /**
-   * Get content context for AI chat
+   * Get content context for AI chat, limited to the domain's own content
    */
-  async getContentContext(query, maxChunks = 5) {
-    const contextResult = await this.vectorizeService.getContentContext(query, maxChunks);
+  async getContentContext(query, maxChunks = 5, domain) {
+    const contextResult = await this.vectorizeService.getContentContext(query, maxChunks, { domain });
     return contextResult;
   }
 
+  /**
+   * Get the vector manifest of a content
+   */
+  async getVectorManifest(contentId) {
+    const manifest = await this.vectorizeService.getManifest(contentId);
+
+    if (!manifest) {
+      throw new Error('Vector manifest not found');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Drop cached chat answers after a content's transcript, summary or index changed.
+   * The domain's 'general' answers (retrieved across all of its content) are dropped too.
+   * Returns the number of deleted answers.
+   */
+  async invalidateAnswerCache(contentId) {
+    const infoData = await this.kvService.get(KVService.contentKey('info', contentId));
+    const answerCache = this.getAnswerCache();
+
+    let deleted = await answerCache.purge(contentId);
+    if (infoData?.domain) {
+      deleted += await answerCache.purge('general', { domain: infoData.domain });
+    }
+
+    if (deleted > 0) {
+      console.log(`🧹 Invalidated ${deleted} cached answers for content ${contentId}`);
+    }
+    return deleted;
+  }
+
+  // Question vectors are only deleted when the answer cache index is bound
+  getAnswerCache() {
+    return new AnswerCacheService(this.env.ANSWER_CACHE_VECTORIZE || null, this.env.AITUTOR_KV);
+  }
+
+  // LLM_MOCK replaces Stream too, so uploads are captioned from fixtures without network access
+  getStreamService() {
+    return LLMRouter.isMock(this.env)
+      ? new MockStreamService()
+      : new StreamService(this.env.CLOUDFLARE_ACCOUNT_ID, this.env.STREAM_API_TOKEN);
+  }
+
   /**
    * Re-index existing content in vectorize
    */
   async reindexContent(contentId) {
     // Get content summary and subtitle data
+    const infoData = await this.kvService.get(KVService.contentKey('info', contentId));
     const summaryData = await this.kvService.get(KVService.contentKey('summary', contentId));
     const subtitleData = await this.kvService.get(KVService.contentKey('subtitle', contentId));
 
@@ -350,7 +513,8 @@ export class ContentService {
       language: subtitleData.language,
       duration: subtitleData.duration,
       videoUrl: summaryData.videoUrl,
-      source: subtitleData.source
+      source: subtitleData.source,
+      ...(infoData?.domain && { domain: infoData.domain })
     };
 
     const indexResult = await this.vectorizeService.indexContent(
@@ -359,14 +523,97 @@ export class ContentService {
       subtitleData.segments,
       vectorMetadata
     );
+    const cachedAnswersInvalidated = await this.invalidateAnswerCache(contentId);
 
     return {
       contentId,
       message: 'Content re-indexed successfully',
-      indexResult
+      indexResult,
+      cachedAnswersInvalidated
     };
   }
 
+  /**
+   * Delete a content from every store: vectors, cached chat answers, KV records (including learners' quiz attempts)
+   * and optionally the Stream video.
+   * content:info is removed last so a partially failed deletion can be retried.
+   */
+  async deleteContent(contentId, { deleteVideo = false, force = false } = {}) {
+    const infoData = await this.kvService.get(KVService.contentKey('info', contentId));
+
+    if (!infoData) {
+      throw new Error('Content not found');
+    }
+
+    if (!force && ['queued', 'processing'].includes(infoData.status)) {
+      throw new Error('Content is still being processed');
+    }
+
+    const report = {
+      contentId,
+      vectors: null,
+      chatCache: null,
+      kv: {},
+      streamVideo: 'skipped',
+      errors: []
+    };
+
+    const runStep = async (name, step) => {
+      try {
+        return await step();
+      } catch (error) {
+        console.error(`Error deleting ${name} for content ${contentId}:`, error);
+        report.errors.push({ store: name, message: error.message });
+        return null;
+      }
+    };
+
+    if (this.env.CONTENT_VECTORIZE) {
+      const vectorResult = await runStep('vectors', () => this.vectorizeService.deleteContent(contentId));
+      report.vectors = vectorResult ? vectorResult.deleted : null;
+    }
+
+    report.chatCache = await runStep('chatCache', () => this.getAnswerCache().purge(contentId));
+
+    if (deleteVideo && infoData.streamId) {
+      const videoDeleted = await runStep('streamVideo', () => this.getStreamService().deleteVideo(infoData.streamId));
+      report.streamVideo = videoDeleted ? 'deleted' : 'failed';
+    }
+
+    for (const type of ['subtitle', 'summary', 'quiz']) {
+      const key = KVService.contentKey(type, contentId);
+      report.kv[type] = await runStep(type, async () => {
+        const exists = await this.kvService.exists(key);
+        await this.kvService.delete(key);
+        return exists;
+      });
+    }
+
+    report.kv.quizVersions = await runStep('quizVersions', () =>
+      this.kvService.deleteByPrefix(QuizService.versionKey(contentId, ''))
+    );
+
+    // 퀴즈 응시 기록은 도메인별 키(quiz:attempts:<domain>:<contentId>:<learnerId>)에 저장됨
+    report.kv.quizAttempts = infoData.domain
+      ? await runStep('quizAttempts', () =>
+        this.kvService.deleteByPrefix(QuizService.attemptsKey(contentId, { domain: infoData.domain, learnerId: '' }))
+      )
+      : 0;
+
+    // Keep content:info until everything else is gone so the deletion can be retried
+    if (report.errors.length === 0) {
+      report.kv.info = await runStep('info', async () => {
+        await this.kvService.delete(KVService.contentKey('info', contentId));
+        return true;
+      });
+    } else {
+      report.kv.info = false;
+    }
+
+    report.complete = report.errors.length === 0;
+    return report;
+  }
+
   /**
    * Generate comprehensive educational content (summary, objectives, questions, and quiz)
    * @param {string} text - Content text to summarize
@@ -455,6 +702,7 @@ ${text}`
 
     try {
       const response = await this.openaiService.createChatCompletion({
+        task: 'summary',
         messages,
         model: 'gpt-4o-mini',
         max_tokens: 4000,
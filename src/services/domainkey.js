@@ -0,0 +1,132 @@
+import { KVService } from './kv.js';
+import { randomHex, timingSafeEqual } from '../utils/auth.js';
+
+// How long the previous key keeps working after a rotation, by default
+export const DEFAULT_KEY_OVERLAP_SECONDS = 7 * 24 * 60 * 60;
+
+export const MAX_KEY_OVERLAP_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Domain Key Service
+ * Versioned auth keys per domain, stored at domainkey:<domain>.
+ * Keys are derived from AUTH_SECRET_KEY and a random per-version nonce, so they can be re-derived for
+ * HMAC verification and are never stored. Version 0 is the original key, SHA-256(domain + AUTH_SECRET_KEY),
+ * and stays implicitly active until the domain is first rotated.
+ */
+export class DomainKeyService {
+  constructor(kv, authService) {
+    this.kvService = new KVService(kv);
+    this.authService = authService;
+  }
+
+  /**
+   * Get the domain's key record; domains that were never rotated only have version 0
+   */
+  async getRecord(domain) {
+    const record = await this.kvService.get(DomainKeyService.recordKey(domain));
+    return record || {
+      domain,
+      versions: [{ version: 0, nonce: null, createdAt: null, expiresAt: null }]
+    };
+  }
+
+  /**
+   * Derive the auth key for the newest version (the one handed out by /v1/auth/generate)
+   */
+  async getCurrentKey(domain) {
+    const record = await this.getRecord(domain);
+    const current = record.versions[record.versions.length - 1];
+    return { version: current.version, authKey: await this.deriveKey(domain, current) };
+  }
+
+  /**
+   * Derive the keys of every version that is still accepted, newest first
+   */
+  async getActiveKeys(domain, now = Date.now()) {
+    const record = await this.getRecord(domain);
+    const active = DomainKeyService.activeVersions(record, now).reverse();
+
+    return Promise.all(active.map(async entry => ({
+      version: entry.version,
+      authKey: await this.deriveKey(domain, entry)
+    })));
+  }
+
+  /**
+   * Check a client auth key against every active version in constant time.
+   * Returns the matching version, or null.
+   */
+  async verify(domain, authKey) {
+    const keys = await this.getActiveKeys(domain);
+    let matched = null;
+
+    // Compare against every version so timing does not reveal which one matched
+    for (const key of keys) {
+      if (timingSafeEqual(key.authKey, authKey) && matched === null) {
+        matched = key.version;
+      }
+    }
+
+    return matched;
+  }
+
+  /**
+   * Issue a new key version. Versions that are still active expire after overlapSeconds.
+   * @returns {Object} { version, authKey, previousExpiresAt }
+   */
+  async rotate(domain, { overlapSeconds = DEFAULT_KEY_OVERLAP_SECONDS, now = Date.now() } = {}) {
+    const record = await this.getRecord(domain);
+    const previousExpiresAt = new Date(now + overlapSeconds * 1000).toISOString();
+
+    const versions = record.versions.map(entry => {
+      if (!DomainKeyService.isActive(entry, now)) return entry;
+      const expiresAt = entry.expiresAt && entry.expiresAt < previousExpiresAt ? entry.expiresAt : previousExpiresAt;
+      return { ...entry, expiresAt };
+    });
+
+    const latest = versions[versions.length - 1];
+    const entry = {
+      version: latest.version + 1,
+      nonce: randomHex(16),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: null
+    };
+
+    // Keep expired versions out of the record once they can no longer be used
+    const retained = [...DomainKeyService.activeVersions({ versions }, now), entry];
+    await this.kvService.set(DomainKeyService.recordKey(domain), { domain, versions: retained });
+
+    return { version: entry.version, authKey: await this.deriveKey(domain, entry), previousExpiresAt };
+  }
+
+  /**
+   * Key versions without key material
+   */
+  async listVersions(domain, now = Date.now()) {
+    const record = await this.getRecord(domain);
+    const latest = record.versions[record.versions.length - 1].version;
+
+    return record.versions.map(entry => ({
+      version: entry.version,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      status: !DomainKeyService.isActive(entry, now) ? 'expired' : entry.version === latest ? 'current' : 'expiring'
+    }));
+  }
+
+  async deriveKey(domain, entry) {
+    return this.authService.generateDomainHash(domain, entry.version, entry.nonce);
+  }
+
+  static activeVersions(record, now) {
+    return record.versions.filter(entry => DomainKeyService.isActive(entry, now));
+  }
+
+  static isActive(entry, now) {
+    return !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+  }
+
+  static recordKey(domain) {
+    return `domainkey:${domain}`;
+  }
+}
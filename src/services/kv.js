@@ -17,9 +17,10 @@ export class KVService {
 
   /**
    * Set value by key
+   * @param {Object} options - KV put options (metadata, expirationTtl)
    */
-  async set(key, value) {
-    await this.kv.put(key, JSON.stringify(value));
+  async set(key, value, options = {}) {
+    await this.kv.put(key, JSON.stringify(value), options);
   }
 
   /**
@@ -33,10 +34,48 @@ export class KVService {
    * List keys with optional prefix
    */
   async list(options = {}) {
-    const { keys } = await this.kv.list(options);
+    const { keys } = await this.listPage(options);
     return keys.map(key => key.name);
   }
 
+  /**
+   * List one page of keys with their metadata
+   * Pass the returned cursor back in options.cursor to get the next page; cursor is null on the last page
+   */
+  async listPage(options = {}) {
+    const { prefix, limit, cursor } = options;
+    const result = await this.kv.list({
+      ...(prefix && { prefix }),
+      ...(limit && { limit }),
+      ...(cursor && { cursor })
+    });
+
+    return {
+      keys: result.keys.map(key => ({ name: key.name, metadata: key.metadata || null })),
+      cursor: result.list_complete ? null : result.cursor
+    };
+  }
+
+  /**
+   * Delete every key with the given prefix, following list cursors.
+   * Returns the number of deleted keys.
+   */
+  async deleteByPrefix(prefix) {
+    let cursor;
+    let deleted = 0;
+
+    do {
+      const page = await this.kv.list({ prefix, cursor });
+      for (const key of page.keys) {
+        await this.kv.delete(key.name);
+        deleted++;
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return deleted;
+  }
+
   /**
    * Get multiple values by keys
    */
@@ -100,4 +139,11 @@ export class KVService {
     return `config:${name}`;
   }
 
+  /**
+   * Utility: Build chat session key
+   */
+  static sessionKey(sessionId) {
+    return `chat:session:${sessionId}`;
+  }
+
 }
\ No newline at end of file
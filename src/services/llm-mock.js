@@ -0,0 +1,158 @@
+import { sha256Hex } from '../utils/auth.js';
+import { SUMMARY_FIXTURES } from '../fixtures/summaries.js';
+
+// Same dimension as text-embedding-3-small, so mock vectors fit the content-search and answer-cache indexes
+export const MOCK_EMBEDDING_DIMENSIONS = 1536;
+
+// Cosine similarity of two texts without a word in common. Real embeddings share a common direction, so
+// unrelated texts still score well above zero; content search relies on the score gap rather than this floor.
+const BASELINE_SIMILARITY = 0.3;
+
+const encoder = new TextEncoder();
+
+// 32-bit FNV-1a hash
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Rough token count (about 4 characters per token) for mock usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function lastUserContent(messages) {
+  return [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+}
+
+/**
+ * Mock LLM Provider
+ * Deterministic stand-in for every provider, selected with LLM_MOCK=true, so chat, quizzes, summaries
+ * and search run without network access. Chat answers are scripted from the question (citing [1] when
+ * lecture material was retrieved), summaries replay the recorded fixtures, and embeddings hash the
+ * words of the text into a normalized vector, so texts sharing words still come out similar.
+ * Stream uploads and captions are mocked separately by MockStreamService.
+ */
+export class MockLLMProvider {
+  constructor({ summaryFixtures = SUMMARY_FIXTURES } = {}) {
+    this.name = 'mock';
+    this.summaryFixtures = summaryFixtures;
+  }
+
+  async streamChat(messages, { onUsage }) {
+    const answer = MockLLMProvider.scriptedAnswer(messages);
+    const usage = MockLLMProvider.usageOf(messages, answer);
+
+    return new ReadableStream({
+      start(controller) {
+        // One chunk per word, like a real stream
+        for (const piece of answer.match(/\S+\s*|\s+/g) || []) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`));
+        }
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [], usage })}\n\n`));
+        onUsage?.(usage);
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      }
+    });
+  }
+
+  /**
+   * Completion in the OpenAI response shape; task ('summary', 'quiz') tells the mock which JSON the caller expects
+   */
+  async createChatCompletion({ model, messages, task }) {
+    let content;
+
+    if (task === 'summary') {
+      content = JSON.stringify(await this.summaryFixture(lastUserContent(messages)));
+    } else if (task === 'quiz') {
+      content = JSON.stringify(MockLLMProvider.scriptedQuiz(lastUserContent(messages)));
+    } else {
+      content = MockLLMProvider.scriptedAnswer(messages);
+    }
+
+    const usage = MockLLMProvider.usageOf(messages, content);
+    return {
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, total_tokens: usage.totalTokens }
+    };
+  }
+
+  async createEmbedding(input) {
+    return MockLLMProvider.embed(input);
+  }
+
+  /**
+   * Recorded response for this transcript, or the default one for its language
+   */
+  async summaryFixture(prompt) {
+    const transcript = prompt.substring(prompt.indexOf('Content:\n') + 'Content:\n'.length);
+    const recorded = this.summaryFixtures.byTranscript?.[await sha256Hex(transcript)];
+    return recorded || this.summaryFixtures[/[가-힣]/.test(transcript) ? 'ko' : 'en'];
+  }
+
+  static scriptedAnswer(messages) {
+    const question = lastUserContent(messages).trim().substring(0, 200);
+    const grounded = messages.some(msg => msg.role === 'system' && msg.content.includes('관련 강의 자료'));
+
+    return grounded
+      ? `📚 강의 내용을 기반으로 답변드립니다.\n\n[mock] "${question}"에 대한 답변입니다 [1].`
+      : `[mock] "${question}"에 대한 답변입니다.`;
+  }
+
+  // As many questions as the quiz prompt asks for, with the correct option rotating
+  static scriptedQuiz(prompt) {
+    const count = parseInt(/Create (\d+) quiz questions/.exec(prompt)?.[1], 10) || 5;
+    const topic = prompt.substring(prompt.indexOf(':') + 1).trim().substring(0, 50) || 'the topic';
+
+    return {
+      questions: Array.from({ length: count }, (_, i) => ({
+        question: `[mock] Question ${i + 1} about ${topic}`,
+        options: ['Option A', 'Option B', 'Option C', 'Option D'],
+        answer: i % 4,
+        explanation: `[mock] Option ${'ABCD'[i % 4]} is correct.`
+      }))
+    };
+  }
+
+  static usageOf(messages, completion) {
+    const promptTokens = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    const completionTokens = estimateTokens(completion);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  /**
+   * Hash-based pseudo-embedding: each lowercased word, and each character bigram inside it at half weight,
+   * adds to a hashed dimension with a hashed sign. Dimension 0 is shared by every text, so similarity is
+   * BASELINE_SIMILARITY plus the rest scaled by (1 - BASELINE_SIMILARITY).
+   * Bigrams keep inflected forms close (광합성은 / 광합성이).
+   */
+  static embed(text) {
+    const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      vector[1 + hash % (MOCK_EMBEDDING_DIMENSIONS - 1)] += (hash & 0x80000000) ? -weight : weight;
+    };
+
+    for (const word of words) {
+      add(word, 1);
+      for (let i = 0; i < word.length - 1; i++) {
+        add(`#${word.substring(i, i + 2)}`, 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    const scale = norm > 0 ? Math.sqrt(1 - BASELINE_SIMILARITY) / norm : 0;
+    const mixed = vector.map(value => value * scale);
+    mixed[0] = norm > 0 ? Math.sqrt(BASELINE_SIMILARITY) : 1;
+
+    return mixed;
+  }
+}
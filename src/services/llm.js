@@ -0,0 +1,416 @@
+import OpenAI from 'openai';
+import { MockLLMProvider } from './llm-mock.js';
+
+// Providers a route can name
+export const LLM_PROVIDERS = ['openai', 'workers-ai', 'local'];
+
+// AI Gateway used for OpenAI and Workers AI requests when AI_GATEWAY_ID is not set
+export const DEFAULT_AI_GATEWAY_ID = 'aitutor';
+
+// Chat model per provider when the route does not name one (WORKERS_AI_MODEL and LOCAL_LLM_MODEL override)
+export const DEFAULT_PROVIDER_MODELS = {
+  openai: 'gpt-4o-mini',
+  'workers-ai': '@cf/meta/llama-3.1-8b-instruct',
+  local: 'llama3.1',
+  mock: 'mock'
+};
+
+// Time a provider has to return its first token (or its whole completion) before the next route is tried (LLM_TIMEOUT_MS overrides)
+export const DEFAULT_PROVIDER_TIMEOUT_MS = 30 * 1000;
+
+const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  'workers-ai': '@cf/baai/bge-m3',
+  local: 'nomic-embed-text',
+  mock: 'mock'
+};
+
+const encoder = new TextEncoder();
+
+// OpenAI usage 필드를 API 응답 형식(camelCase)으로 변환
+export function toUsage(usage) {
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens
+  };
+}
+
+export function gatewayUrl(accountId, gatewayId, provider) {
+  return `https://gateway.ai.cloudflare.com/v1/${accountId}/${gatewayId}/${provider}`;
+}
+
+// Every provider streams OpenAI-style SSE lines: content deltas, then a usage chunk, then [DONE]
+function sseChunk(data) {
+  return encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Adapter for OpenAI and OpenAI-compatible servers (vLLM, Ollama, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor(name, { apiKey, baseUrl }) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.client = new OpenAI({ apiKey, baseURL: baseUrl });
+  }
+
+  async streamChat(messages, { model, temperature, maxTokens, onUsage, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      stream: true,
+      temperature,
+      max_tokens: maxTokens,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    return new ReadableStream({
+      async start(controller) {
+        try {
+          for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta;
+            if (delta?.content) {
+              controller.enqueue(sseChunk({ choices: [{ delta: { content: delta.content } }] }));
+            }
+
+            // 마지막 청크에는 choices 없이 토큰 사용량만 포함됨
+            if (chunk.usage) {
+              const usage = toUsage(chunk.usage);
+              controller.enqueue(sseChunk({ choices: [], usage }));
+              onUsage?.(usage);
+            }
+          }
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+        } catch (error) {
+          console.error('Stream error:', error);
+          controller.error(error);
+        }
+      }
+    });
+  }
+
+  async createChatCompletion({ model, messages, temperature, maxTokens, jsonMode, signal }) {
+    return this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(jsonMode && { response_format: { type: 'json_object' } }),
+      stream: false
+    }, { signal });
+  }
+
+  async createEmbedding(input, { model, encoding_format = 'float' }) {
+    const response = await this.client.embeddings.create({ model, input, encoding_format });
+    return response.data[0].embedding;
+  }
+}
+
+/**
+ * Adapter for Cloudflare Workers AI through the AI binding, routed through the AI Gateway when one is set
+ */
+export class WorkersAIProvider {
+  constructor(ai, { gatewayId } = {}) {
+    this.name = 'workers-ai';
+    this.ai = ai;
+    this.gatewayId = gatewayId;
+  }
+
+  async streamChat(messages, { model, temperature, maxTokens, onUsage, signal }) {
+    const source = await this.ai.run(model, { messages, stream: true, temperature, max_tokens: maxTokens }, this.runOptions({ signal }));
+    return source.pipeThrough(WorkersAIProvider.toChatStream(onUsage));
+  }
+
+  // JSON mode is only supported by some Workers AI models, so structured output relies on the prompt and validation
+  async createChatCompletion({ model, messages, temperature, maxTokens, signal }) {
+    const result = await this.ai.run(model, { messages, temperature, max_tokens: maxTokens }, this.runOptions({ signal }));
+    const content = typeof result.response === 'string' ? result.response : JSON.stringify(result.response ?? '');
+
+    return {
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      ...(result.usage && { usage: result.usage })
+    };
+  }
+
+  async createEmbedding(input, { model }) {
+    const result = await this.ai.run(model, { text: [input] }, this.runOptions());
+    return result.data[0];
+  }
+
+  // The router's timeout signal aborts the binding call, so a timed-out route stops generating
+  runOptions({ signal } = {}) {
+    return {
+      ...(this.gatewayId && { gateway: { id: this.gatewayId } }),
+      ...(signal && { signal })
+    };
+  }
+
+  /**
+   * Convert the Workers AI SSE stream ({"response": "..."} lines, usage on the last one) to the OpenAI-style stream
+   */
+  static toChatStream(onUsage) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const emit = (line, controller) => {
+      if (!line.startsWith('data:')) return;
+
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (error) {
+        // 잘린 줄이나 JSON이 아닌 이벤트는 건너뜀
+        console.warn('Skipping unparsable Workers AI stream line:', payload.substring(0, 100));
+        return;
+      }
+
+      if (data.response) {
+        controller.enqueue(sseChunk({ choices: [{ delta: { content: data.response } }] }));
+      }
+      if (data.usage) {
+        const usage = toUsage(data.usage);
+        controller.enqueue(sseChunk({ choices: [], usage }));
+        onUsage?.(usage);
+      }
+    };
+
+    return new TransformStream({
+      transform(chunk, controller) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => emit(line, controller));
+      },
+      flush(controller) {
+        emit(buffer, controller);
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      }
+    });
+  }
+}
+
+/**
+ * LLM Router
+ * Sends chat and structured generation requests along an ordered list of routes ({ provider, model }):
+ * the first route is the primary, and each following one is tried when the previous provider errors
+ * or does not answer within the timeout. A stream only falls back before its first token.
+ * Embeddings always use the embedding provider without fallback, since vectors from different
+ * models cannot be compared in the same index.
+ */
+export class LLMRouter {
+  constructor(providers, {
+    defaultRoutes = LLM_PROVIDERS.map(provider => ({ provider })),
+    defaultModels = DEFAULT_PROVIDER_MODELS,
+    timeoutMs = DEFAULT_PROVIDER_TIMEOUT_MS,
+    embeddingProvider = 'openai',
+    embeddingModel
+  } = {}) {
+    this.providers = providers;
+    this.defaultRoutes = defaultRoutes;
+    this.defaultModels = defaultModels;
+    this.timeoutMs = timeoutMs;
+    this.embeddingProvider = embeddingProvider;
+    this.embeddingModel = embeddingModel || DEFAULT_EMBEDDING_MODELS[embeddingProvider];
+  }
+
+  /**
+   * Stream a chat completion; onRoute({ provider, model, fallback }) reports the route that answered
+   */
+  async streamChat(messages, { routes, model, temperature, maxTokens, onUsage, onRoute } = {}) {
+    return this.withFallback(this.resolveRoutes(routes, model), onRoute, async (provider, route, signal) => {
+      const stream = await provider.streamChat(messages, { model: route.model, temperature, maxTokens, onUsage, signal });
+      return LLMRouter.awaitFirstChunk(stream);
+    });
+  }
+
+  /**
+   * Non-streaming chat completion, returned in the OpenAI response shape
+   */
+  async createChatCompletion({ routes, model, messages, temperature, maxTokens, jsonMode, task, onRoute }) {
+    return this.withFallback(this.resolveRoutes(routes, model), onRoute, (provider, route, signal) =>
+      provider.createChatCompletion({ model: route.model, messages, temperature, maxTokens, jsonMode, task, signal })
+    );
+  }
+
+  async createEmbedding(input, options = {}) {
+    const provider = this.providers[this.embeddingProvider];
+    if (!provider) {
+      throw new Error(`Embedding provider ${this.embeddingProvider} is not configured`);
+    }
+
+    try {
+      return await provider.createEmbedding(input, { ...options, model: options.model || this.embeddingModel });
+    } catch (error) {
+      console.error(`${this.embeddingProvider} embedding error:`, error.message);
+      throw new Error(`Embedding error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Routes to try, in order: the given routes (or the defaults) whose provider is configured.
+   * A requested model only applies to OpenAI routes that do not name a model, since model names are per provider.
+   */
+  resolveRoutes(routes, model) {
+    const resolved = (routes || this.defaultRoutes)
+      .filter(route => this.providers[route.provider])
+      .map(route => ({
+        provider: route.provider,
+        model: route.model || (route.provider === 'openai' && model) || this.defaultModels[route.provider]
+      }));
+
+    if (resolved.length === 0) {
+      throw new Error('No LLM provider configured');
+    }
+
+    return resolved;
+  }
+
+  async withFallback(routes, onRoute, attempt) {
+    let lastError;
+
+    for (const [index, route] of routes.entries()) {
+      try {
+        const result = await LLMRouter.withTimeout(signal => attempt(this.providers[route.provider], route, signal), this.timeoutMs);
+        onRoute?.({ ...route, fallback: index > 0 });
+        return result;
+      } catch (error) {
+        lastError = error;
+        const next = routes[index + 1];
+        console.error(`⚠️ LLM provider ${route.provider} (${route.model}) failed: ${error.message}` +
+          (next ? ` - falling back to ${next.provider} (${next.model})` : ''));
+      }
+    }
+
+    throw new Error(`LLM API error: ${lastError.message}`);
+  }
+
+  /**
+   * Configured providers and routing from environment variables.
+   * LLM_MOCK=true replaces every provider, embeddings included, with the offline mock.
+   */
+  static fromEnv(env) {
+    if (LLMRouter.isMock(env)) {
+      return new LLMRouter({ mock: new MockLLMProvider() }, {
+        defaultRoutes: [{ provider: 'mock' }],
+        embeddingProvider: 'mock'
+      });
+    }
+
+    const gatewayId = env.AI_GATEWAY_ID || DEFAULT_AI_GATEWAY_ID;
+    const providers = {};
+
+    if (env.OPENAI_API_KEY && env.CLOUDFLARE_ACCOUNT_ID) {
+      providers.openai = new OpenAICompatibleProvider('openai', {
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: gatewayUrl(env.CLOUDFLARE_ACCOUNT_ID, gatewayId, 'openai')
+      });
+    }
+    if (env.AI) {
+      providers['workers-ai'] = new WorkersAIProvider(env.AI, { gatewayId });
+    }
+    if (env.LOCAL_LLM_BASE_URL) {
+      // Local servers usually ignore the key, but the client requires one
+      providers.local = new OpenAICompatibleProvider('local', {
+        apiKey: env.LOCAL_LLM_API_KEY || 'local',
+        baseUrl: env.LOCAL_LLM_BASE_URL
+      });
+    }
+
+    const timeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10);
+    return new LLMRouter(providers, {
+      defaultRoutes: LLMRouter.parseRoutes(env.LLM_ROUTES) || undefined,
+      defaultModels: {
+        ...DEFAULT_PROVIDER_MODELS,
+        ...(env.WORKERS_AI_MODEL && { 'workers-ai': env.WORKERS_AI_MODEL }),
+        ...(env.LOCAL_LLM_MODEL && { local: env.LOCAL_LLM_MODEL })
+      },
+      timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_PROVIDER_TIMEOUT_MS,
+      embeddingProvider: env.EMBEDDING_PROVIDER || 'openai',
+      embeddingModel: env.EMBEDDING_MODEL
+    });
+  }
+
+  // Whether any chat provider is configured
+  static isConfigured(env) {
+    return LLMRouter.isMock(env) || !!(env.OPENAI_API_KEY && env.CLOUDFLARE_ACCOUNT_ID) || !!env.AI || !!env.LOCAL_LLM_BASE_URL;
+  }
+
+  static isMock(env) {
+    return env?.LLM_MOCK === 'true' || env?.LLM_MOCK === true;
+  }
+
+  /**
+   * Parse LLM_ROUTES ("provider[:model]", comma separated, in fallback order); null when unset.
+   * The model is everything after the first colon, so local model tags like llama3.1:8b work.
+   */
+  static parseRoutes(value) {
+    const routes = (value || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        const provider = separator === -1 ? entry : entry.substring(0, separator);
+        const model = separator === -1 ? '' : entry.substring(separator + 1).trim();
+        return { provider, ...(model && { model }) };
+      })
+      .filter(route => LLM_PROVIDERS.includes(route.provider));
+
+    return routes.length > 0 ? routes : null;
+  }
+
+  // Run attempt(signal), aborting it and rejecting once timeoutMs has passed
+  static async withTimeout(attempt, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([attempt(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for a stream's first chunk, so a provider that fails before answering can still be replaced,
+   * and return a stream that replays it followed by the rest
+   */
+  static async awaitFirstChunk(stream) {
+    const reader = stream.getReader();
+    const first = await reader.read();
+
+    return new ReadableStream({
+      start(controller) {
+        if (first.done) {
+          controller.close();
+        } else {
+          controller.enqueue(first.value);
+        }
+      },
+      async pull(controller) {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+  }
+}
@@ -1,27 +1,69 @@
-import OpenAI from 'openai';
+import { LLMRouter, OpenAICompatibleProvider, DEFAULT_AI_GATEWAY_ID, gatewayUrl, toUsage } from './llm.js';
+import { generatedQuizSchema } from './quiz.js';
+import { validateInput } from '../utils/validation.js';
+
+// 튜터링 교수법 모드: 모드별로 시스템 메시지에 덧붙일 안내문
+export const TUTOR_MODES = ['direct', 'socratic', 'hint', 'worked_example'];
+
+export const MAX_HINT_LEVEL = 3;
+
+const HINT_LEVEL_GUIDANCE = {
+  1: 'Give only a gentle nudge: point to the relevant concept or what to look at first. Do not reveal any steps of the solution.',
+  2: 'Give a stronger hint: outline the approach or the first step, but leave the remaining steps and the final answer to the learner.',
+  3: 'Give a near-complete hint: walk through most of the reasoning, stopping just before the final answer so the learner can finish it.'
+};
+
+export function getTutorModeGuidance(mode = 'direct', hintLevel = 1) {
+  switch (mode) {
+    case 'socratic':
+      return `TUTORING MODE - Socratic questioning:
+Do not give the answer directly. Ask one or two guiding questions that lead the learner to reason it out themselves.
+Build on what the learner already said, and confirm or gently correct their reasoning before asking the next question.`;
+    case 'hint': {
+      const level = Math.min(Math.max(hintLevel || 1, 1), MAX_HINT_LEVEL);
+      return `TUTORING MODE - Hint ladder (hint ${level} of ${MAX_HINT_LEVEL}):
+${HINT_LEVEL_GUIDANCE[level]}
+End by encouraging the learner to try the next step and ask for another hint if they are stuck.`;
+    }
+    case 'worked_example':
+      return `TUTORING MODE - Worked example:
+Solve a closely related example step by step, explaining the reasoning behind each step.
+Then give the learner a similar practice problem to try on their own, without its solution.`;
+    case 'direct':
+    default:
+      return '';
+  }
+}
 
+/**
+ * AI service used by the routes: tutor prompts, quiz generation and structured output.
+ * Requests go through an LLMRouter, so chat and structured generation fall back to other providers
+ * (Workers AI, a local OpenAI-compatible server) when OpenAI fails. The name is kept from when OpenAI
+ * was the only provider; getOpenAIService(env, tenant) builds one from the environment and the tenant's routing.
+ */
 export class OpenAIService {
-  constructor(apiKey, accountId) {
-    if (!apiKey || !accountId) {
+  // routes: the tenant's modelRoutes, or undefined for the router's default routes
+  constructor(apiKey, accountId, { gatewayId = DEFAULT_AI_GATEWAY_ID, router, routes } = {}) {
+    if (!router && (!apiKey || !accountId)) {
       throw new Error('OpenAI API key and Cloudflare account ID are required');
     }
 
     this.apiKey = apiKey;
     this.accountId = accountId;
 
-    // Cloudflare AI Gateway를 통한 OpenAI 접근 (하드코딩된 gateway ID 'aitutor' 사용)
-    this.baseUrl = `https://gateway.ai.cloudflare.com/v1/${this.accountId}/aitutor/openai`;
+    // Cloudflare AI Gateway를 통한 OpenAI 접근 (gateway ID는 AI_GATEWAY_ID, 기본값 'aitutor')
+    this.baseUrl = accountId ? gatewayUrl(accountId, gatewayId, 'openai') : null;
 
-    // OpenAI 클라이언트 초기화
-    this.client = new OpenAI({
-      apiKey: this.apiKey,
-      baseURL: this.baseUrl,
+    this.router = router || new LLMRouter({
+      openai: new OpenAICompatibleProvider('openai', { apiKey, baseUrl: this.baseUrl })
     });
+    this.routes = routes;
   }
 
-  // AI Tutor용 시스템 메시지 추가
-  addTutorGuidance(messages, maxTokens = 1000) {
+  // AI Tutor용 시스템 메시지 추가 (mode: TUTOR_MODES 중 하나, 기본값 direct, instructions: 테넌트별 추가 지침)
+  addTutorGuidance(messages, maxTokens = 1000, mode = 'direct', hintLevel = 1, instructions = '') {
     const hasSystemMessage = messages.some(msg => msg.role === 'system');
+    const modeGuidance = [getTutorModeGuidance(mode, hintLevel), instructions].filter(Boolean).join('\n\n');
 
     if (!hasSystemMessage) {
       messages.unshift({
@@ -29,125 +71,150 @@ export class OpenAIService {
         content: `You are an AI tutor. Provide helpful, educational responses.
                   Be encouraging, patient, and explain concepts clearly.
                   Use examples when helpful and break down complex topics.
-                  IMPORTANT: Keep your response complete and concise within 400 tokens.`
+                  IMPORTANT: Keep your response complete and concise within 400 tokens.` +
+                  (modeGuidance ? `\n\n${modeGuidance}` : '')
       });
     } else {
-      // 기존 시스템 메시지에 튜터 모드 안내 추가
+      // 기존 시스템 메시지에 튜터 모드 안내 추가 (원본 메시지 객체 수정 방지)
       const systemIndex = messages.findIndex(msg => msg.role === 'system');
-      messages[systemIndex].content += `\n\nAs an AI tutor, be encouraging and educational. Keep your response complete within 450 tokens.`;
+      messages[systemIndex] = {
+        ...messages[systemIndex],
+        content: messages[systemIndex].content +
+          `\n\nAs an AI tutor, be encouraging and educational. Keep your response complete within 450 tokens.` +
+          (modeGuidance ? `\n\n${modeGuidance}` : '')
+      };
     }
 
     return messages;
   }
 
   async streamChat(messages, options = {}) {
-    const maxTokens = options.maxTokens || 1000;
+    const maxTokens = options.maxTokens ?? 1000;
 
     // AI Tutor 모드로 메시지에 튜터 안내 추가 (원본 배열 수정 방지를 위해 복사)
-    const messagesWithGuidance = this.addTutorGuidance([...messages], maxTokens);
-
-    try {
-      const stream = await this.client.chat.completions.create({
-        model: options.model || 'gpt-4o-mini',
-        messages: messagesWithGuidance,
-        stream: true,
-        temperature: options.temperature || 0.7,
-        max_tokens: maxTokens,
-      });
-
-      // ReadableStream으로 변환
-      const readableStream = new ReadableStream({
-        async start(controller) {
-          try {
-            for await (const chunk of stream) {
-              const delta = chunk.choices[0]?.delta;
-              if (delta?.content) {
-                const sseData = `data: ${JSON.stringify({
-                  choices: [{
-                    delta: { content: delta.content }
-                  }]
-                })}\n\n`;
-                controller.enqueue(new TextEncoder().encode(sseData));
-              }
-            }
-            controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
-            controller.close();
-          } catch (error) {
-            console.error('Stream error:', error);
-            controller.error(error);
-          }
-        }
-      });
-
-      return readableStream;
-    } catch (error) {
-      console.error('OpenAI API error:', error.message);
-      throw new Error(`OpenAI API error: ${error.message}`);
-    }
+    const messagesWithGuidance = this.addTutorGuidance([...messages], maxTokens, options.tutorMode, options.hintLevel, options.tenantInstructions);
+
+    return this.router.streamChat(messagesWithGuidance, {
+      routes: this.routes,
+      model: options.model,
+      temperature: options.temperature ?? 0.7,
+      maxTokens,
+      onUsage: options.onUsage,
+      onRoute: options.onRoute
+    });
   }
 
-  async createQuiz(topic, questionCount = 5, options = {}) {
+  /**
+   * Generate multiple choice quiz questions as validated JSON
+   * @param {string} sourceText - Topic or lecture transcript to base questions on
+   * @param {number} questionCount - Number of questions to generate
+   * @param {Object} options - { difficulty, language, isTranscript, model, onUsage }
+   */
+  async createQuiz(sourceText, questionCount = 5, options = {}) {
+    const { difficulty = 'intermediate', language = 'ko', isTranscript = false } = options;
+
     const systemMessage = {
       role: 'system',
-      content: `You are a quiz generator. Create educational quiz questions about the given topic.
-                Format your response as JSON with the following structure:
-                {
-                  "title": "Quiz: [Topic Name]",
-                  "questions": [
-                    {
-                      "question": "Question text",
-                      "options": ["A) Option 1", "B) Option 2", "C) Option 3", "D) Option 4"],
-                      "correct": "A",
-                      "explanation": "Why this answer is correct"
-                    }
-                  ]
-                }
-                IMPORTANT: Keep the complete quiz within 450 tokens. Generate exactly ${questionCount} questions.`
+      content: `You are a quiz generator. Create educational multiple choice quiz questions.
+Respond with JSON only, using exactly this structure:
+{
+  "questions": [
+    {"question": "Question text", "options": ["option 1", "option 2", "option 3", "option 4"], "answer": 0, "explanation": "Why this answer is correct"}
+  ]
+}
+
+Rules:
+- Generate exactly ${questionCount} questions
+- Each question has exactly 4 options without "A)" style prefixes
+- "answer" is the index (0-3) of the correct option; vary the correct position across questions
+- Difficulty: ${difficulty} (beginner: recall of key facts, intermediate: understanding of concepts, advanced: application and analysis)
+- ${isTranscript ? 'Only ask about what is actually said in the lecture transcript' : 'Cover the most important concepts of the topic'}
+- Respond in ${language.startsWith('ko') ? 'Korean' : language.startsWith('en') ? 'English' : language} language`
     };
 
     const userMessage = {
       role: 'user',
-      content: `Create ${questionCount} multiple choice quiz questions about: ${topic}`
+      content: isTranscript
+        ? `Create ${questionCount} quiz questions from the following lecture transcript:\n\n${sourceText}`
+        : `Create ${questionCount} quiz questions about: ${sourceText}`
     };
 
-    return this.streamChat([systemMessage, userMessage], options);
+    const result = await this.createJSONCompletion({
+      task: 'quiz',
+      messages: [systemMessage, userMessage],
+      model: options.model,
+      temperature: 0.4,
+      max_tokens: Math.min(300 * questionCount + 200, 4000),
+      onUsage: options.onUsage
+    }, generatedQuizSchema);
+
+    return result.questions.slice(0, questionCount);
   }
 
-  async createChatCompletion(options = {}) {
-    try {
-      const response = await this.client.chat.completions.create({
-        model: options.model || 'gpt-4o-mini',
-        messages: options.messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 500,
-        stream: false
+  /**
+   * Chat completion in JSON mode, parsed and validated against a zod schema.
+   * Retries once when the model returns invalid JSON or JSON that fails validation.
+   */
+  async createJSONCompletion(options, schema, maxAttempts = 2) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const response = await this.createChatCompletion({
+        ...options,
+        response_format: { type: 'json_object' }
       });
 
-      return response;
-    } catch (error) {
-      console.error('OpenAI Chat Completion error:', error.message);
-      throw new Error(`OpenAI Chat Completion error: ${error.message}`);
+      if (response.usage) {
+        options.onUsage?.(toUsage(response.usage));
+      }
+
+      const responseText = response.choices[0].message.content.trim();
+      const cleanedResponse = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+
+      try {
+        const validated = validateInput(schema, JSON.parse(cleanedResponse));
+        if (validated.success) {
+          return validated.data;
+        }
+        lastError = new Error(validated.errors.map(e => `${(e.path || []).join('.')}: ${e.message}`).join('; '));
+      } catch (parseError) {
+        lastError = parseError;
+      }
+
+      console.warn(`Structured output attempt ${attempt} failed validation:`, lastError.message);
     }
+
+    throw new Error(`Structured output validation failed: ${lastError.message}`);
   }
 
-  async createEmbedding(input, options = {}) {
+  async createChatCompletion(options = {}) {
     try {
-      const response = await this.client.embeddings.create({
-        model: options.model || 'text-embedding-3-small',
-        input: input,
-        encoding_format: options.encoding_format || 'float'
+      return await this.router.createChatCompletion({
+        routes: this.routes,
+        model: options.model,
+        messages: options.messages,
+        temperature: options.temperature ?? 0.7,
+        maxTokens: options.max_tokens ?? 500,
+        jsonMode: options.response_format?.type === 'json_object',
+        task: options.task
       });
-
-      // Return just the embedding vector for convenience
-      return response.data[0].embedding;
     } catch (error) {
-      console.error('OpenAI Embedding error:', error.message);
-      throw new Error(`OpenAI Embedding error: ${error.message}`);
+      console.error('Chat Completion error:', error.message);
+      throw new Error(`Chat Completion error: ${error.message}`);
     }
   }
+
+  async createEmbedding(input, options = {}) {
+    return this.router.createEmbedding(input, options);
+  }
 }
 
-// Export a factory function for creating OpenAI service instances
-export function getOpenAIService(env) {
-  return new OpenAIService(env.OPENAI_API_KEY, env.CLOUDFLARE_ACCOUNT_ID);
-}
\ No newline at end of file
+// Export a factory function for creating AI service instances with the configured providers and the tenant's routing
+export function getOpenAIService(env, tenant = null) {
+  return new OpenAIService(env.OPENAI_API_KEY, env.CLOUDFLARE_ACCOUNT_ID, {
+    gatewayId: env.AI_GATEWAY_ID || DEFAULT_AI_GATEWAY_ID,
+    router: LLMRouter.fromEnv(env),
+    // Tenant routes name real providers, which the mock replaces
+    routes: LLMRouter.isMock(env) ? undefined : tenant?.modelRoutes
+  });
+}
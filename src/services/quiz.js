@@ -0,0 +1,255 @@
+import { z } from 'zod';
+import { KVService } from './kv.js';
+
+// Same question shape as the quizzes pre-generated during content processing
+export const quizQuestionSchema = z.object({
+  question: z.string().min(1),
+  options: z.array(z.string().min(1)).length(4),
+  answer: z.number().int().min(0).max(3),
+  explanation: z.string().min(1)
+});
+
+export const generatedQuizSchema = z.object({
+  questions: z.array(quizQuestionSchema).min(1)
+});
+
+// Keep generation prompts within the model's context budget
+const MAX_SOURCE_CHARS = 12000;
+
+/**
+ * Quiz Service
+ * Generates and versions quizzes, grades attempts against stored answers and keeps per-learner attempt history
+ */
+export class QuizService {
+  constructor(kv, openaiService = null) {
+    this.kvService = new KVService(kv);
+    this.openaiService = openaiService;
+  }
+
+  // Oldest attempts are dropped beyond this count; best score is kept separately
+  static MAX_STORED_ATTEMPTS = 50;
+
+  /**
+   * Get the stored quiz for a content
+   */
+  async getQuiz(contentId) {
+    const quizData = await this.kvService.get(KVService.contentKey('quiz', contentId));
+
+    if (!quizData) {
+      throw new Error('Quiz not found for this content');
+    }
+
+    return quizData;
+  }
+
+  /**
+   * Generate a quiz from a topic, a content transcript, or a time range of a transcript
+   */
+  async generateQuiz({ topic, contentId, startTime, endTime, questionCount, difficulty, language, onUsage }) {
+    const source = contentId
+      ? await this.getTranscriptSource(contentId, startTime, endTime)
+      : { type: 'topic', topic, text: topic };
+
+    const questions = await this.openaiService.createQuiz(source.text, questionCount, {
+      difficulty,
+      language: language || source.language || 'ko',
+      isTranscript: source.type !== 'topic',
+      onUsage
+    });
+
+    const { text, ...sourceInfo } = source;
+    return { source: sourceInfo, questions };
+  }
+
+  /**
+   * Build quiz source text from a content's subtitle segments, optionally limited to a time range
+   */
+  async getTranscriptSource(contentId, startTime, endTime) {
+    const subtitleData = await this.kvService.get(KVService.contentKey('subtitle', contentId));
+
+    if (!subtitleData || !Array.isArray(subtitleData.segments)) {
+      throw new Error('Content subtitle not found');
+    }
+
+    const hasRange = startTime !== undefined || endTime !== undefined;
+    const rangeStart = startTime ?? 0;
+    const rangeEnd = endTime ?? Infinity;
+
+    const segments = subtitleData.segments.filter(segment =>
+      !hasRange || (segment.end > rangeStart && segment.start < rangeEnd)
+    );
+
+    const text = segments.map(segment => segment.text).join(' ').trim();
+    if (!text) {
+      throw new Error('No transcript found in the requested time range');
+    }
+
+    return {
+      type: hasRange ? 'range' : 'content',
+      contentId,
+      ...(hasRange && { startTime: rangeStart, endTime: endTime ?? subtitleData.duration }),
+      language: subtitleData.language,
+      text: text.substring(0, MAX_SOURCE_CHARS)
+    };
+  }
+
+  /**
+   * Save generated questions as the content's current quiz.
+   * The previous quiz is archived under its version number so graded attempts stay traceable.
+   */
+  async saveQuizVersion(contentId, questions, metadata = {}) {
+    const current = await this.kvService.get(KVService.contentKey('quiz', contentId));
+    const currentVersion = current ? (current.version || 1) : 0;
+
+    if (current) {
+      await this.kvService.set(QuizService.versionKey(contentId, currentVersion), { ...current, version: currentVersion });
+    }
+
+    const quizData = {
+      contentId,
+      quiz: questions,
+      language: metadata.language || current?.language,
+      totalQuestions: questions.length,
+      videoUrl: current?.videoUrl,
+      createdAt: new Date().toISOString(),
+      type: 'generated',
+      version: currentVersion + 1,
+      difficulty: metadata.difficulty,
+      source: metadata.source
+    };
+
+    await this.kvService.set(KVService.contentKey('quiz', contentId), quizData);
+    return quizData;
+  }
+
+  /**
+   * Learner view of quiz questions: answers and explanations are only revealed by grading
+   */
+  static toLearnerView(questions) {
+    return questions.map(({ question, options }) => ({ question, options }));
+  }
+
+  /**
+   * Grade answers against the stored quiz
+   * @param {Array} questions - Stored quiz questions ({ question, options, answer, explanation })
+   * @param {Array<number|null>} answers - Selected option index per question, null when unanswered
+   */
+  gradeAttempt(questions, answers) {
+    if (!Array.isArray(answers)) {
+      throw new Error('Answers must be an array');
+    }
+
+    if (answers.length !== questions.length) {
+      throw new Error(`Expected ${questions.length} answers, got ${answers.length}`);
+    }
+
+    const results = questions.map((question, index) => {
+      const selected = answers[index];
+      const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+
+      if (selected !== null && (!Number.isInteger(selected) || selected < 0 || selected >= optionCount)) {
+        throw new Error(`Answer at index ${index} must be null or an integer between 0 and ${optionCount - 1}`);
+      }
+
+      return {
+        index,
+        question: question.question,
+        selected,
+        correctAnswer: question.answer,
+        correct: selected === question.answer,
+        explanation: question.explanation || null
+      };
+    });
+
+    const correctCount = results.filter(result => result.correct).length;
+
+    return {
+      results,
+      score: {
+        correct: correctCount,
+        total: questions.length,
+        percentage: questions.length > 0 ? Math.round((correctCount / questions.length) * 100) : 0
+      }
+    };
+  }
+
+  /**
+   * Grade and persist a learner's attempt
+   */
+  async submitAttempt(contentId, owner, answers) {
+    const quizData = await this.getQuiz(contentId);
+    const { results, score } = this.gradeAttempt(quizData.quiz, answers);
+
+    const attempt = {
+      attemptId: crypto.randomUUID(),
+      contentId,
+      learnerId: owner.learnerId,
+      quizVersion: quizData.version || 1,
+      answers,
+      score,
+      submittedAt: new Date().toISOString()
+    };
+
+    const record = await this.getAttemptRecord(contentId, owner);
+    const best = !record.best || score.percentage > record.best.score.percentage
+      ? QuizService.summarize(attempt)
+      : record.best;
+
+    await this.kvService.set(QuizService.attemptsKey(contentId, owner), {
+      contentId,
+      learnerId: owner.learnerId,
+      attempts: [...record.attempts, attempt].slice(-QuizService.MAX_STORED_ATTEMPTS),
+      attemptCount: record.attemptCount + 1,
+      best,
+      latest: QuizService.summarize(attempt),
+      updatedAt: attempt.submittedAt
+    });
+
+    return { ...attempt, results };
+  }
+
+  /**
+   * List a learner's attempts for a content, newest first
+   */
+  async listAttempts(contentId, owner) {
+    const record = await this.getAttemptRecord(contentId, owner);
+    return [...record.attempts].reverse().map(QuizService.summarize);
+  }
+
+  /**
+   * Get best and latest scores for a learner
+   */
+  async getAttemptSummary(contentId, owner) {
+    const record = await this.getAttemptRecord(contentId, owner);
+
+    return {
+      contentId,
+      learnerId: owner.learnerId,
+      attemptCount: record.attemptCount,
+      best: record.best,
+      latest: record.latest
+    };
+  }
+
+  async getAttemptRecord(contentId, owner) {
+    const record = await this.kvService.get(QuizService.attemptsKey(contentId, owner));
+    return record || { attempts: [], attemptCount: 0, best: null, latest: null };
+  }
+
+  static summarize(attempt) {
+    return {
+      attemptId: attempt.attemptId,
+      quizVersion: attempt.quizVersion,
+      score: attempt.score,
+      submittedAt: attempt.submittedAt
+    };
+  }
+
+  static versionKey(contentId, version) {
+    return `${KVService.contentKey('quiz-version', contentId)}:${version}`;
+  }
+
+  static attemptsKey(contentId, owner) {
+    return `quiz:attempts:${owner.domain}:${contentId}:${owner.learnerId}`;
+  }
+}
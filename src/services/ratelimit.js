@@ -0,0 +1,179 @@
+import { KVService } from './kv.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Daily usage records outlive their day so late token updates still land
+const USAGE_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * Rate Limit Service
+ * Fixed-window request and token counters per tenant and per learner, one KV record per subject per UTC day.
+ * KV is eventually consistent and not atomic, so limits are approximate under heavy concurrency.
+ */
+export class RateLimitService {
+  constructor(kv) {
+    this.kvService = new KVService(kv);
+  }
+
+  /**
+   * Check the request against every applicable limit and count it when allowed.
+   * @param {Object} params - { domain, learnerId, feature, quotas } with quotas from TenantService.resolveQuotas
+   * @returns {Object} { allowed, scope, window, limit, remaining, reset, retryAfter }
+   */
+  async consume({ domain, learnerId = null, feature, quotas, now = Date.now() }) {
+    const day = RateLimitService.dayOf(now);
+    const minute = Math.floor(now / MINUTE_MS);
+
+    const subjects = [{ scope: 'tenant', key: RateLimitService.usageKey(domain, null, day), limits: quotas }];
+    if (learnerId) {
+      subjects.push({ scope: 'learner', key: RateLimitService.usageKey(domain, learnerId, day), limits: quotas.perLearner || {} });
+    }
+
+    const records = await Promise.all(subjects.map(subject => this.getUsage(subject.key, minute)));
+
+    const checks = [];
+    subjects.forEach((subject, index) => {
+      const record = records[index];
+      checks.push(
+        { scope: subject.scope, window: 'minute', limit: subject.limits.requestsPerMinute, used: record.minuteRequests },
+        { scope: subject.scope, window: 'day', limit: subject.limits.requestsPerDay, used: record.requests },
+        { scope: subject.scope, window: 'tokens', limit: subject.limits.tokensPerDay, used: record.tokens }
+      );
+    });
+
+    const featureLimits = quotas.features?.[feature];
+    if (featureLimits) {
+      const featureUsage = RateLimitService.featureUsage(records[0], feature, minute);
+      checks.push(
+        { scope: `feature:${feature}`, window: 'minute', limit: featureLimits.requestsPerMinute, used: featureUsage.minuteRequests },
+        { scope: `feature:${feature}`, window: 'day', limit: featureLimits.requestsPerDay, used: featureUsage.requests }
+      );
+    }
+
+    const applicable = checks.filter(check => check.limit);
+    const exceeded = applicable.find(check => check.used >= check.limit);
+
+    if (exceeded) {
+      const reset = RateLimitService.resetOf(exceeded.window, now);
+      return {
+        allowed: false,
+        scope: exceeded.scope,
+        window: exceeded.window,
+        limit: exceeded.limit,
+        remaining: 0,
+        reset,
+        retryAfter: Math.max(1, Math.ceil((reset - now) / 1000))
+      };
+    }
+
+    // Count the request for every subject, and for the feature on the tenant record
+    await Promise.all(subjects.map((subject, index) => {
+      const record = records[index];
+      record.requests++;
+      record.minuteRequests++;
+
+      if (subject.scope === 'tenant' && feature) {
+        const featureUsage = RateLimitService.featureUsage(record, feature, minute);
+        record.features[feature] = {
+          requests: featureUsage.requests + 1,
+          minute,
+          minuteRequests: featureUsage.minuteRequests + 1
+        };
+      }
+
+      return this.saveUsage(subject.key, record);
+    }));
+
+    // Report the request limit closest to running out
+    const tightest = applicable
+      .filter(check => check.window !== 'tokens')
+      .map(check => ({ ...check, remaining: Math.max(0, check.limit - check.used - 1) }))
+      .sort((a, b) => a.remaining - b.remaining)[0];
+
+    return {
+      allowed: true,
+      ...(tightest && {
+        scope: tightest.scope,
+        window: tightest.window,
+        limit: tightest.limit,
+        remaining: tightest.remaining,
+        reset: RateLimitService.resetOf(tightest.window, now)
+      })
+    };
+  }
+
+  /**
+   * Add completion tokens to the tenant's and learner's daily usage
+   */
+  async recordTokens({ domain, learnerId = null, tokens, now = Date.now() }) {
+    if (!tokens) return;
+
+    const day = RateLimitService.dayOf(now);
+    const minute = Math.floor(now / MINUTE_MS);
+    const keys = [RateLimitService.usageKey(domain, null, day)];
+    if (learnerId) {
+      keys.push(RateLimitService.usageKey(domain, learnerId, day));
+    }
+
+    await Promise.all(keys.map(async key => {
+      const record = await this.getUsage(key, minute);
+      record.tokens += tokens;
+      await this.saveUsage(key, record);
+    }));
+  }
+
+  /**
+   * Get today's usage for a tenant or learner
+   */
+  async getDailyUsage(domain, learnerId = null, now = Date.now()) {
+    const record = await this.getUsage(
+      RateLimitService.usageKey(domain, learnerId, RateLimitService.dayOf(now)),
+      Math.floor(now / MINUTE_MS)
+    );
+    return { requests: record.requests, tokens: record.tokens, features: record.features };
+  }
+
+  async getUsage(key, minute) {
+    const record = await this.kvService.get(key) || { requests: 0, tokens: 0, minute, minuteRequests: 0, features: {} };
+
+    // Minute counter restarts when the window has moved on
+    if (record.minute !== minute) {
+      record.minute = minute;
+      record.minuteRequests = 0;
+    }
+
+    return record;
+  }
+
+  async saveUsage(key, record) {
+    await this.kvService.set(key, record, { expirationTtl: USAGE_TTL_SECONDS });
+  }
+
+  static featureUsage(record, feature, minute) {
+    const usage = record.features[feature] || { requests: 0, minute, minuteRequests: 0 };
+    return {
+      requests: usage.requests,
+      minuteRequests: usage.minute === minute ? usage.minuteRequests : 0
+    };
+  }
+
+  // Epoch milliseconds at which the window resets (minute windows, or UTC midnight for daily limits)
+  static resetOf(window, now) {
+    if (window === 'minute') {
+      return (Math.floor(now / MINUTE_MS) + 1) * MINUTE_MS;
+    }
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  static dayOf(now) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  static usageKey(domain, learnerId, day) {
+    return learnerId
+      ? `ratelimit:${domain}:learner:${learnerId}:${day}`
+      : `ratelimit:${domain}:${day}`;
+  }
+}
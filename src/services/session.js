@@ -0,0 +1,169 @@
+import { KVService } from './kv.js';
+
+/**
+ * Chat Session Service
+ * Stores per-learner conversation history in KV so clients only send the new turn.
+ * Each session has an index key per learner whose name starts with its inverted updatedAt,
+ * so listing the learner's index keys returns the most recently updated sessions first.
+ */
+export class SessionService {
+  constructor(kv) {
+    this.kvService = new KVService(kv);
+  }
+
+  // Keep stored history bounded so a single KV value never grows without limit
+  static MAX_STORED_MESSAGES = 100;
+
+  // Number of recent messages sent to the model on each turn
+  static HISTORY_WINDOW = 20;
+
+  // Upper bound for inverted index timestamps (13 digits of milliseconds)
+  static MAX_TIMESTAMP = 9999999999999;
+
+  /**
+   * Create a new session for a learner
+   */
+  async createSession(owner, { title, contentId, systemPrompt } = {}) {
+    const sessionId = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+
+    const session = {
+      sessionId,
+      domain: owner.domain,
+      learnerId: owner.learnerId,
+      title: title || null,
+      contentId: contentId || null,
+      systemPrompt: systemPrompt || null,
+      messages: [],
+      messageCount: 0,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await this.kvService.set(KVService.sessionKey(sessionId), session);
+    await this.kvService.set(SessionService.indexKey(owner, sessionId, timestamp), { sessionId, createdAt: timestamp });
+
+    return session;
+  }
+
+  /**
+   * Get a session, checking that it belongs to the given owner
+   */
+  async getSession(sessionId, owner) {
+    const session = await this.kvService.get(KVService.sessionKey(sessionId));
+
+    if (!session || !SessionService.isOwner(session, owner)) {
+      throw new Error('Session not found');
+    }
+
+    return session;
+  }
+
+  /**
+   * List one page of a learner's sessions (without message bodies), most recently updated first.
+   * Pass the returned cursor back to get the next page; cursor is null on the last page.
+   */
+  async listSessions(owner, { limit = 50, cursor } = {}) {
+    const page = await this.kvService.listPage({ prefix: SessionService.indexPrefix(owner), limit, cursor });
+    const sessions = [];
+
+    for (const { name } of page.keys) {
+      const sessionId = name.substring(name.lastIndexOf(':') + 1);
+      const session = await this.kvService.get(KVService.sessionKey(sessionId));
+      if (!session || !SessionService.isOwner(session, owner)) continue;
+
+      const { messages, systemPrompt, ...summary } = session;
+      sessions.push(summary);
+    }
+
+    return { sessions, cursor: page.cursor, hasMore: page.cursor !== null };
+  }
+
+  /**
+   * Append messages to a session's history
+   */
+  async appendMessages(sessionId, owner, newMessages) {
+    const session = await this.getSession(sessionId, owner);
+    const timestamp = new Date().toISOString();
+
+    const messages = [
+      ...session.messages,
+      ...newMessages.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        ...(msg.citations?.length > 0 && { citations: msg.citations }),
+        createdAt: timestamp
+      }))
+    ].slice(-SessionService.MAX_STORED_MESSAGES);
+
+    const updatedSession = {
+      ...session,
+      title: session.title || SessionService.deriveTitle(newMessages),
+      messages,
+      messageCount: session.messageCount + newMessages.length,
+      updatedAt: timestamp
+    };
+
+    await this.kvService.set(KVService.sessionKey(sessionId), updatedSession);
+
+    // Move the index key so the session lists by its new updatedAt
+    if (timestamp !== session.updatedAt) {
+      await this.kvService.set(SessionService.indexKey(owner, sessionId, timestamp), { sessionId, createdAt: session.createdAt });
+      await this.kvService.delete(SessionService.indexKey(owner, sessionId, session.updatedAt));
+    }
+
+    return updatedSession;
+  }
+
+  /**
+   * Delete a session and its index entry
+   */
+  async deleteSession(sessionId, owner) {
+    const session = await this.getSession(sessionId, owner);
+
+    await this.kvService.delete(KVService.sessionKey(sessionId));
+    await this.kvService.delete(SessionService.indexKey(owner, sessionId, session.updatedAt));
+
+    return { sessionId: session.sessionId, deleted: true };
+  }
+
+  /**
+   * Build the message list sent to the model: system prompt + recent history + new turn
+   */
+  buildMessages(session, userMessage) {
+    const history = session.messages
+      .slice(-SessionService.HISTORY_WINDOW)
+      .map(msg => ({ role: msg.role, content: msg.content }));
+
+    const messages = [];
+    if (session.systemPrompt) {
+      messages.push({ role: 'system', content: session.systemPrompt });
+    }
+
+    return [...messages, ...history, { role: 'user', content: userMessage }];
+  }
+
+  // owner.contentId (set for embed tokens) further limits access to sessions about that content
+  static isOwner(session, owner) {
+    return session.domain === owner.domain && session.learnerId === owner.learnerId &&
+      (!owner.contentId || session.contentId === owner.contentId);
+  }
+
+  static deriveTitle(messages) {
+    const firstUserMessage = messages.find(msg => msg.role === 'user');
+    return firstUserMessage ? firstUserMessage.content.substring(0, 50) : null;
+  }
+
+  // Milliseconds until a far-future date, zero-padded so newer timestamps sort first as strings
+  static invertedTime(isoTimestamp) {
+    return String(SessionService.MAX_TIMESTAMP - Date.parse(isoTimestamp)).padStart(13, '0');
+  }
+
+  static indexPrefix(owner) {
+    return `chat:session-index:${owner.domain}:${owner.learnerId}:`;
+  }
+
+  static indexKey(owner, sessionId, updatedAt) {
+    return `${SessionService.indexPrefix(owner)}${SessionService.invertedTime(updatedAt)}:${sessionId}`;
+  }
+}
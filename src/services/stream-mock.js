@@ -0,0 +1,74 @@
+import { StreamService } from './stream.js';
+import { sha256Hex } from '../utils/auth.js';
+import { CAPTION_FIXTURES } from '../fixtures/captions.js';
+
+/**
+ * Mock Stream Service
+ * Offline stand-in for Cloudflare Stream, selected with LLM_MOCK=true alongside the mock LLM provider.
+ * Uploads are accepted without copying the video, processing and captioning finish immediately, and
+ * captions come from the recorded fixtures, so the queue consumer runs from upload to indexed content.
+ * VTT parsing is inherited from StreamService.
+ */
+export class MockStreamService extends StreamService {
+  constructor({ captionFixtures = CAPTION_FIXTURES } = {}) {
+    super('mock-account', 'mock-token');
+    this.captionFixtures = captionFixtures;
+  }
+
+  async uploadVideoFromUrl(videoUrl, metadata = {}, allowedOrigins = []) {
+    const uid = await MockStreamService.videoIdOf(videoUrl);
+    return { uid, meta: metadata, allowedOrigins, status: { state: 'ready' } };
+  }
+
+  async getVideoStatus(videoId) {
+    return { uid: videoId, readyToStream: true, status: { state: 'ready' } };
+  }
+
+  async waitForProcessing(videoId) {
+    return this.getVideoStatus(videoId);
+  }
+
+  async deleteVideo() {
+    return true;
+  }
+
+  async generateCaptions(videoId, language = 'ko') {
+    return { language, label: language, generated: true, status: 'inprogress' };
+  }
+
+  async getCaptionStatus(videoId, language = 'ko') {
+    return { language, label: language, generated: true, status: 'ready' };
+  }
+
+  async waitForCaptions(videoId, language = 'ko', maxWaitTime, pollInterval, progressCallback = null) {
+    if (progressCallback) {
+      await progressCallback('generating-captions', 85, 'AI caption generation completed');
+    }
+    return this.getCaptionStatus(videoId, language);
+  }
+
+  async getCaptionContent(videoId, language = 'ko') {
+    return {
+      language,
+      label: language,
+      status: 'ready',
+      content: await this.captionFixture(videoId, language),
+      format: 'vtt'
+    };
+  }
+
+  /**
+   * Recorded captions for the video's URL, or the default ones for the language
+   */
+  async captionFixture(videoId, language) {
+    for (const [videoUrl, vtt] of Object.entries(this.captionFixtures.byVideoUrl || {})) {
+      if (await MockStreamService.videoIdOf(videoUrl) === videoId) return vtt;
+    }
+    return this.captionFixtures[language] || this.captionFixtures.en;
+  }
+
+  // Deterministic video ID, so recaptioning an uploaded mock video finds its captions again
+  static async videoIdOf(videoUrl) {
+    return `mock${(await sha256Hex(videoUrl)).substring(0, 28)}`;
+  }
+}
@@ -13,7 +13,11 @@ export class StreamService {
   // Core Stream Operations
   // ===============================
 
-  async uploadVideoFromUrl(videoUrl, metadata = {}) {
+  /**
+   * Copy a video into Stream.
+   * allowedOrigins are the hostnames allowed to embed the player; an empty list leaves playback unrestricted.
+   */
+  async uploadVideoFromUrl(videoUrl, metadata = {}, allowedOrigins = []) {
     try {
       const response = await fetch(`${this.baseUrl}/copy`, {
         method: 'POST',
@@ -27,7 +31,7 @@ export class StreamService {
             name: metadata.name || 'Transcription Video',
             ...metadata
           },
-          allowedOrigins: ['*'],
+          allowedOrigins,
           requireSignedURLs: false
         })
       });
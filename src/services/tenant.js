@@ -0,0 +1,443 @@
+import { z } from 'zod';
+import { KVService } from './kv.js';
+import { DOMAIN_REGEX } from '../utils/validation.js';
+import { AuthService, TOKEN_SCOPES, DEFAULT_SCOPES } from '../utils/auth.js';
+import { LLM_PROVIDERS } from './llm.js';
+
+export const TENANT_TIERS = ['basic', 'standard', 'premium'];
+
+export const TENANT_FEATURES = ['chat', 'tutor', 'quiz', 'content'];
+
+export const TENANT_STATUSES = ['active', 'suspended'];
+
+// Used when a tenant is created without explicit features or quotas
+export const DEFAULT_FEATURES = ['chat', 'tutor', 'quiz'];
+
+// Features with their own request limits on top of the tenant-wide limits
+export const RATE_LIMITED_FEATURES = ['chat', 'tutor', 'quiz', 'upload'];
+
+// Tenant-wide limits, limits per learner, and extra limits per feature
+export const TIER_QUOTAS = {
+  basic: {
+    requestsPerMinute: 20,
+    requestsPerDay: 100,
+    tokensPerDay: 100000,
+    perLearner: { requestsPerMinute: 5, requestsPerDay: 50, tokensPerDay: 20000 },
+    features: {
+      quiz: { requestsPerMinute: 5, requestsPerDay: 50 },
+      upload: { requestsPerMinute: 2, requestsPerDay: 10 }
+    }
+  },
+  standard: {
+    requestsPerMinute: 60,
+    requestsPerDay: 1000,
+    tokensPerDay: 1000000,
+    perLearner: { requestsPerMinute: 10, requestsPerDay: 200, tokensPerDay: 100000 },
+    features: {
+      quiz: { requestsPerMinute: 10, requestsPerDay: 300 },
+      upload: { requestsPerMinute: 5, requestsPerDay: 100 }
+    }
+  },
+  premium: {
+    requestsPerMinute: 300,
+    requestsPerDay: 10000,
+    tokensPerDay: 10000000,
+    perLearner: { requestsPerMinute: 30, requestsPerDay: 1000, tokensPerDay: 500000 },
+    features: {
+      quiz: { requestsPerMinute: 30, requestsPerDay: 3000 },
+      upload: { requestsPerMinute: 20, requestsPerDay: 1000 }
+    }
+  }
+};
+
+const requestLimitsSchema = z.object({
+  requestsPerMinute: z.number().int().positive(),
+  requestsPerDay: z.number().int().positive()
+}).partial();
+
+const quotasSchema = z.object({
+  requestsPerMinute: z.number().int().positive(),
+  requestsPerDay: z.number().int().positive(),
+  tokensPerDay: z.number().int().positive(),
+  perLearner: requestLimitsSchema.extend({ tokensPerDay: z.number().int().positive() }).partial(),
+  features: z.record(z.enum(RATE_LIMITED_FEATURES), requestLimitsSchema)
+});
+
+const promptSettingsSchema = z.object({
+  instructions: z.string().max(4000).optional(),
+  maxTokens: z.number().int().min(1).max(4000).optional(),
+  temperature: z.number().min(0).max(2).optional()
+});
+
+// Browser origins are stored as scheme://host[:port], without path or trailing slash
+const originSchema = z.string().url().max(200)
+  .refine(value => /^https?:$/.test(new URL(value).protocol), 'Origin must use http or https')
+  .transform(value => new URL(value).origin);
+
+// LLM routes in fallback order; a route without a model uses the provider's default (or the requested model for OpenAI)
+const modelRouteSchema = z.object({
+  provider: z.enum(LLM_PROVIDERS),
+  model: z.string().min(1).max(100).optional()
+}).strict();
+
+const tenantFields = {
+  tier: z.enum(TENANT_TIERS),
+  features: z.array(z.enum(TENANT_FEATURES)),
+  quotas: quotasSchema.partial(),
+  allowedOrigins: z.array(originSchema).max(50),
+  defaultModel: z.string().min(1).max(100),
+  // null returns the tenant to the default routing (LLM_ROUTES)
+  modelRoutes: z.array(modelRouteSchema).min(1).max(3).nullable(),
+  promptSettings: promptSettingsSchema,
+  // Scopes the domain key may request at POST /v1/auth (a higher scope includes the lower ones)
+  grantableScopes: z.array(z.enum(TOKEN_SCOPES)).min(1)
+};
+
+export const createTenantSchema = z.object({
+  domain: z.string().max(253).regex(DOMAIN_REGEX, 'Invalid domain format'),
+  ...tenantFields
+}).partial({
+  tier: true,
+  features: true,
+  quotas: true,
+  allowedOrigins: true,
+  defaultModel: true,
+  modelRoutes: true,
+  promptSettings: true,
+  grantableScopes: true
+});
+
+export const updateTenantSchema = z.object(tenantFields).partial().strict();
+
+/**
+ * Tenant Service
+ * Registry of domains allowed to use the API, stored at auth:<domain>
+ */
+export class TenantService {
+  constructor(kv) {
+    this.kvService = new KVService(kv);
+  }
+
+  /**
+   * Get a tenant record, null when the domain is not registered
+   */
+  async getTenant(domain) {
+    return this.kvService.get(KVService.authKey(domain));
+  }
+
+  /**
+   * Register a new tenant; missing settings come from the defaults.
+   * Only explicit quota overrides are stored, so the tier defaults still apply after a tier change.
+   */
+  async createTenant({ domain, tier = 'standard', features, quotas, allowedOrigins, defaultModel, modelRoutes, promptSettings, grantableScopes, autoRegistered = false }) {
+    if (await this.getTenant(domain)) {
+      throw new Error('Tenant already exists');
+    }
+
+    const timestamp = new Date().toISOString();
+    const tenant = {
+      domain,
+      tier,
+      status: 'active',
+      features: [...new Set(features || DEFAULT_FEATURES)],
+      quotas: quotas || {},
+      allowedOrigins: [...new Set(allowedOrigins || [])],
+      defaultModel: defaultModel || 'gpt-4o-mini',
+      modelRoutes: modelRoutes || null,
+      promptSettings: promptSettings || {},
+      grantableScopes: [...new Set(grantableScopes || DEFAULT_SCOPES)],
+      ...(autoRegistered && { autoRegistered: true }),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await this.saveTenant(tenant);
+    await this.syncOriginIndex(domain, [], TenantService.originsOf(tenant));
+    return tenant;
+  }
+
+  /**
+   * Tenant record for an authenticated domain (verified domain key, assertion or API-issued token).
+   * Domains onboarded before the registry have no record yet; with autoRegister, one is created on
+   * first use with the settings every domain had then, so their keys and tokens keep working.
+   */
+  async getOrRegisterTenant(domain, { autoRegister = false } = {}) {
+    const tenant = await this.getTenant(domain);
+    if (tenant || !autoRegister) return tenant;
+
+    try {
+      console.log(`🏷️ Registering tenant ${domain} with the pre-registry defaults`);
+      return await this.createTenant(TenantService.legacySettingsOf(domain));
+    } catch (error) {
+      // Registered by a concurrent request in the meantime
+      if (error.message === 'Tenant already exists') return this.getTenant(domain);
+      throw error;
+    }
+  }
+
+  /**
+   * Update tenant settings; quotas and prompt settings are merged with the current values
+   */
+  async updateTenant(domain, updates) {
+    const tenant = await this.getTenant(domain);
+
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    const updatedTenant = {
+      ...tenant,
+      ...updates,
+      ...(updates.features && { features: [...new Set(updates.features)] }),
+      ...(updates.allowedOrigins && { allowedOrigins: [...new Set(updates.allowedOrigins)] }),
+      ...(updates.grantableScopes && { grantableScopes: [...new Set(updates.grantableScopes)] }),
+      quotas: TenantService.mergeQuotas(tenant.quotas, updates.quotas),
+      promptSettings: { ...tenant.promptSettings, ...updates.promptSettings },
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveTenant(updatedTenant);
+    await this.syncOriginIndex(domain, TenantService.originsOf(tenant), TenantService.originsOf(updatedTenant));
+    return updatedTenant;
+  }
+
+  /**
+   * Suspend or reactivate a tenant
+   */
+  async setStatus(domain, status, reason = null) {
+    const tenant = await this.getTenant(domain);
+
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    const updatedTenant = {
+      ...tenant,
+      status,
+      statusReason: reason,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveTenant(updatedTenant);
+    return updatedTenant;
+  }
+
+  /**
+   * Revoke every token issued to the domain so far (access and refresh).
+   * Call when the tenant's auth key is rotated or leaked.
+   */
+  async revokeTokens(domain) {
+    const tenant = await this.getTenant(domain);
+
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    const timestamp = new Date().toISOString();
+    const updatedTenant = { ...tenant, tokensRevokedAt: timestamp, updatedAt: timestamp };
+
+    await this.saveTenant(updatedTenant);
+    return updatedTenant;
+  }
+
+  /**
+   * List tenants one KV page at a time, optionally filtered by status
+   */
+  async listTenants({ status, limit = 50, cursor } = {}) {
+    const page = await this.kvService.listPage({
+      prefix: KVService.authKey(''),
+      limit,
+      cursor
+    });
+
+    const tenants = [];
+    for (const key of page.keys) {
+      const entry = key.metadata || TenantService.toListEntry(await this.kvService.get(key.name) || {});
+      if (!entry.domain) continue;
+      if (status && entry.status !== status) continue;
+      tenants.push(entry);
+    }
+
+    return {
+      tenants,
+      count: tenants.length,
+      cursor: page.cursor,
+      hasMore: page.cursor !== null
+    };
+  }
+
+  async saveTenant(tenant) {
+    await this.kvService.set(KVService.authKey(tenant.domain), tenant, {
+      metadata: TenantService.toListEntry(tenant)
+    });
+  }
+
+  /**
+   * Keep the CORS origin index (cors:origin:<origin> -> domains) in step with a tenant's origins.
+   * The index lets preflight requests, which carry no token, be answered without scanning tenants.
+   */
+  async syncOriginIndex(domain, previousOrigins, nextOrigins) {
+    const removed = previousOrigins.filter(origin => !nextOrigins.includes(origin));
+
+    for (const origin of nextOrigins) {
+      const entry = await this.kvService.get(TenantService.originKey(origin)) || { domains: [] };
+      if (!entry.domains.includes(domain)) {
+        await this.kvService.set(TenantService.originKey(origin), { domains: [...entry.domains, domain] });
+      }
+    }
+
+    for (const origin of removed) {
+      const entry = await this.kvService.get(TenantService.originKey(origin));
+      const domains = (entry?.domains || []).filter(registered => registered !== domain);
+      if (domains.length > 0) {
+        await this.kvService.set(TenantService.originKey(origin), { domains });
+      } else {
+        await this.kvService.delete(TenantService.originKey(origin));
+      }
+    }
+  }
+
+  /**
+   * Whether any tenant lists the origin (used for CORS, before the request's token is known)
+   */
+  async isRegisteredOrigin(origin) {
+    const normalized = TenantService.normalizeOrigin(origin);
+    return !!normalized && this.kvService.exists(TenantService.originKey(normalized));
+  }
+
+  /**
+   * Merge quota overrides into base quotas, one level deep for perLearner and each feature
+   */
+  static mergeQuotas(base = {}, overrides = {}) {
+    const features = { ...base.features };
+    for (const [feature, limits] of Object.entries(overrides.features || {})) {
+      features[feature] = { ...features[feature], ...limits };
+    }
+
+    return {
+      ...base,
+      ...overrides,
+      perLearner: { ...base.perLearner, ...overrides.perLearner },
+      features
+    };
+  }
+
+  /**
+   * Effective quotas: the tenant's overrides on top of its current tier's defaults
+   */
+  static resolveQuotas(tenant) {
+    return TenantService.mergeQuotas(TIER_QUOTAS[tenant.tier] || TIER_QUOTAS.standard, tenant.quotas);
+  }
+
+  /**
+   * Settings of domains from before the registry: premium tier for domains containing "premium",
+   * standard otherwise (the same daily limits), every feature, since features were not enforced then,
+   * and the learner and instructor scopes so their backends can keep uploading content
+   */
+  static legacySettingsOf(domain) {
+    return {
+      domain,
+      tier: domain.includes('premium') ? 'premium' : 'standard',
+      features: TENANT_FEATURES,
+      grantableScopes: ['learner', 'instructor'],
+      autoRegistered: true
+    };
+  }
+
+  /**
+   * Scopes the tenant may be granted; learner only unless the record allows more
+   */
+  static grantableScopesOf(tenant) {
+    return tenant?.grantableScopes || DEFAULT_SCOPES;
+  }
+
+  /**
+   * Whether every scope is covered by the tenant's grantable scopes (admin covers instructor and learner)
+   */
+  static canGrantScopes(tenant, scopes) {
+    const grantable = { scopes: TenantService.grantableScopesOf(tenant) };
+    return scopes.every(scope => AuthService.hasScope(grantable, scope));
+  }
+
+  /**
+   * Whether unregistered domains are registered on first use (TENANT_AUTO_REGISTER, on unless "false")
+   */
+  static autoRegisterOf(env) {
+    return env?.TENANT_AUTO_REGISTER !== 'false';
+  }
+
+  static isActive(tenant) {
+    return !!tenant && tenant.status === 'active';
+  }
+
+  /**
+   * Origins a tenant's browser clients may call from: https://<domain> plus its allowedOrigins
+   */
+  static originsOf(tenant) {
+    return [...new Set([`https://${tenant.domain}`, ...(tenant.allowedOrigins || [])])];
+  }
+
+  static isOriginAllowed(tenant, origin) {
+    const normalized = TenantService.normalizeOrigin(origin);
+    return !!normalized && TenantService.originsOf(tenant).includes(normalized);
+  }
+
+  /**
+   * Hostnames for Cloudflare Stream's allowedOrigins, which takes hosts rather than full origins
+   */
+  static streamOrigins(tenant) {
+    return [...new Set(TenantService.originsOf(tenant).map(origin => new URL(origin).host))];
+  }
+
+  // Origin header as scheme://host[:port], or null when it is not an http(s) origin (e.g. "null")
+  static normalizeOrigin(origin) {
+    try {
+      const url = new URL(origin);
+      return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch {
+      return null;
+    }
+  }
+
+  static originKey(origin) {
+    return `cors:origin:${origin}`;
+  }
+
+  static toListEntry(tenant) {
+    return {
+      domain: tenant.domain,
+      tier: tenant.tier,
+      status: tenant.status,
+      autoRegistered: !!tenant.autoRegistered,
+      updatedAt: tenant.updatedAt || null
+    };
+  }
+
+  /**
+   * Fill AI options the request did not set from the tenant's default model and prompt settings.
+   * Tenant instructions always apply and cannot be overridden by the request.
+   */
+  static withDefaults(tenant, options = {}) {
+    if (!tenant) return options;
+
+    const promptSettings = tenant.promptSettings || {};
+    return {
+      model: tenant.defaultModel,
+      ...(promptSettings.maxTokens && { maxTokens: promptSettings.maxTokens }),
+      ...(promptSettings.temperature !== undefined && { temperature: promptSettings.temperature }),
+      ...options,
+      tenantInstructions: promptSettings.instructions || ''
+    };
+  }
+
+  /**
+   * Tenant settings embedded in issued JWTs
+   */
+  static toTokenClaims(tenant) {
+    return {
+      tier: tenant.tier,
+      maxRequestsPerDay: TenantService.resolveQuotas(tenant).requestsPerDay,
+      features: tenant.features
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import { KVService } from './kv.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Embed tokens are handed to browser widgets, so they only live for minutes and are never refreshed
+export const EMBED_TOKEN_TTL_SECONDS = 10 * 60;
+
+export const MAX_EMBED_TOKEN_TTL_SECONDS = 15 * 60;
+
+// KV expirationTtl must be at least 60 seconds
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Token Service
+ * Issues access/refresh token pairs and keeps the jti revocation list.
+ * Refresh tokens are single use: each refresh deletes the stored record (token:refresh:<jti>) and issues a new pair.
+ */
+export class TokenService {
+  constructor(kv, authService) {
+    this.kvService = new KVService(kv);
+    this.authService = authService;
+  }
+
+  /**
+   * Issue a short-lived access token and a refresh token
+   * @param {Object} claims - tenant claims (TenantService.toTokenClaims) plus scopes, and learner identity for learner tokens
+   */
+  async issueTokens(domain, claims) {
+    const accessToken = await this.authService.generateJWT(domain, { ...claims, typ: 'access' }, ACCESS_TOKEN_TTL_SECONDS);
+    const identity = TokenService.identityOf(claims);
+
+    const refreshJti = crypto.randomUUID();
+    const refreshToken = await this.authService.generateJWT(
+      domain,
+      { scopes: claims.scopes, ...(identity.sub && { sub: identity.sub }), typ: 'refresh', jti: refreshJti },
+      REFRESH_TOKEN_TTL_SECONDS
+    );
+
+    await this.kvService.set(TokenService.refreshKey(refreshJti), {
+      domain,
+      scopes: claims.scopes,
+      identity,
+      createdAt: new Date().toISOString()
+    }, { expirationTtl: REFRESH_TOKEN_TTL_SECONDS });
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Issue an embed token limited to one content item
+   * @param {Object} claims - tenant claims with features narrowed to EMBED_FEATURES, contentId and an optional learner sub
+   */
+  async issueEmbedToken(domain, claims, ttlSeconds = EMBED_TOKEN_TTL_SECONDS) {
+    // Embed tokens never get instructor access and have no refresh token
+    const token = await this.authService.generateJWT(domain, { ...claims, scopes: ['learner'], typ: 'embed' }, ttlSeconds);
+    return { token, expiresIn: ttlSeconds };
+  }
+
+  /**
+   * Use up a refresh token, returning its stored record.
+   * Throws 'Invalid refresh token' when it was already used, revoked or never issued.
+   */
+  async consumeRefreshToken(payload) {
+    if (payload.typ !== 'refresh' || !payload.jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const record = await this.kvService.get(TokenService.refreshKey(payload.jti));
+    if (!record || record.domain !== payload.domain || await this.isRevoked(payload.jti)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    await this.kvService.delete(TokenService.refreshKey(payload.jti));
+    return record;
+  }
+
+  /**
+   * Add a token to the revocation list until it would have expired anyway
+   */
+  async revoke(payload) {
+    if (!payload.jti) {
+      throw new Error('Token cannot be revoked individually');
+    }
+
+    const ttl = Math.max(MIN_KV_TTL_SECONDS, payload.exp - Math.floor(Date.now() / 1000));
+    await this.kvService.set(TokenService.revokedKey(payload.jti), {
+      domain: payload.domain,
+      typ: payload.typ || 'access',
+      revokedAt: new Date().toISOString()
+    }, { expirationTtl: ttl });
+
+    if (payload.typ === 'refresh') {
+      await this.kvService.delete(TokenService.refreshKey(payload.jti));
+    }
+  }
+
+  async isRevoked(jti) {
+    return !!jti && await this.kvService.exists(TokenService.revokedKey(jti));
+  }
+
+  /**
+   * Whether the token was issued before the tenant's last bulk revocation (tenant.tokensRevokedAt).
+   * iat has one-second resolution, so tokens issued in the same second as the revocation stay valid.
+   */
+  static isRevokedByTenant(payload, tenant) {
+    return !!tenant?.tokensRevokedAt && payload.iat < Math.floor(Date.parse(tenant.tokensRevokedAt) / 1000);
+  }
+
+  // Learner identity claims (sub, role, cohort) carried over when a token is refreshed
+  static identityOf(claims) {
+    return {
+      ...(claims.sub && { sub: claims.sub }),
+      ...(claims.role && { role: claims.role }),
+      ...(claims.cohort && { cohort: claims.cohort })
+    };
+  }
+
+  static refreshKey(jti) {
+    return `token:refresh:${jti}`;
+  }
+
+  static revokedKey(jti) {
+    return `token:revoked:${jti}`;
+  }
+}
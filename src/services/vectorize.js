@@ -1,7 +1,23 @@
+import { formatTimestamp } from '../utils/citations.js';
+import { KVService } from './kv.js';
+
+// Defaults for OpenAI embeddings; the model actually used is the LLM router's embedding model (EMBEDDING_PROVIDER, EMBEDDING_MODEL)
+export const EMBEDDING_MODEL = 'text-embedding-3-small';
+export const EMBEDDING_DIMENSIONS = 1536;
+
+// Chunking parameters recorded in the vector manifest
+export const CHUNKING = {
+  strategy: 'segment',
+  minChunkSize: 200,
+  maxChunkSize: 500
+};
+
 export class VectorizeService {
-  constructor(vectorizeIndex, openaiService) {
+  // kvService is optional; without it indexing runs without a vector manifest (search-only use)
+  constructor(vectorizeIndex, openaiService, kvService = null) {
     this.vectorizeIndex = vectorizeIndex;
     this.openaiService = openaiService;
+    this.kvService = kvService;
   }
 
   /**
@@ -72,11 +88,11 @@ export class VectorizeService {
     try {
       // Use the simplified createEmbedding method that returns the embedding directly
       const embedding = await this.openaiService.createEmbedding(text, {
-        model: 'text-embedding-3-small',
         encoding_format: 'float'
       });
 
-      if (!embedding || !Array.isArray(embedding) || embedding.length !== 1536) {
+      // The dimension depends on the embedding model; Vectorize rejects vectors that do not match the index
+      if (!embedding || !Array.isArray(embedding) || embedding.length === 0) {
         throw new Error(`Invalid embedding: length=${embedding?.length}, isArray=${Array.isArray(embedding)}`);
       }
 
@@ -88,7 +104,16 @@ export class VectorizeService {
   }
 
   /**
-   * Index content chunks in Vectorize
+   * Get the vector manifest recorded by the last indexing run
+   */
+  async getManifest(contentId) {
+    if (!this.kvService) return null;
+    return this.kvService.get(KVService.contentKey('vectors', contentId));
+  }
+
+  /**
+   * Index content chunks in Vectorize.
+   * Records a manifest of the written vector IDs and deletes vectors left over from the previous run.
    */
   async indexContent(contentId, summary, segments = [], metadata = {}) {
     try {
@@ -98,7 +123,7 @@ export class VectorizeService {
       const contentIdString = String(contentId);
 
       // Use segment-based chunking with smart merging for better timestamps
-      const transcriptChunks = this.createSegmentBasedChunks(segments, 200, 500);
+      const transcriptChunks = this.createSegmentBasedChunks(segments, CHUNKING.minChunkSize, CHUNKING.maxChunkSize);
 
       for (let i = 0; i < transcriptChunks.length; i++) {
         const chunk = transcriptChunks[i];
@@ -142,11 +167,38 @@ export class VectorizeService {
         });
       }
 
-      // Insert vectors in batches to avoid size limits
+      // Upsert vectors in batches to avoid size limits (insert would skip IDs that already exist)
       const batchSize = 50;
       for (let i = 0; i < vectors.length; i += batchSize) {
         const batch = vectors.slice(i, i + batchSize);
-        await this.vectorizeIndex.insert(batch);
+        await this.vectorizeIndex.upsert(batch);
+      }
+
+      // Remove vectors from the previous run that this run did not overwrite
+      const vectorIds = vectors.map(vector => vector.id);
+      const previousManifest = await this.getManifest(contentIdString);
+      const previousIds = previousManifest
+        ? previousManifest.vectorIds
+        : await this.findContentVectorIds(contentIdString);
+      const staleIds = previousIds.filter(id => !vectorIds.includes(id));
+
+      if (staleIds.length > 0) {
+        await this.deleteVectorIds(staleIds);
+        console.log(`🧹 Deleted ${staleIds.length} stale vectors for content ${contentId}`);
+      }
+
+      const manifest = {
+        contentId: contentIdString,
+        vectorIds,
+        embeddingModel: this.openaiService.router?.embeddingModel || EMBEDDING_MODEL,
+        dimensions: vectors[0]?.values.length || EMBEDDING_DIMENSIONS,
+        chunking: CHUNKING,
+        indexVersion: (previousManifest?.indexVersion || 0) + 1,
+        indexedAt: new Date().toISOString()
+      };
+
+      if (this.kvService) {
+        await this.kvService.set(KVService.contentKey('vectors', contentIdString), manifest);
       }
 
       console.log(`✅ Indexed ${vectors.length} chunks for content ${contentId}`);
@@ -154,7 +206,9 @@ export class VectorizeService {
         success: true,
         chunksIndexed: transcriptChunks.length,
         summaryIndexed: summary ? 1 : 0,
-        totalVectors: vectors.length
+        totalVectors: vectors.length,
+        staleVectorsDeleted: staleIds.length,
+        indexVersion: manifest.indexVersion
       };
 
     } catch (error) {
@@ -173,11 +227,13 @@ export class VectorizeService {
         contentId = null,
         type = null, // 'transcript' | 'summary'
         language = null,
-        includeMetadata = true
+        domain = null, // Owning tenant; other domains' vectors are never returned
+        includeMetadata = true,
+        embedding = null // Precomputed query embedding, to avoid embedding the same question twice
       } = options;
 
       // Generate embedding for the search query
-      const queryEmbedding = await this.generateEmbedding(query);
+      const queryEmbedding = embedding || await this.generateEmbedding(query);
 
       if (!queryEmbedding || queryEmbedding.length === 0) {
         return {
@@ -199,6 +255,7 @@ export class VectorizeService {
       if (contentId) filter.contentId = String(contentId);
       if (type) filter.type = type;
       if (language) filter.language = language;
+      if (domain) filter.domain = domain;
 
       // Perform vector search with correct format
       const searchOptions = {
@@ -224,9 +281,15 @@ export class VectorizeService {
         startTime: match.metadata?.startTime,
         endTime: match.metadata?.endTime,
         language: match.metadata?.language,
+        domain: match.metadata?.domain,
         createdAt: match.metadata?.createdAt
       })) || [];
 
+      // Tenant filter is always enforced client-side too, unlike the contentId fallback below
+      if (domain) {
+        formattedResults = formattedResults.filter(result => result.domain === domain);
+      }
+
       // Client-side filtering as fallback (in case metadata index is not ready)
       if (contentId && formattedResults.length > 0) {
         const contentIdString = String(contentId);
@@ -318,7 +381,9 @@ export class VectorizeService {
       const context = contextParts.join('\n\n');
 
       // Extract source information
-      const sources = relevantChunks.map(chunk => ({
+      // chunk matches the [강의 자료 N] number shown to the model
+      const sources = relevantChunks.map((chunk, index) => ({
+        chunk: index + 1,
         contentId: chunk.contentId,
         type: chunk.type,
         score: chunk.score,
@@ -348,30 +413,90 @@ export class VectorizeService {
    * Format time in seconds to MM:SS format
    */
   formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = Math.floor(seconds % 60);
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    return formatTimestamp(seconds);
+  }
+
+  /**
+   * Find the IDs of all vectors stored for a content.
+   * indexContent writes contiguous IDs (<contentId>-transcript-0..n-1 and <contentId>-summary),
+   * so probe them in batches until a batch comes back incomplete.
+   */
+  async findContentVectorIds(contentId, batchSize = 20) {
+    const contentIdString = String(contentId);
+    const foundIds = [];
+
+    for (let start = 0; ; start += batchSize) {
+      const candidateIds = Array.from({ length: batchSize }, (_, i) => `${contentIdString}-transcript-${start + i}`);
+      const vectors = await this.vectorizeIndex.getByIds(candidateIds);
+      foundIds.push(...vectors.map(vector => vector.id));
+
+      if (vectors.length < batchSize) break;
+    }
+
+    const summaryId = `${contentIdString}-summary`;
+    const summaryVectors = await this.vectorizeIndex.getByIds([summaryId]);
+    if (summaryVectors.length > 0) {
+      foundIds.push(summaryId);
+    }
+
+    return foundIds;
+  }
+
+  /**
+   * Merge metadata into every vector of a content without re-embedding it
+   * (e.g. recording the owning domain on vectors indexed before ownership existed)
+   */
+  async retagContent(contentId, metadata, batchSize = 20) {
+    const contentIdString = String(contentId);
+    const manifest = await this.getManifest(contentIdString);
+    const probedIds = await this.findContentVectorIds(contentIdString);
+    const vectorIds = [...new Set([...(manifest?.vectorIds || []), ...probedIds])];
+    let retagged = 0;
+
+    for (let i = 0; i < vectorIds.length; i += batchSize) {
+      const vectors = await this.vectorizeIndex.getByIds(vectorIds.slice(i, i + batchSize));
+      if (vectors.length === 0) continue;
+
+      await this.vectorizeIndex.upsert(vectors.map(vector => ({
+        id: vector.id,
+        values: vector.values,
+        metadata: { ...vector.metadata, ...metadata }
+      })));
+      retagged += vectors.length;
+    }
+
+    return { retagged };
+  }
+
+  /**
+   * Delete vectors by ID in batches (deleteByIds accepts a limited number of IDs per call)
+   */
+  async deleteVectorIds(vectorIds, batchSize = 100) {
+    for (let i = 0; i < vectorIds.length; i += batchSize) {
+      await this.vectorizeIndex.deleteByIds(vectorIds.slice(i, i + batchSize));
+    }
   }
 
   /**
    * Delete all vectors for a specific content ID
    */
   async deleteContent(contentId) {
+    // Ensure contentId is string for consistent filtering
+    const contentIdString = String(contentId);
+
     try {
-      // Ensure contentId is string for consistent filtering
-      const contentIdString = String(contentId);
+      // Union of the manifest and a probe, so vectors written before manifests existed are found too
+      const manifest = await this.getManifest(contentIdString);
+      const probedIds = await this.findContentVectorIds(contentIdString);
+      const vectorIds = [...new Set([...(manifest?.vectorIds || []), ...probedIds])];
 
-      // Note: Vectorize doesn't have a direct delete by metadata filter
-      // We need to search first, then delete by IDs
-      const searchResults = await this.searchContent('', {
-        contentId: contentIdString,
-        topK: 1000 // Get all chunks for this content
-      });
+      await this.deleteVectorIds(vectorIds);
 
-      const vectorIds = searchResults.results.map(result => result.id);
+      if (this.kvService) {
+        await this.kvService.delete(KVService.contentKey('vectors', contentIdString));
+      }
 
       if (vectorIds.length > 0) {
-        await this.vectorizeIndex.deleteByIds(vectorIds);
         console.log(`✅ Deleted ${vectorIds.length} vectors for content ${contentIdString}`);
       }
 
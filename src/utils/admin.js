@@ -0,0 +1,44 @@
+import { AdminKeyService } from '../services/adminkey.js';
+import { createErrorResponse } from './responses.js';
+
+/**
+ * Route middleware: authenticate an admin API key from the X-Admin-Key header.
+ * Clients are locked out for LOCKOUT_SECONDS after MAX_FAILED_ATTEMPTS failures.
+ */
+export async function requireAdminKey(c, next) {
+  const adminKeyService = new AdminKeyService(c.env.AITUTOR_KV);
+  const clientIp = getClientIp(c);
+  const lockout = await adminKeyService.getLockout(clientIp);
+
+  if (lockout?.lockedUntil > Date.now()) {
+    const retryAfter = Math.ceil((lockout.lockedUntil - Date.now()) / 1000);
+    return c.json(createErrorResponse('Too many failed admin login attempts', 429, 'ADMIN_LOCKED'), 429, {
+      'Retry-After': String(retryAfter)
+    });
+  }
+
+  const adminKey = await adminKeyService.verifyKey(c.req.header('X-Admin-Key'), c.env.ADMIN_BOOTSTRAP_KEY);
+
+  if (!adminKey) {
+    await adminKeyService.recordFailure(clientIp);
+    return c.json(createErrorResponse('Admin authentication failed', 401, 'ADMIN_AUTH_FAILED'), 401);
+  }
+
+  if (lockout) {
+    await adminKeyService.clearFailures(clientIp);
+  }
+
+  if (adminKey.keyId !== 'bootstrap') {
+    c.executionCtx.waitUntil(
+      adminKeyService.touchKey(adminKey.keyId).catch(error => console.error('Admin key touch error:', error))
+    );
+  }
+
+  c.set('adminKey', adminKey);
+  c.set('clientIp', clientIp);
+  await next();
+}
+
+export function getClientIp(c) {
+  return c.req.header('CF-Connecting-IP') || 'unknown';
+}
@@ -1,4 +1,56 @@
-import { sign, verify } from 'hono/jwt';
+import { sign, verify, decode } from 'hono/jwt';
+import { validateLearnerId } from './validation.js';
+
+// 토큰 권한 범위: learner는 학습자 화면, instructor는 정답/해설 및 콘텐츠 업로드, admin은 재인덱싱/삭제 등 콘텐츠 관리
+export const TOKEN_SCOPES = ['learner', 'instructor', 'admin'];
+
+// 상위 권한은 하위 권한을 포함
+const SCOPE_GRANTS = {
+  learner: ['learner'],
+  instructor: ['learner', 'instructor'],
+  admin: ['learner', 'instructor', 'admin']
+};
+
+export const DEFAULT_SCOPES = ['learner'];
+
+// 학습자 토큰의 역할 (토큰 scopes로도 부여됨)
+export const LEARNER_ROLES = ['learner', 'instructor'];
+
+// 학습자 assertion의 aud 값과 최대 유효 기간
+export const ASSERTION_AUDIENCE = 'aitutor-api';
+
+const MAX_ASSERTION_TTL_SECONDS = 5 * 60;
+
+// 임베드 토큰(브라우저 위젯용)으로 사용할 수 있는 기능 (/v1/chat, /v1/quiz)
+export const EMBED_FEATURES = ['chat', 'quiz'];
+
+// 문자열의 SHA256 해시 (hex)
+export async function sha256Hex(text) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// 암호학적으로 안전한 난수 (hex)
+export function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// 비교 시간으로 일치 길이가 드러나지 않도록 모든 문자를 비교
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
 
 export class AuthService {
   constructor(secretKey, jwtSecret) {
@@ -6,28 +58,20 @@ export class AuthService {
     this.jwtSecret = jwtSecret;
   }
 
-  // 도메인과 시크릿 키를 결합하여 SHA256 해시 생성
-  async generateDomainHash(domain) {
-    const message = domain + this.secretKey;
-    const encoder = new TextEncoder();
-    const data = encoder.encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-
-  // 클라이언트가 제공한 인증키와 도메인 검증
-  async verifyDomain(domain, clientAuthKey) {
-    const expectedHash = await this.generateDomainHash(domain);
-    return expectedHash === clientAuthKey;
+  // 도메인 인증키 생성: 버전 0은 도메인 + 시크릿 키의 SHA256 해시, 이후 버전은 버전별 nonce를 함께 해시
+  // 버전 관리와 검증은 DomainKeyService에서 처리
+  async generateDomainHash(domain, version = 0, nonce = null) {
+    const message = version === 0 ? domain + this.secretKey : `${domain}:${version}:${nonce}:${this.secretKey}`;
+    return sha256Hex(message);
   }
 
-  // JWT 토큰 생성
-  async generateJWT(domain, additionalInfo = {}) {
+  // JWT 토큰 생성 (jti는 폐기 목록에서 토큰을 식별하는 데 사용)
+  async generateJWT(domain, additionalInfo = {}, ttlSeconds = 60 * 60) {
     const payload = {
       domain,
+      jti: crypto.randomUUID(),
       iat: Math.floor(Date.now() / 1000), // issued at
-      exp: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60), // 7일 후 만료
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
       ...additionalInfo
     };
 
@@ -68,21 +112,82 @@ export class AuthService {
     }
   }
 
-  // 도메인별 추가 정보 생성 (필요에 따라 확장 가능)
-  getDomainInfo(domain) {
-    // 도메인에 따른 추가 정보 설정
-    const domainInfo = {
-      tier: 'standard', // basic, standard, premium 등
-      maxRequestsPerDay: 1000,
-      features: ['chat', 'quiz']
-    };
+  // 테넌트 백엔드가 도메인 인증키로 서명(HS256)한 학습자 assertion 검증
+  // iss는 도메인, aud는 ASSERTION_AUDIENCE, 유효 기간은 최대 5분
+  // getDomainKeys(domain)는 현재 허용되는 인증키 목록을 반환 (키 교체 중에는 이전 키로 서명해도 허용)
+  async verifyLearnerAssertion(assertion, getDomainKeys) {
+    const { payload: unverified } = decode(assertion);
 
-    // 특정 도메인에 대한 커스텀 설정
-    if (domain.includes('premium')) {
-      domainInfo.tier = 'premium';
-      domainInfo.maxRequestsPerDay = 10000;
+    if (typeof unverified.iss !== 'string' || !unverified.iss) {
+      throw new Error('Assertion issuer (iss) is required');
     }
 
-    return domainInfo;
+    const domain = unverified.iss.toLowerCase().trim();
+    const keys = await getDomainKeys(domain);
+    let payload = null;
+
+    for (const { authKey } of keys) {
+      payload = await verify(assertion, authKey).catch(() => null);
+      if (payload) break;
+    }
+
+    if (!payload) {
+      throw new Error('Assertion signature or lifetime is invalid');
+    }
+
+    if (payload.aud !== ASSERTION_AUDIENCE) {
+      throw new Error(`Assertion audience (aud) must be "${ASSERTION_AUDIENCE}"`);
+    }
+
+    if (!payload.iat || !payload.exp || payload.exp - payload.iat > MAX_ASSERTION_TTL_SECONDS) {
+      throw new Error(`Assertion must have iat and exp at most ${MAX_ASSERTION_TTL_SECONDS} seconds apart`);
+    }
+
+    return { ...payload, domain };
+  }
+
+  // 학습자 토큰이면 토큰의 sub를 학습자 ID로 사용하고, 테넌트 토큰이면 요청의 learnerId를 검증
+  static resolveLearnerId(user, learnerId) {
+    if (user?.sub) {
+      if (learnerId !== undefined && learnerId !== user.sub) {
+        throw new Error('Learner ID does not match the token subject');
+      }
+      return user.sub;
+    }
+
+    // sub 없는 임베드 토큰으로 임의 학습자의 기록에 접근할 수 없도록 차단
+    if (user?.typ === 'embed') {
+      throw new Error('Embed token has no learner subject');
+    }
+
+    validateLearnerId(learnerId);
+    return learnerId;
+  }
+
+  // 임베드 토큰이면 토큰의 contentId만 허용하고(생략 시 토큰 값 사용), 그 외 토큰은 요청 값을 그대로 사용
+  static resolveContentId(user, contentId) {
+    if (user?.typ !== 'embed') {
+      return contentId;
+    }
+
+    if (contentId && contentId !== user.contentId) {
+      throw new Error('Content ID does not match the embed token');
+    }
+    return user.contentId;
+  }
+
+  // 임베드 토큰은 EMBED_FEATURES 경로에서만 사용 가능
+  static isEmbedPath(path) {
+    return EMBED_FEATURES.some(feature => path === `/v1/${feature}` || path.startsWith(`/v1/${feature}/`));
+  }
+
+  // 토큰 payload의 권한 범위 중 하나가 요청한 권한을 포함하는지 확인
+  static hasScope(user, scope) {
+    return Array.isArray(user?.scopes) && user.scopes.some(granted => SCOPE_GRANTS[granted]?.includes(scope));
+  }
+
+  // 토큰 payload의 features에 기능이 포함되어 있는지 확인
+  static hasFeature(user, feature) {
+    return Array.isArray(user?.features) && user.features.includes(feature);
   }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Matches "[2]" and "[강의 자료 2]" / "[강의 자료 2 (12:30-13:05)]" style references
+const CITATION_PATTERN = /\[(?:강의 자료\s*)?(\d{1,2})(?:\s*\([^\]]*\))?\]/g;
+
+export function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+  return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+// Labels for cited sources without a playback position
+const SOURCE_TYPE_LABELS = {
+  summary: '강의 요약'
+};
+
+/**
+ * Prompt instructions asking the model to cite retrieved chunks by number
+ */
+export function buildCitationInstructions() {
+  return `CITATIONS: 강의 자료의 내용을 사용한 문장 끝에는 해당 자료 번호를 [1], [2] 형식으로 표시하세요. 위에 제공된 강의 자료 번호만 사용하고, 제공되지 않은 번호는 절대 만들지 마세요.`;
+}
+
+/**
+ * Extract chunk citations from an answer and resolve them against the retrieved sources.
+ * Sources are numbered from 1 in the order they were shown to the model.
+ * Citations to chunks that were never retrieved are reported separately and never resolved.
+ * Only transcript chunks carry a timestamp; other sources (e.g. the summary) get timestamp null
+ * and a label naming the source instead of a position in the video.
+ */
+export function extractCitations(answer, sources = []) {
+  const cited = new Set();
+  for (const match of (answer || '').matchAll(CITATION_PATTERN)) {
+    cited.add(parseInt(match[1], 10));
+  }
+
+  const citations = [];
+  const unverified = [];
+
+  for (const chunk of [...cited].sort((a, b) => a - b)) {
+    const source = sources[chunk - 1];
+    if (!source) {
+      unverified.push(chunk);
+      continue;
+    }
+
+    const timestamp = source.type === 'transcript' && typeof source.startTime === 'number'
+      ? formatTimestamp(source.startTime)
+      : null;
+
+    citations.push({
+      chunk,
+      contentId: source.contentId,
+      type: source.type,
+      startTime: source.startTime,
+      endTime: source.endTime,
+      timestamp,
+      label: timestamp || SOURCE_TYPE_LABELS[source.type] || `강의 자료 ${chunk}`
+    });
+  }
+
+  return { citations, unverified };
+}
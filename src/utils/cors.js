@@ -0,0 +1,70 @@
+import { TenantService } from '../services/tenant.js';
+
+/**
+ * CORS for tenant browser clients
+ * hono/cors only takes a static or synchronous origin list, so the allowlist lookup lives here.
+ * An Origin is reflected when it is:
+ *  - the API's own origin (docs page),
+ *  - listed in CORS_ALLOWED_ORIGINS (comma separated, "*" allows any origin; meant for local development),
+ *  - or registered by a tenant (https://<domain> or one of its allowedOrigins).
+ * Whether the token's tenant allows the origin is checked after authentication, in the global auth middleware.
+ */
+
+// Origins from the CORS_ALLOWED_ORIGINS variable, normalized
+export function getConfiguredOrigins(env) {
+  return (env?.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+    .map(origin => origin === '*' ? origin : TenantService.normalizeOrigin(origin))
+    .filter(Boolean);
+}
+
+/**
+ * Origins allowed regardless of the token's tenant: the API itself and CORS_ALLOWED_ORIGINS
+ */
+export function isTrustedOrigin(c, origin) {
+  const normalized = TenantService.normalizeOrigin(origin);
+  if (!normalized) return false;
+
+  const configured = getConfiguredOrigins(c.env);
+  return normalized === new URL(c.req.url).origin || configured.includes('*') || configured.includes(normalized);
+}
+
+async function isAllowedOrigin(c, origin) {
+  if (isTrustedOrigin(c, origin)) return true;
+  return !!c.env?.AITUTOR_KV && new TenantService(c.env.AITUTOR_KV).isRegisteredOrigin(origin);
+}
+
+/**
+ * CORS middleware; answers preflight requests itself and reflects allowed origins on other responses
+ */
+export function tenantCors({ allowMethods = [], allowHeaders = [], exposeHeaders = [], maxAge } = {}) {
+  return async (c, next) => {
+    const origin = c.req.header('Origin');
+    const allowed = !!origin && await isAllowedOrigin(c, origin);
+
+    if (c.req.method === 'OPTIONS') {
+      const headers = new Headers({ Vary: 'Origin' });
+
+      if (allowed) {
+        headers.set('Access-Control-Allow-Origin', origin);
+        headers.set('Access-Control-Allow-Methods', allowMethods.join(','));
+        headers.set('Access-Control-Allow-Headers', allowHeaders.join(','));
+        if (maxAge !== undefined) headers.set('Access-Control-Max-Age', String(maxAge));
+      }
+
+      return new Response(null, { status: 204, headers });
+    }
+
+    await next();
+
+    c.res.headers.append('Vary', 'Origin');
+    if (allowed) {
+      c.res.headers.set('Access-Control-Allow-Origin', origin);
+      if (exposeHeaders.length > 0) {
+        c.res.headers.set('Access-Control-Expose-Headers', exposeHeaders.join(','));
+      }
+    }
+  };
+}
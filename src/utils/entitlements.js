@@ -0,0 +1,36 @@
+import { AuthService } from './auth.js';
+import { createErrorResponse } from './responses.js';
+
+/**
+ * Route guards for token entitlements
+ * Run after the global JWT middleware, which sets the user (token claims) and tenant on the context
+ */
+
+/**
+ * Route middleware: require a feature in the token claims.
+ * The live tenant record must still grant it, so removing a feature takes effect before old tokens expire.
+ */
+export function requireFeature(feature) {
+  return async (c, next) => {
+    const tenant = c.get('tenant');
+
+    if (!AuthService.hasFeature(c.get('user'), feature) || (tenant && !tenant.features?.includes(feature))) {
+      return c.json(createErrorResponse(`Feature "${feature}" is not enabled for this tenant`, 403, 'FEATURE_NOT_ENABLED'), 403);
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Route middleware: require a token scope (admin includes instructor, instructor includes learner)
+ */
+export function requireScope(scope) {
+  return async (c, next) => {
+    if (!AuthService.hasScope(c.get('user'), scope)) {
+      return c.json(createErrorResponse(`${scope[0].toUpperCase()}${scope.slice(1)} scope required`, 403, 'INSUFFICIENT_SCOPE'), 403);
+    }
+
+    await next();
+  };
+}
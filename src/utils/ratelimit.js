@@ -0,0 +1,104 @@
+import { RateLimitService } from '../services/ratelimit.js';
+import { TenantService } from '../services/tenant.js';
+import { createErrorResponse } from './responses.js';
+import { validateLearnerId } from './validation.js';
+
+/**
+ * Route middleware: enforce the tenant's request and token quotas for a feature.
+ * Learner limits apply when the request names a learner (token subject, learnerId query or body field).
+ */
+export function rateLimit(feature) {
+  return async (c, next) => {
+    const user = c.get('user');
+    const tenant = c.get('tenant');
+
+    if (!user || !tenant) {
+      await next();
+      return;
+    }
+
+    const learnerId = await getLearnerId(c);
+    const rateLimitService = new RateLimitService(c.env.AITUTOR_KV);
+    let result;
+
+    try {
+      result = await rateLimitService.consume({
+        domain: user.domain,
+        learnerId,
+        feature,
+        quotas: TenantService.resolveQuotas(tenant)
+      });
+    } catch (error) {
+      // 카운터 저장소 장애로 API 전체가 멈추지 않도록 요청은 허용
+      console.error('Rate limit check failed (allowing request):', error);
+      await next();
+      return;
+    }
+
+    if (!result.allowed) {
+      const code = result.window === 'tokens' ? 'TOKEN_QUOTA_EXCEEDED' : 'RATE_LIMIT_EXCEEDED';
+      const message = result.window === 'tokens'
+        ? `Daily token quota exceeded (${result.scope})`
+        : `Rate limit exceeded: ${result.limit} requests per ${result.window} (${result.scope})`;
+
+      return c.json({
+        ...createErrorResponse(message, 429, code),
+        limit: {
+          scope: result.scope,
+          window: result.window,
+          limit: result.limit,
+          reset: new Date(result.reset).toISOString()
+        }
+      }, 429, {
+        'Retry-After': String(result.retryAfter),
+        ...quotaHeaders(result)
+      });
+    }
+
+    // Routes pass this to OpenAIService as options.onUsage so completion tokens count toward the daily quota
+    c.set('recordUsage', (usage) => {
+      if (!usage?.totalTokens) return;
+      c.executionCtx.waitUntil(
+        rateLimitService.recordTokens({ domain: user.domain, learnerId, tokens: usage.totalTokens })
+          .catch(error => console.error('Token usage write error:', error))
+      );
+    });
+
+    await next();
+
+    if (result.limit) {
+      try {
+        for (const [name, value] of Object.entries(quotaHeaders(result))) {
+          c.res.headers.set(name, value);
+        }
+      } catch (error) {
+        console.error('Rate limit header error:', error);
+      }
+    }
+  };
+}
+
+function quotaHeaders(result) {
+  return {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.reset / 1000)),
+    'X-RateLimit-Scope': `${result.scope}/${result.window}`
+  };
+}
+
+async function getLearnerId(c) {
+  let learnerId = c.get('user')?.sub || c.req.query('learnerId');
+
+  if (!learnerId && (c.req.header('Content-Type') || '').includes('application/json')) {
+    const body = await c.req.json().catch(() => null);
+    learnerId = body?.learnerId;
+  }
+
+  try {
+    validateLearnerId(learnerId);
+    return learnerId;
+  } catch (error) {
+    return null;
+  }
+}
@@ -1,3 +1,5 @@
+import { extractCitations } from './citations.js';
+
 export function createErrorResponse(message, status = 400, code = 'ERROR') {
   return {
     error: message,
@@ -64,15 +66,115 @@ export function parseSSEStream(stream) {
   });
 }
 
+export function formatSSEEvent(event, data) {
+  return new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Convert an OpenAI SSE stream into named events for clients that opt in.
+ * Emits meta → delta* → sources → citations → done, or error if the upstream stream fails.
+ * getCitations receives the full answer text and returns { citations, unverified }.
+ */
+export function parseSSEEventStream(stream, { meta = {}, sources = [], getCitations = null } = {}) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let answer = '';
+  let usage = null;
+  let finished = false;
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(formatSSEEvent('meta', meta));
+
+      function finish() {
+        if (finished) return;
+        finished = true;
+        if (sources.length > 0) {
+          controller.enqueue(formatSSEEvent('sources', { sources }));
+        }
+        if (getCitations) {
+          controller.enqueue(formatSSEEvent('citations', getCitations(answer)));
+        }
+        controller.enqueue(formatSSEEvent('done', { usage }));
+        controller.close();
+      }
+
+      function handleLine(line) {
+        if (!line.startsWith('data: ')) return;
+
+        const data = line.slice(6).trim();
+        if (data === '[DONE]') {
+          finish();
+          return;
+        }
+        try {
+          const parsed = JSON.parse(data);
+          const content = parsed.choices?.[0]?.delta?.content;
+          if (content) {
+            answer += content;
+            controller.enqueue(formatSSEEvent('delta', { content }));
+          }
+          if (parsed.usage) {
+            usage = parsed.usage;
+          }
+        } catch (e) {
+          // Skip invalid JSON
+          console.warn('Failed to parse SSE data:', data);
+        }
+      }
+
+      function pump() {
+        return reader.read().then(({ done, value }) => {
+          if (done) {
+            if (buffer) handleLine(buffer);
+            finish();
+            return;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          // 마지막 줄은 불완전할 수 있으므로 buffer에 보관
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            handleLine(line);
+            if (finished) return;
+          }
+          return pump();
+        }).catch(error => {
+          console.error('SSE event stream error:', error);
+          if (!finished) {
+            finished = true;
+            controller.enqueue(formatSSEEvent('error', { message: error.message || 'Stream failed' }));
+            controller.close();
+          }
+        });
+      }
+      return pump();
+    }
+  });
+}
+
+// CORS headers are left to the tenantCors middleware, which only allows the tenant's origins
 export function createSSEResponse(stream) {
   return new Response(stream, {
     headers: {
       'Content-Type': 'text/event-stream; charset=utf-8',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     },
   });
-}
\ No newline at end of file
+}
+
+// Plain text stays the default; clients opt into named events with options.streamFormat = 'events'
+export function createStreamResponse(stream, options, meta, sources = []) {
+  const parsedStream = options.streamFormat === 'events'
+    ? parseSSEEventStream(stream, {
+      meta,
+      sources,
+      getCitations: sources.length > 0 ? (answer) => extractCitations(answer, sources) : null
+    })
+    : parseSSEStream(stream);
+  return createSSEResponse(parsedStream);
+}
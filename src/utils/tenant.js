@@ -0,0 +1,53 @@
+import { KVService } from '../services/kv.js';
+import { createErrorResponse } from './responses.js';
+
+/**
+ * Tenant isolation helpers
+ * Content belongs to the domain that uploaded it; every other domain sees it as not found
+ */
+
+/**
+ * Check whether a content:info record belongs to the domain.
+ * Records without a recorded owner (uploaded before ownership existed) belong to no domain.
+ */
+export function isContentOwner(contentInfo, domain) {
+  return !!contentInfo && !!domain && contentInfo.domain === domain;
+}
+
+/**
+ * Load content info for the owning domain, throwing 'Content not found' otherwise
+ */
+export async function getOwnedContentInfo(env, contentId, domain) {
+  const kvService = new KVService(env.AITUTOR_KV);
+  const contentInfo = await kvService.get(KVService.contentKey('info', contentId));
+
+  if (!isContentOwner(contentInfo, domain)) {
+    throw new Error('Content not found');
+  }
+
+  return contentInfo;
+}
+
+/**
+ * Route middleware: reject requests for a :contentId the authenticated domain does not own.
+ * Embed tokens only see the content they were issued for.
+ */
+export async function requireContentOwner(c, next) {
+  const contentId = c.req.param('contentId');
+  const user = c.get('user');
+
+  try {
+    if (user?.typ === 'embed' && user.contentId !== contentId) {
+      throw new Error('Content not found');
+    }
+    await getOwnedContentInfo(c.env, contentId, user?.domain);
+  } catch (error) {
+    if (error.message === 'Content not found') {
+      return c.json(createErrorResponse('Content not found', 404), 404);
+    }
+    console.error('Error checking content ownership:', error);
+    return c.json(createErrorResponse('Failed to check content ownership', 500), 500);
+  }
+
+  await next();
+}
@@ -1,3 +1,6 @@
+// 도메인 형식 (예: example.com, sub.example.co.kr, localhost)
+export const DOMAIN_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9](?:\.[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9])*$/;
+
 export function validateChatMessages(messages) {
   if (!Array.isArray(messages)) {
     throw new Error('Messages must be an array');
@@ -72,6 +75,20 @@ export function validateOptions(options) {
   if (options.isRecommended !== undefined && typeof options.isRecommended !== 'boolean') {
     throw new Error('isRecommended must be a boolean');
   }
+
+  if (options.streamFormat !== undefined && !['text', 'events'].includes(options.streamFormat)) {
+    throw new Error('streamFormat must be "text" or "events"');
+  }
+}
+
+export function validateLearnerId(learnerId) {
+  if (typeof learnerId !== 'string' || learnerId.length === 0) {
+    throw new Error('Learner ID is required and must be a string');
+  }
+
+  if (!/^[A-Za-z0-9_.@-]{1,128}$/.test(learnerId)) {
+    throw new Error('Learner ID may only contain letters, numbers, "_", ".", "@" and "-" (max 128 characters)');
+  }
 }
 
 export function sanitizeInput(input) {
@@ -3,10 +3,27 @@
  * Tests core services and utilities for AI Gateway integration
  */
 
-import { OpenAIService } from '../src/services/openai.js';
-import { AuthService } from '../src/utils/auth.js';
-import { validateChatMessages, validateOptions, sanitizeInput } from '../src/utils/validation.js';
-import { createErrorResponse, createSSEResponse } from '../src/utils/responses.js';
+import { OpenAIService, getTutorModeGuidance, getOpenAIService } from '../src/services/openai.js';
+import { LLMRouter, WorkersAIProvider } from '../src/services/llm.js';
+import { MockLLMProvider, MOCK_EMBEDDING_DIMENSIONS } from '../src/services/llm-mock.js';
+import { MockStreamService } from '../src/services/stream-mock.js';
+import { SUMMARY_FIXTURES } from '../src/fixtures/summaries.js';
+import { TranscribeConsumer } from '../src/consumers/transcribe-consumer.js';
+import { AuthService, timingSafeEqual, sha256Hex } from '../src/utils/auth.js';
+import { SessionService } from '../src/services/session.js';
+import { KVService } from '../src/services/kv.js';
+import { QuizService, generatedQuizSchema } from '../src/services/quiz.js';
+import { ContentService } from '../src/services/content.js';
+import { isContentOwner } from '../src/utils/tenant.js';
+import { TenantService, TIER_QUOTAS, updateTenantSchema } from '../src/services/tenant.js';
+import { AnswerCacheService, DEFAULT_SIMILARITY_THRESHOLD, DEFAULT_ANSWER_TTL_SECONDS } from '../src/services/answercache.js';
+import { RateLimitService } from '../src/services/ratelimit.js';
+import { AdminKeyService } from '../src/services/adminkey.js';
+import { TokenService } from '../src/services/token.js';
+import { DomainKeyService } from '../src/services/domainkey.js';
+import { extractCitations, formatTimestamp } from '../src/utils/citations.js';
+import { validateChatMessages, validateOptions, validateLearnerId, validateInput, sanitizeInput } from '../src/utils/validation.js';
+import { createErrorResponse, createSSEResponse, formatSSEEvent } from '../src/utils/responses.js';
 
 // Simple test framework
 let tests = 0;
@@ -42,6 +59,57 @@ function assertThrows(fn, expectedMessage) {
   }
 }
 
+// Awaited at the top level so async tests finish before the summary
+async function asyncTest(name, fn) {
+  tests++;
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+// In-memory KV namespace: keys listed in sorted order, paged with a numeric cursor
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => store.get(key)?.value ?? null,
+    put: async (key, value, options = {}) => { store.set(key, { value, metadata: options.metadata }); },
+    delete: async (key) => { store.delete(key); },
+    list: async ({ prefix = '', limit = 1000, cursor } = {}) => {
+      const names = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const keys = names.slice(start, start + limit).map(name => ({ name, metadata: store.get(name).metadata }));
+      const complete = start + limit >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : String(start + limit) };
+    }
+  };
+}
+
+// In-memory Vectorize index with cosine scores and equality metadata filters
+function createMemoryVectorize() {
+  const vectors = new Map();
+  const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0) /
+    (Math.sqrt(a.reduce((sum, value) => sum + value * value, 0)) * Math.sqrt(b.reduce((sum, value) => sum + value * value, 0)));
+  return {
+    vectors,
+    upsert: async (items) => { items.forEach(item => vectors.set(item.id, { ...item, values: Array.from(item.values) })); },
+    deleteByIds: async (ids) => { ids.forEach(id => vectors.delete(id)); },
+    getByIds: async (ids) => ids.filter(id => vectors.has(id)).map(id => vectors.get(id)),
+    query: async (values, { topK = 5, filter = {} } = {}) => ({
+      matches: [...vectors.values()]
+        .filter(item => Object.entries(filter).every(([key, value]) => item.metadata?.[key] === value))
+        .map(item => ({ id: item.id, score: cosine(Array.from(values), item.values), metadata: item.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+    })
+  };
+}
+
 console.log('🧪 AI Tutor API - Core Service Tests\n');
 
 // OpenAI Service Tests (AI Gateway)
@@ -61,6 +129,225 @@ test('OpenAIService constructor throws without account ID', () => {
   assertThrows(() => new OpenAIService('test-key', null), 'API key and Cloudflare account ID are required');
 });
 
+test('OpenAIService from env routes through configured providers only', () => {
+  const service = getOpenAIService({ OPENAI_API_KEY: 'k', CLOUDFLARE_ACCOUNT_ID: 'acc', AI_GATEWAY_ID: 'gw', AI: {} });
+  assertEqual(service.baseUrl, 'https://gateway.ai.cloudflare.com/v1/acc/gw/openai');
+
+  const routes = service.router.resolveRoutes(undefined, 'gpt-4o');
+  assertEqual(routes.map(route => `${route.provider}:${route.model}`).join(','), 'openai:gpt-4o,workers-ai:@cf/meta/llama-3.1-8b-instruct');
+  assertThrows(() => LLMRouter.fromEnv({}).resolveRoutes(), 'No LLM provider configured');
+  assertEqual(LLMRouter.isConfigured({ AI: {} }), true);
+});
+
+test('LLM routes parse from LLM_ROUTES and tenant routes pin models', () => {
+  const parsed = LLMRouter.parseRoutes('local:llama3.1:8b, workers-ai ,unknown:x');
+  assertEqual(JSON.stringify(parsed), '[{"provider":"local","model":"llama3.1:8b"},{"provider":"workers-ai"}]');
+  assertEqual(LLMRouter.parseRoutes(''), null);
+
+  const router = LLMRouter.fromEnv({ AI: {}, LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1', LOCAL_LLM_MODEL: 'qwen2.5' });
+  const routes = router.resolveRoutes([{ provider: 'openai' }, { provider: 'local' }, { provider: 'workers-ai', model: '@cf/m' }], 'gpt-4o');
+  assertEqual(routes.map(route => `${route.provider}:${route.model}`).join(','), 'local:qwen2.5,workers-ai:@cf/m');
+
+  if (validateInput(updateTenantSchema, { modelRoutes: [{ provider: 'anthropic' }] }).success) throw new Error('Should reject unknown provider');
+  if (!validateInput(updateTenantSchema, { modelRoutes: null }).success) throw new Error('Should accept null routes');
+});
+
+await asyncTest('OpenAIService keeps a temperature of 0 and defaults only missing values', async () => {
+  const calls = [];
+  const router = {
+    streamChat: async (messages, options) => { calls.push(options); },
+    createChatCompletion: async (options) => { calls.push(options); return {}; }
+  };
+  const service = new OpenAIService(null, null, { router });
+
+  await service.streamChat([{ role: 'user', content: 'q' }], { temperature: 0 });
+  await service.createChatCompletion({ messages: [{ role: 'user', content: 'q' }], temperature: 0 });
+  await service.streamChat([{ role: 'user', content: 'q' }]);
+
+  assertEqual(calls[0].temperature, 0);
+  assertEqual(calls[1].temperature, 0);
+  assertEqual(calls[2].temperature, 0.7);
+  assertEqual(calls[2].maxTokens, 1000);
+});
+
+await asyncTest('Workers AI calls get the abort signal and unparsable stream lines are skipped', async () => {
+  const calls = [];
+  const lines = ['data: {"response":"Hel"}', 'data: {"respon', 'event: ping', 'data: not json', 'data: {"response":"lo"}', 'data: [DONE]'];
+  const ai = {
+    run: async (model, inputs, options) => {
+      calls.push(options);
+      return inputs.stream
+        ? new Blob([lines.join('\n') + '\n']).stream()
+        : { response: 'ok' };
+    }
+  };
+  const provider = new WorkersAIProvider(ai, { gatewayId: 'gw' });
+  const controller = new AbortController();
+
+  const stream = await provider.streamChat([{ role: 'user', content: 'q' }], { model: '@cf/m', signal: controller.signal });
+  const text = await new Response(stream).text();
+  await provider.createChatCompletion({ model: '@cf/m', messages: [], signal: controller.signal });
+
+  assertEqual(calls[0].signal, controller.signal);
+  assertEqual(calls[0].gateway.id, 'gw');
+  assertEqual(calls[1].signal, controller.signal);
+  const content = text.split('\n\n').filter(line => line.startsWith('data: {'))
+    .map(line => JSON.parse(line.slice(6)).choices[0].delta.content).join('');
+  assertEqual(content, 'Hello');
+  assertEqual(text.trim().endsWith('data: [DONE]'), true);
+});
+
+test('LLM_MOCK routes chat and embeddings to the mock provider, ignoring tenant routes', () => {
+  const service = getOpenAIService({ LLM_MOCK: 'true', OPENAI_API_KEY: 'k', CLOUDFLARE_ACCOUNT_ID: 'acc' }, { modelRoutes: [{ provider: 'openai' }] });
+  assertEqual(service.routes, undefined);
+  assertEqual(service.router.resolveRoutes(service.routes, 'gpt-4o').map(route => route.provider).join(','), 'mock');
+  assertEqual(service.router.embeddingProvider, 'mock');
+  assertEqual(LLMRouter.isConfigured({ LLM_MOCK: 'true' }), true);
+});
+
+test('Mock embeddings are deterministic, normalized and closer for texts sharing words', () => {
+  const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const a = MockLLMProvider.embed('광합성은 빛 에너지를 사용한다');
+  const b = MockLLMProvider.embed('광합성은 빛 에너지를 사용한다');
+  const similar = MockLLMProvider.embed('광합성은 빛 에너지를 어떻게 사용한다');
+  const unrelated = MockLLMProvider.embed('closures capture variables');
+
+  assertEqual(a.length, MOCK_EMBEDDING_DIMENSIONS);
+  assertEqual(JSON.stringify(a), JSON.stringify(b));
+  assertEqual(Math.abs(cosine(a, a) - 1) < 1e-9, true);
+  assertEqual(cosine(a, similar) > cosine(a, unrelated), true);
+  assertEqual(MockLLMProvider.embed('').length, MOCK_EMBEDDING_DIMENSIONS);
+});
+
+test('Mock quiz follows the requested question count and schema', () => {
+  const quiz = MockLLMProvider.scriptedQuiz('Create 3 quiz questions about: 광합성');
+  assertEqual(quiz.questions.length, 3);
+  assertEqual(validateInput(generatedQuizSchema, quiz).success, true);
+  assertEqual(MockLLMProvider.scriptedAnswer([{ role: 'system', content: '관련 강의 자료:\n[1] ...' }, { role: 'user', content: 'q' }]).includes('[1]'), true);
+});
+
+await asyncTest('Mock streamChat streams the scripted answer as chunks followed by usage', async () => {
+  let usage = null;
+  const service = getOpenAIService({ LLM_MOCK: 'true' });
+  const stream = await service.streamChat([{ role: 'user', content: '광합성이란?' }], { onUsage: reported => { usage = reported; } });
+
+  const events = (await new Response(stream).text()).trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+  assertEqual(events[events.length - 1], '[DONE]');
+
+  const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+  const answer = chunks.map(chunk => chunk.choices[0]?.delta.content || '').join('');
+  assertEqual(answer, '[mock] "광합성이란?"에 대한 답변입니다.');
+  assertEqual(chunks.length, answer.split(' ').length + 1);
+  assertEqual(chunks[chunks.length - 1].usage.totalTokens, usage.totalTokens);
+});
+
+await asyncTest('generateSummary replays recorded summaries under LLM_MOCK', async () => {
+  const env = { LLM_MOCK: 'true', AITUTOR_KV: createMemoryKV() };
+  const fallback = await new ContentService(env, getOpenAIService(env)).generateSummary('광합성은 빛 에너지를 화학 에너지로 바꿉니다.', 'ko');
+  assertEqual(fallback.summary, SUMMARY_FIXTURES.ko.summary);
+  assertEqual(fallback.quiz.length, SUMMARY_FIXTURES.ko.quiz.length);
+
+  const transcript = 'Photosynthesis turns light energy into chemical energy.';
+  const recorded = { summary: 'Recorded summary', objectives: ['Explain photosynthesis'], recommendedQuestions: [], quiz: [] };
+  const provider = new MockLLMProvider({ summaryFixtures: { ...SUMMARY_FIXTURES, byTranscript: { [await sha256Hex(transcript)]: recorded } } });
+  const router = new LLMRouter({ mock: provider }, { defaultRoutes: [{ provider: 'mock' }], embeddingProvider: 'mock' });
+
+  const replayed = await new ContentService(env, new OpenAIService(null, null, { router })).generateSummary(transcript, 'en');
+  assertEqual(replayed.summary, 'Recorded summary');
+  assertEqual(replayed.objectives[0], 'Explain photosynthesis');
+});
+
+await asyncTest('LLM_MOCK runs an upload from the queue to a grounded search without network access', async () => {
+  const queued = [];
+  const env = {
+    LLM_MOCK: 'true',
+    AITUTOR_KV: createMemoryKV(),
+    CONTENT_VECTORIZE: createMemoryVectorize(),
+    TRANSCRIBE_QUEUE: { send: async (message) => { queued.push(message); } }
+  };
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => { throw new Error(`Unexpected network request: ${url}`); };
+
+  try {
+    const contentService = new ContentService(env, getOpenAIService(env));
+    const { contentId } = await contentService.createUploadJob('https://videos.example.com/photosynthesis.mp4', 'ko-KR', false, {}, 'example.com');
+    await new TranscribeConsumer(env).handleMessage(queued[0]);
+
+    const info = await contentService.kvService.get(KVService.contentKey('info', contentId));
+    assertEqual(info.status, 'completed');
+    assertEqual(info.streamId, await MockStreamService.videoIdOf('https://videos.example.com/photosynthesis.mp4'));
+
+    const subtitle = await contentService.kvService.get(KVService.contentKey('subtitle', contentId));
+    assertEqual(subtitle.segments.length, 12);
+
+    const manifest = await contentService.kvService.get(KVService.contentKey('vectors', contentId));
+    assertEqual(manifest.vectorIds.length, env.CONTENT_VECTORIZE.vectors.size);
+    assertEqual(manifest.embeddingModel, 'mock');
+
+    const context = await contentService.vectorizeService.getContentContext('광합성이 일어나는 엽록체는 무엇인가요?', 3, { contentId, domain: 'example.com' });
+    assertEqual(context.hasContext, true);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+await asyncTest('Claiming content from before ownership tags its vectors and reuses its contentId', async () => {
+  const queued = [];
+  const env = {
+    LLM_MOCK: 'true',
+    AITUTOR_KV: createMemoryKV(),
+    CONTENT_VECTORIZE: createMemoryVectorize(),
+    TRANSCRIBE_QUEUE: { send: async (message) => { queued.push(message); } }
+  };
+  const videoUrl = 'https://videos.example.com/photosynthesis.mp4';
+  const question = '광합성이 일어나는 엽록체는 무엇인가요?';
+  const contentService = new ContentService(env, getOpenAIService(env));
+
+  // Uploaded before ownership: no domain, contentId hashed from the URL alone
+  const { contentId } = await contentService.createUploadJob(videoUrl, 'ko-KR');
+  assertEqual(contentId, (await sha256Hex(videoUrl)).substring(0, 32));
+  await new TranscribeConsumer(env).handleMessage(queued[0]);
+  const before = await contentService.vectorizeService.getContentContext(question, 3, { contentId, domain: 'example.com' });
+  assertEqual(before.hasContext, false);
+
+  const result = await contentService.claimContent(contentId, 'example.com');
+  assertEqual(result.previousDomain, null);
+  assertEqual(result.vectorsRetagged, env.CONTENT_VECTORIZE.vectors.size);
+  assertEqual(isContentOwner(await contentService.kvService.get(KVService.contentKey('info', contentId)), 'example.com'), true);
+
+  const after = await contentService.vectorizeService.getContentContext(question, 3, { contentId, domain: 'example.com' });
+  assertEqual(after.hasContext, true);
+
+  const reupload = await contentService.createUploadJob(videoUrl, 'ko-KR', false, {}, 'example.com');
+  assertEqual(reupload.contentId, contentId);
+  assertEqual(reupload.isExisting, true);
+
+  try {
+    await contentService.claimContent(contentId, 'other.example.com');
+    throw new Error('Should not move content owned by another domain');
+  } catch (error) {
+    assertEqual(error.message, 'Content is owned by another domain');
+  }
+  assertEqual((await contentService.claimContent(contentId, 'other.example.com', { force: true })).previousDomain, 'example.com');
+});
+
+await asyncTest('deleteContent removes learners\' quiz attempts and counts them', async () => {
+  const kv = createMemoryKV();
+  const contentService = new ContentService({ AITUTOR_KV: kv }, null);
+  const owner = (learnerId) => ({ domain: 'example.com', learnerId });
+
+  await contentService.setInfo('content-1', { contentId: 'content-1', status: 'completed', domain: 'example.com' });
+  await kv.put(QuizService.attemptsKey('content-1', owner('student-1')), JSON.stringify({ attempts: [] }));
+  await kv.put(QuizService.attemptsKey('content-1', owner('student-2')), JSON.stringify({ attempts: [] }));
+  await kv.put(QuizService.attemptsKey('content-10', owner('student-1')), JSON.stringify({ attempts: [] }));
+
+  const report = await contentService.deleteContent('content-1');
+  assertEqual(report.complete, true);
+  assertEqual(report.kv.quizAttempts, 2);
+  assertEqual(kv.store.has(QuizService.attemptsKey('content-1', owner('student-1'))), false);
+  assertEqual(kv.store.has(QuizService.attemptsKey('content-10', owner('student-1'))), true);
+});
+
 test('addTutorGuidance adds system message when none exists', () => {
   const service = new OpenAIService('test-key', 'test-account-id');
   const messages = [{ role: 'user', content: 'Hello' }];
@@ -89,6 +376,33 @@ test('addTutorGuidance modifies existing system message', () => {
   }
 });
 
+test('addTutorGuidance adds Socratic guidance for socratic mode', () => {
+  const service = new OpenAIService('test-key', 'test-account-id');
+  const result = service.addTutorGuidance([{ role: 'user', content: 'Hello' }], 1000, 'socratic');
+
+  if (!result[0].content.includes('Socratic questioning')) {
+    throw new Error('System message should include Socratic guidance');
+  }
+});
+
+test('addTutorGuidance does not mutate the original system message', () => {
+  const service = new OpenAIService('test-key', 'test-account-id');
+  const systemMessage = { role: 'system', content: 'You are helpful.' };
+  service.addTutorGuidance([systemMessage, { role: 'user', content: 'Hello' }]);
+
+  assertEqual(systemMessage.content, 'You are helpful.');
+});
+
+test('getTutorModeGuidance clamps hint level to the ladder', () => {
+  if (!getTutorModeGuidance('hint', 1).includes('hint 1 of 3')) {
+    throw new Error('Hint level 1 should be used');
+  }
+  if (!getTutorModeGuidance('hint', 9).includes('hint 3 of 3')) {
+    throw new Error('Hint level should be clamped to 3');
+  }
+  assertEqual(getTutorModeGuidance('direct'), '');
+});
+
 // Whisper Service Tests (AI Gateway)
 console.log('\n📦 Whisper Service Tests (AI Gateway)');
 
@@ -101,23 +415,257 @@ test('AuthService constructor', () => {
   assertEqual(authService.jwtSecret, 'jwt-secret');
 });
 
-test('getDomainInfo returns standard tier for regular domain', () => {
-  const authService = new AuthService('secret-key', 'jwt-secret');
-  const info = authService.getDomainInfo('example.com');
+test('Tenant token claims come from the registry record', () => {
+  const claims = TenantService.toTokenClaims({
+    domain: 'example.com',
+    tier: 'premium',
+    features: ['chat', 'quiz'],
+    quotas: {}
+  });
+
+  assertEqual(claims.tier, 'premium');
+  assertEqual(claims.maxRequestsPerDay, 10000);
+  assertEqual(claims.features.length, 2);
+});
 
-  assertEqual(info.tier, 'standard');
-  assertEqual(info.maxRequestsPerDay, 1000);
-  if (!Array.isArray(info.features)) {
-    throw new Error('Features should be an array');
+test('Tenant defaults fill only unset AI options', () => {
+  const tenant = {
+    defaultModel: 'gpt-4o',
+    promptSettings: { temperature: 0.2, instructions: 'Answer in Korean' }
+  };
+  const options = TenantService.withDefaults(tenant, { temperature: 0.9, tenantInstructions: 'ignored' });
+
+  assertEqual(options.model, 'gpt-4o');
+  assertEqual(options.temperature, 0.9);
+  assertEqual(options.tenantInstructions, 'Answer in Korean');
+});
+
+test('Tenant update schema rejects unknown fields and features', () => {
+  if (validateInput(updateTenantSchema, { status: 'active' }).success) throw new Error('Should reject status');
+  if (validateInput(updateTenantSchema, { features: ['billing'] }).success) throw new Error('Should reject unknown feature');
+  if (!validateInput(updateTenantSchema, { tier: 'basic', quotas: { requestsPerDay: 50 } }).success) throw new Error('Should accept partial update');
+});
+
+test('Tenant quota overrides merge over tier defaults', () => {
+  const quotas = TenantService.resolveQuotas({
+    tier: 'basic',
+    quotas: { tokensPerDay: 5000, perLearner: { requestsPerMinute: 1 }, features: { quiz: { requestsPerDay: 3 } } }
+  });
+
+  if (quotas.tokensPerDay !== 5000) throw new Error('Tenant override should win');
+  if (quotas.requestsPerDay !== TIER_QUOTAS.basic.requestsPerDay) throw new Error('Unset limits should come from the tier');
+  if (quotas.perLearner.requestsPerMinute !== 1 || quotas.perLearner.requestsPerDay !== TIER_QUOTAS.basic.perLearner.requestsPerDay) {
+    throw new Error('Learner limits should merge field by field');
   }
+  if (quotas.features.quiz.requestsPerDay !== 3 || !quotas.features.upload) throw new Error('Feature limits should merge per feature');
 });
 
-test('getDomainInfo returns premium tier for premium domain', () => {
-  const authService = new AuthService('secret-key', 'jwt-secret');
-  const info = authService.getDomainInfo('premium.example.com');
+await asyncTest('Tenant limits follow the tier after a tier change, keeping overrides', async () => {
+  const tenantService = new TenantService(createMemoryKV());
+  await tenantService.createTenant({ domain: 'school.example.com', tier: 'basic', quotas: { tokensPerDay: 5000 } });
+  const tenant = await tenantService.updateTenant('school.example.com', { tier: 'premium' });
+
+  assertEqual(TenantService.resolveQuotas(tenant).requestsPerDay, TIER_QUOTAS.premium.requestsPerDay);
+  assertEqual(TenantService.resolveQuotas(tenant).tokensPerDay, 5000);
+  assertEqual(TenantService.toTokenClaims(tenant).maxRequestsPerDay, TIER_QUOTAS.premium.requestsPerDay);
+});
+
+await asyncTest('Domains from before the registry are registered with the previous defaults', async () => {
+  const tenantService = new TenantService(createMemoryKV());
+
+  assertEqual(await tenantService.getOrRegisterTenant('old.example.com'), null);
 
-  assertEqual(info.tier, 'premium');
-  assertEqual(info.maxRequestsPerDay, 10000);
+  const standard = await tenantService.getOrRegisterTenant('old.example.com', { autoRegister: true });
+  assertEqual(standard.tier, 'standard');
+  assertEqual(standard.autoRegistered, true);
+  assertEqual(TenantService.toTokenClaims(standard).maxRequestsPerDay, 1000);
+  assertEqual(standard.features.includes('chat') && standard.features.includes('quiz'), true);
+
+  const premium = await tenantService.getOrRegisterTenant('premium.school.com', { autoRegister: true });
+  assertEqual(TenantService.toTokenClaims(premium).maxRequestsPerDay, 10000);
+
+  // Existing records are returned as they are
+  await tenantService.createTenant({ domain: 'new.example.com', tier: 'basic' });
+  const registered = await tenantService.getOrRegisterTenant('new.example.com', { autoRegister: true });
+  assertEqual(registered.tier, 'basic');
+  assertEqual(registered.autoRegistered, undefined);
+
+  assertEqual(TenantService.autoRegisterOf({}), true);
+  assertEqual(TenantService.autoRegisterOf({ TENANT_AUTO_REGISTER: 'false' }), false);
+});
+
+await asyncTest('Tenants can only be granted the scopes on their allowlist', async () => {
+  const tenantService = new TenantService(createMemoryKV());
+  const tenant = await tenantService.createTenant({ domain: 'school.example.com' });
+
+  assertEqual(tenant.grantableScopes.join(','), 'learner');
+  assertEqual(TenantService.canGrantScopes(tenant, ['learner']), true);
+  assertEqual(TenantService.canGrantScopes(tenant, ['learner', 'instructor']), false);
+  assertEqual(TenantService.canGrantScopes(tenant, ['admin']), false);
+
+  const instructor = await tenantService.updateTenant('school.example.com', { grantableScopes: ['admin'] });
+  assertEqual(TenantService.canGrantScopes(instructor, ['learner', 'instructor', 'admin']), true);
+
+  const legacy = await tenantService.getOrRegisterTenant('old.example.com', { autoRegister: true });
+  assertEqual(TenantService.canGrantScopes(legacy, ['instructor']), true);
+  assertEqual(TenantService.canGrantScopes(legacy, ['admin']), false);
+
+  if (validateInput(updateTenantSchema, { grantableScopes: ['owner'] }).success) throw new Error('Should reject unknown scopes');
+  if (validateInput(updateTenantSchema, { grantableScopes: [] }).success) throw new Error('Should require at least one scope');
+});
+
+test('Tenant origins include the domain and normalize allowed origins', () => {
+  const parsed = validateInput(updateTenantSchema, { allowedOrigins: ['https://App.example.com/learn/', 'http://localhost:3000'] });
+  if (!parsed.success) throw new Error('Should accept http(s) origins');
+  assertEqual(parsed.data.allowedOrigins.join(','), 'https://app.example.com,http://localhost:3000');
+  if (validateInput(updateTenantSchema, { allowedOrigins: ['ftp://example.com'] }).success) throw new Error('Should reject non-http origins');
+
+  const tenant = { domain: 'example.com', allowedOrigins: parsed.data.allowedOrigins };
+  assertEqual(TenantService.isOriginAllowed(tenant, 'https://example.com'), true);
+  assertEqual(TenantService.isOriginAllowed(tenant, 'http://localhost:3000'), true);
+  assertEqual(TenantService.isOriginAllowed(tenant, 'https://evil.com'), false);
+  assertEqual(TenantService.isOriginAllowed(tenant, 'null'), false);
+  assertEqual(TenantService.streamOrigins(tenant).join(','), 'example.com,app.example.com,localhost:3000');
+});
+
+test('Answer cache covers conversations ending with a question and validates the threshold', () => {
+  assertEqual(AnswerCacheService.isCacheable([{ role: 'user', content: 'q' }]), true);
+  assertEqual(AnswerCacheService.isCacheable([{ role: 'system', content: 's' }, { role: 'user', content: 'q' }]), true);
+  assertEqual(AnswerCacheService.isCacheable([{ role: 'user', content: 'q' }, { role: 'assistant', content: 'a' }]), false);
+  assertEqual(AnswerCacheService.isCacheable([]), false);
+
+  assertEqual(AnswerCacheService.thresholdOf({}), DEFAULT_SIMILARITY_THRESHOLD);
+  assertEqual(AnswerCacheService.thresholdOf({ ANSWER_CACHE_THRESHOLD: '0.85' }), 0.85);
+  assertEqual(AnswerCacheService.thresholdOf({ ANSWER_CACHE_THRESHOLD: '1.5' }), DEFAULT_SIMILARITY_THRESHOLD);
+  assertEqual(AnswerCacheService.entryKey('c1', 'a.com', 'v1'), 'chat:cache:c1:a.com:v1');
+});
+
+test('Answer cache entries expire and list without the answer', () => {
+  const now = Date.UTC(2025, 0, 1);
+  assertEqual(AnswerCacheService.isExpired({ expiresAt: '2024-12-31T23:59:59.000Z' }, now), true);
+  assertEqual(AnswerCacheService.isExpired({ expiresAt: '2025-01-08T00:00:00.000Z' }, now), false);
+  assertEqual(AnswerCacheService.ttlOf({ ANSWER_CACHE_TTL_SECONDS: '3600' }), 3600);
+  assertEqual(AnswerCacheService.ttlOf({ ANSWER_CACHE_TTL_SECONDS: '30' }), DEFAULT_ANSWER_TTL_SECONDS);
+
+  const listed = AnswerCacheService.toListEntry({ id: 'v1', domain: 'a.com', contentId: 'c1', question: 'q'.repeat(300), answer: 'a', model: 'gpt-4o-mini', promptVersion: 'p1' });
+  assertEqual(listed.question.length, 100);
+  assertEqual('answer' in listed, false);
+  assertEqual(listed.indexVersion, null);
+});
+
+test('Answer cache matches normalized questions only within the same conversation context', () => {
+  assertEqual(AnswerCacheService.normalizeQuestion('  What is  a Closure?? '), 'what is a closure');
+  assertEqual(AnswerCacheService.normalizeQuestion('ＡＩ란?'), 'ai란');
+
+  const scope = { contextHash: 'none', model: 'gpt-4o-mini', promptVersion: 'p1' };
+  assertEqual(AnswerCacheService.matchesScope({ ...scope }, scope), true);
+  assertEqual(AnswerCacheService.matchesScope({ ...scope, contextHash: 'abc' }, scope), false);
+  assertEqual(AnswerCacheService.matchesScope({ model: 'gpt-4o-mini', promptVersion: 'p1' }, scope), false);
+});
+
+await asyncTest('Answer cache keeps the same question separate per domain, including on purge', async () => {
+  const kv = createMemoryKV();
+  const index = createMemoryVectorize();
+  const cache = new AnswerCacheService(index, kv);
+  const scope = { contentId: 'c1', contextHash: 'none', model: 'gpt-4o-mini', promptVersion: 'p1' };
+  const embedding = MockLLMProvider.embed('what is a closure');
+
+  const idA = await cache.store(embedding, { ...scope, domain: 'a.com', question: 'What is a closure?', answer: 'A', sources: [] });
+  const idB = await cache.store(embedding, { ...scope, domain: 'b.com', question: 'What is a closure?', answer: 'B', sources: [] });
+  if (idA === idB) throw new Error('Entry IDs should differ per domain');
+  assertEqual(index.vectors.size, 2);
+
+  assertEqual(await cache.purge('c1', { domain: 'a.com' }), 1);
+  assertEqual(index.vectors.has(idB), true);
+  assertEqual((await cache.lookup('What is a closure?', { ...scope, domain: 'b.com' }, async () => embedding)).answer, 'B');
+  assertEqual(await cache.lookup('What is a closure?', { ...scope, domain: 'a.com' }, async () => embedding), null);
+});
+
+test('Rate limit windows reset at the next minute or UTC midnight', () => {
+  const now = Date.UTC(2025, 0, 31, 23, 59, 30);
+
+  if (RateLimitService.resetOf('minute', now) !== Date.UTC(2025, 0, 31, 23, 60)) throw new Error('Minute window should reset on the minute');
+  if (RateLimitService.resetOf('day', now) !== Date.UTC(2025, 1, 1)) throw new Error('Daily window should reset at UTC midnight');
+  if (RateLimitService.usageKey('a.com', 'l1', RateLimitService.dayOf(now)) !== 'ratelimit:a.com:learner:l1:2025-01-31') {
+    throw new Error('Learner usage key should include learner and day');
+  }
+});
+
+test('hasScope checks token scopes', () => {
+  assertEqual(AuthService.hasScope({ scopes: ['learner', 'instructor'] }, 'instructor'), true);
+  assertEqual(AuthService.hasScope({ scopes: ['learner'] }, 'instructor'), false);
+  assertEqual(AuthService.hasScope({ domain: 'legacy.com' }, 'instructor'), false);
+});
+
+test('Higher scopes include lower scopes', () => {
+  assertEqual(AuthService.hasScope({ scopes: ['admin'] }, 'instructor'), true);
+  assertEqual(AuthService.hasScope({ scopes: ['instructor'] }, 'learner'), true);
+  assertEqual(AuthService.hasScope({ scopes: ['instructor'] }, 'admin'), false);
+  assertEqual(AuthService.hasScope({ scopes: ['owner'] }, 'learner'), false);
+});
+
+test('hasFeature checks token feature claims', () => {
+  assertEqual(AuthService.hasFeature({ features: ['chat', 'quiz'] }, 'quiz'), true);
+  assertEqual(AuthService.hasFeature({ features: ['chat', 'quiz'] }, 'content'), false);
+  assertEqual(AuthService.hasFeature({ domain: 'legacy.com' }, 'chat'), false);
+});
+
+test('Learner tokens use their sub as the learner ID', () => {
+  assertEqual(AuthService.resolveLearnerId({ sub: 'stu-1' }, undefined), 'stu-1');
+  assertEqual(AuthService.resolveLearnerId({ sub: 'stu-1' }, 'stu-1'), 'stu-1');
+  assertEqual(AuthService.resolveLearnerId({ domain: 'a.com' }, 'student-42'), 'student-42');
+  assertThrows(() => AuthService.resolveLearnerId({ sub: 'stu-1' }, 'stu-2'), 'does not match the token subject');
+  assertThrows(() => AuthService.resolveLearnerId({ domain: 'a.com' }, undefined), 'Learner ID is required');
+});
+
+test('Embed tokens are limited to their content and to chat and quiz', () => {
+  const embed = { domain: 'a.com', typ: 'embed', contentId: 'c1' };
+  assertEqual(AuthService.resolveContentId(embed, undefined), 'c1');
+  assertEqual(AuthService.resolveContentId(embed, 'c1'), 'c1');
+  assertEqual(AuthService.resolveContentId({ domain: 'a.com' }, 'c2'), 'c2');
+  assertThrows(() => AuthService.resolveContentId(embed, 'c2'), 'does not match the embed token');
+  assertThrows(() => AuthService.resolveLearnerId(embed, 'student-42'), 'no learner subject');
+
+  assertEqual(AuthService.isEmbedPath('/v1/chat/sessions'), true);
+  assertEqual(AuthService.isEmbedPath('/v1/quiz'), true);
+  assertEqual(AuthService.isEmbedPath('/v1/tutor'), false);
+  assertEqual(AuthService.isEmbedPath('/v1/chatbot'), false);
+});
+
+test('timingSafeEqual compares whole strings', () => {
+  assertEqual(timingSafeEqual('abc123', 'abc123'), true);
+  assertEqual(timingSafeEqual('abc123', 'abc124'), false);
+  assertEqual(timingSafeEqual('abc', 'abc123'), false);
+  assertEqual(timingSafeEqual(undefined, 'abc'), false);
+});
+
+test('Admin key view leaves out salt and hash', () => {
+  const view = AdminKeyService.toView({ keyId: 'k1', name: 'ops', status: 'active', salt: 's', hash: 'h', createdAt: '2025-01-01T00:00:00.000Z' });
+
+test('Tenant bulk revocation rejects tokens issued earlier', () => {
+  const tenant = { tokensRevokedAt: '2025-01-01T00:00:10.500Z' };
+  const revokedAt = Date.parse('2025-01-01T00:00:10Z') / 1000;
+
+  assertEqual(TokenService.isRevokedByTenant({ iat: revokedAt - 1 }, tenant), true);
+  assertEqual(TokenService.isRevokedByTenant({ iat: revokedAt }, tenant), false);
+  assertEqual(TokenService.isRevokedByTenant({ iat: revokedAt - 1 }, {}), false);
+});
+
+test('Domain key versions stay active until their overlap ends', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  const record = {
+    versions: [
+      { version: 0, expiresAt: '2024-12-31T00:00:00.000Z' },
+      { version: 1, expiresAt: '2025-01-02T00:00:00.000Z' },
+      { version: 2, expiresAt: null }
+    ]
+  };
+
+  const active = DomainKeyService.activeVersions(record, now).map(entry => entry.version);
+  assertEqual(active.join(','), '1,2');
+});
+  if ('salt' in view || 'hash' in view) throw new Error('View should not expose salt or hash');
+  assertEqual(view.keyId, 'k1');
 });
 
 // Validation Tests
@@ -164,6 +712,12 @@ test('validateOptions rejects invalid maxTokens', () => {
   assertThrows(() => validateOptions({ maxTokens: 5000 }), 'Max tokens must be a number between 1 and 4000');
 });
 
+test('validateOptions accepts known stream formats only', () => {
+  validateOptions({ streamFormat: 'events' });
+  validateOptions({ streamFormat: 'text' });
+  assertThrows(() => validateOptions({ streamFormat: 'ndjson' }), 'streamFormat must be');
+});
+
 test('sanitizeInput removes HTML tags', () => {
   const input = '<script>alert("xss")</script>';
   const result = sanitizeInput(input);
@@ -188,6 +742,65 @@ test('sanitizeInput preserves non-string input', () => {
   assertEqual(result, 123);
 });
 
+test('validateLearnerId accepts opaque learner IDs', () => {
+  validateLearnerId('student-42');
+  validateLearnerId('user@example.com');
+});
+
+test('validateLearnerId rejects IDs with separators', () => {
+  assertThrows(() => validateLearnerId('a:b'), 'Learner ID may only contain');
+  assertThrows(() => validateLearnerId(undefined), 'Learner ID is required');
+});
+
+// Session Service Tests
+console.log('\n📦 Session Service Tests');
+
+test('buildMessages prepends system prompt and windows history', () => {
+  const sessionService = new SessionService({});
+  const history = Array.from({ length: 30 }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `message ${i}`,
+    createdAt: '2025-01-01T00:00:00.000Z'
+  }));
+  const messages = sessionService.buildMessages({ systemPrompt: 'Be brief.', messages: history }, 'New question');
+
+  assertEqual(messages.length, SessionService.HISTORY_WINDOW + 2);
+  assertEqual(messages[0].role, 'system');
+  assertEqual(messages[1].content, 'message 10');
+  assertEqual(messages[messages.length - 1].content, 'New question');
+  assertEqual(messages[1].createdAt, undefined);
+});
+
+test('isOwner requires matching domain and learner', () => {
+  const session = { domain: 'example.com', learnerId: 'student-1' };
+  assertEqual(SessionService.isOwner(session, { domain: 'example.com', learnerId: 'student-1' }), true);
+  assertEqual(SessionService.isOwner(session, { domain: 'other.com', learnerId: 'student-1' }), false);
+  assertEqual(SessionService.isOwner(session, { domain: 'example.com', learnerId: 'student-2' }), false);
+});
+
+await asyncTest('listSessions pages the most recently updated sessions first', async () => {
+  const kv = createMemoryKV();
+  const sessionService = new SessionService(kv);
+  const owner = { domain: 'example.com', learnerId: 'student-1' };
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  const first = await sessionService.createSession(owner, { title: 'first' });
+  await tick();
+  await sessionService.createSession(owner, { title: 'second' });
+  await tick();
+  await sessionService.createSession(owner, { title: 'third' });
+  await tick();
+  await sessionService.appendMessages(first.sessionId, owner, [{ role: 'user', content: 'again' }]);
+
+  const page1 = await sessionService.listSessions(owner, { limit: 2 });
+  assertEqual(page1.sessions.map(session => session.title).join(','), 'first,third');
+  assertEqual(page1.hasMore, true);
+
+  const page2 = await sessionService.listSessions(owner, { limit: 2, cursor: page1.cursor });
+  assertEqual(page2.sessions.map(session => session.title).join(','), 'second');
+  assertEqual(page2.cursor, null);
+});
+
 // Response Utils Tests
 console.log('\n📦 Response Utils Tests');
 
@@ -219,6 +832,150 @@ test('createSSEResponse creates Response with correct headers', () => {
   assertEqual(response.headers.get('Content-Type'), 'text/event-stream; charset=utf-8');
   assertEqual(response.headers.get('Cache-Control'), 'no-cache');
   assertEqual(response.headers.get('Connection'), 'keep-alive');
+  assertEqual(response.headers.get('Access-Control-Allow-Origin'), null);
+});
+
+test('formatSSEEvent encodes a named event', () => {
+  const text = new TextDecoder().decode(formatSSEEvent('delta', { content: '안녕' }));
+  assertEqual(text, 'event: delta\ndata: {"content":"안녕"}\n\n');
+});
+
+// Quiz Grading Tests
+console.log('\n📦 Quiz Grading Tests');
+
+const sampleQuiz = [
+  { question: 'Q1', options: ['A', 'B', 'C', 'D'], answer: 1, explanation: 'Because B' },
+  { question: 'Q2', options: ['A', 'B', 'C', 'D'], answer: 3, explanation: 'Because D' }
+];
+
+test('gradeAttempt scores answers with explanations', () => {
+  const quizService = new QuizService({});
+  const { results, score } = quizService.gradeAttempt(sampleQuiz, [1, null]);
+
+  assertEqual(score.correct, 1);
+  assertEqual(score.total, 2);
+  assertEqual(score.percentage, 50);
+  assertEqual(results[0].correct, true);
+  assertEqual(results[1].correct, false);
+  assertEqual(results[1].explanation, 'Because D');
+});
+
+test('toLearnerView leaves out answers and explanations', () => {
+  const view = QuizService.toLearnerView(sampleQuiz);
+
+  assertEqual(view.length, 2);
+  assertEqual(view[0].question, 'Q1');
+  assertEqual(view[0].options.length, 4);
+  assertEqual(view[0].answer, undefined);
+  assertEqual(view[0].explanation, undefined);
+});
+
+test('gradeAttempt rejects mismatched or out-of-range answers', () => {
+  const quizService = new QuizService({});
+  assertThrows(() => quizService.gradeAttempt(sampleQuiz, [1]), 'Expected 2 answers');
+  assertThrows(() => quizService.gradeAttempt(sampleQuiz, [1, 4]), 'Answer at index 1');
+});
+
+test('generatedQuizSchema accepts stored quiz format', () => {
+  const result = validateInput(generatedQuizSchema, { questions: sampleQuiz });
+  assertEqual(result.success, true);
+});
+
+test('generatedQuizSchema rejects letter answers and missing options', () => {
+  const letterAnswer = validateInput(generatedQuizSchema, {
+    questions: [{ question: 'Q', options: ['A', 'B', 'C', 'D'], answer: 'A', explanation: 'E' }]
+  });
+  const threeOptions = validateInput(generatedQuizSchema, {
+    questions: [{ question: 'Q', options: ['A', 'B', 'C'], answer: 0, explanation: 'E' }]
+  });
+
+  assertEqual(letterAnswer.success, false);
+  assertEqual(threeOptions.success, false);
+});
+
+// Citation Tests
+console.log('\n📦 Citation Tests');
+
+test('extractCitations resolves cited chunks to timestamps', () => {
+  const sources = [
+    { chunk: 1, contentId: 'c1', type: 'transcript', startTime: 750, endTime: 812 },
+    { chunk: 2, contentId: 'c1', type: 'transcript', startTime: 30, endTime: 75 }
+  ];
+  const { citations, unverified } = extractCitations('엽록체는 빛을 흡수합니다 [2]. 자세한 내용은 [강의 자료 1 (12:30-13:32)] 참고 [2]', sources);
+
+  assertEqual(citations.length, 2);
+  assertEqual(citations[0].chunk, 1);
+  assertEqual(citations[0].label, '12:30');
+  assertEqual(citations[1].startTime, 30);
+  assertEqual(unverified.length, 0);
+});
+
+test('extractCitations reports chunks that were never retrieved', () => {
+  const sources = [{ chunk: 1, contentId: 'c1', type: 'transcript', startTime: 0, endTime: 10 }];
+  const { citations, unverified } = extractCitations('See [1] and [3]', sources);
+
+  assertEqual(citations.length, 1);
+  assertEqual(unverified.length, 1);
+  assertEqual(unverified[0], 3);
+});
+
+test('extractCitations gives summary sources no timestamp', () => {
+  const sources = [
+    { chunk: 1, contentId: 'c1', type: 'summary', startTime: 0, endTime: 600 },
+    { chunk: 2, contentId: 'c1', type: 'transcript', startTime: 0, endTime: 40 },
+    { chunk: 3, contentId: 'c1', type: 'transcript' }
+  ];
+  const { citations } = extractCitations('요약 [1], 도입부 [2], 위치 없음 [3]', sources);
+
+  assertEqual(citations[0].timestamp, null);
+  assertEqual(citations[0].label, '강의 요약');
+  assertEqual(citations[1].timestamp, '0:00');
+  assertEqual(citations[2].timestamp, null);
+  assertEqual(citations[2].label, '강의 자료 3');
+});
+
+test('formatTimestamp formats minutes and seconds', () => {
+  assertEqual(formatTimestamp(0), '0:00');
+  assertEqual(formatTimestamp(754.6), '12:34');
+});
+
+// Content catalog test
+console.log('\n📦 Content Catalog Tests');
+
+test('Catalog entry keeps only listing fields', () => {
+  const entry = ContentService.toCatalogEntry({
+    contentId: 'abc',
+    status: 'completed',
+    language: 'ko-KR',
+    duration: 120.5,
+    domain: 'example.com',
+    videoUrl: 'https://example.com/video.mp4',
+    createdAt: '2025-01-01T00:00:00.000Z'
+  });
+
+  if (entry.videoUrl !== undefined) throw new Error('Should not include videoUrl');
+  if (entry.domain !== 'example.com') throw new Error('Should include domain');
+  if (entry.updatedAt !== null) throw new Error('Missing fields should be null');
+});
+
+await asyncTest('Catalog filters by owning domain or lists content no domain owns', async () => {
+  const contentService = new ContentService({ AITUTOR_KV: createMemoryKV() }, null);
+  await contentService.setInfo('content-a', { contentId: 'content-a', status: 'completed', domain: 'a.com' });
+  await contentService.setInfo('content-b', { contentId: 'content-b', status: 'completed', domain: 'b.com' });
+  await contentService.setInfo('content-legacy', { contentId: 'content-legacy', status: 'completed' });
+
+  const owned = await contentService.listContents({ domain: 'b.com' });
+  assertEqual(owned.contents.map(entry => entry.contentId).join(','), 'content-b');
+
+  const unowned = await contentService.listContents({ unowned: true });
+  assertEqual(unowned.contents.map(entry => entry.contentId).join(','), 'content-legacy');
+});
+
+test('Content is only owned by the uploading domain', () => {
+  if (!isContentOwner({ domain: 'a.com' }, 'a.com')) throw new Error('Should accept owner domain');
+  if (isContentOwner({ domain: 'a.com' }, 'b.com')) throw new Error('Should reject other domain');
+  if (isContentOwner({ domain: null }, 'a.com')) throw new Error('Should reject content without owner');
+  if (isContentOwner({ domain: undefined }, undefined)) throw new Error('Should reject missing domain');
 });
 
 // Domain validation test